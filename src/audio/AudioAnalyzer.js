@@ -1,11 +1,26 @@
 /**
  * Professional Audio Analyzer
- * 7-band frequency analysis + spectral features + onset detection
+ * Band analysis + spectral features + onset detection
+ * Configurable band layouts: the eight default bands plus custom Hz ranges,
+ * log, mel, Bark or third-octave bands (BandLayout)
+ * Raw and AGC-normalized band values (normalizedBands)
+ * MFCC, spectral flatness, spread and contrast (SpectralFeatures)
+ * Chroma, key and chord (HarmonicAnalyzer)
  *
  * A Paul Phillips Manifestation
  * © 2025 Clear Seas Solutions LLC
  */
 
+import { createLogger } from '../core/Logger.js';
+import { TempoEstimator } from './TempoEstimator.js';
+import { OnsetDetector, ONSET_CLASS_NAMES } from './OnsetDetector.js';
+import { BandNormalizer } from './BandNormalizer.js';
+import { HarmonicAnalyzer } from './HarmonicAnalyzer.js';
+import { SpectralFeatures } from './SpectralFeatures.js';
+import { DEFAULT_BAND_LAYOUT, createBandLayout } from './BandLayout.js';
+
+const logger = createLogger('audio');
+
 export class AudioAnalyzer {
     constructor(audioInput, options = {}) {
         if (!audioInput) {
@@ -30,6 +45,13 @@ export class AudioAnalyzer {
             bandSmoothing = 0.8,
             onsetThreshold = 0.15,
             maxOnsetHistory = 32,
+            tempo = {},
+            onsets = {},
+            normalization = {},
+            harmony = {},
+            bands = 'default',
+            defaultBands = true,
+            spectral = {},
             timeProvider
         } = options;
 
@@ -57,17 +79,13 @@ export class AudioAnalyzer {
         this.timeData = new Uint8Array(this.binCount);
         this.prevFreqData = new Uint8Array(this.binCount);
 
-        // 7 frequency bands for professional audio analysis
-        this.bands = {
-            subBass: { low: 20, high: 60, value: 0 },       // Kick drums, sub bass
-            bass: { low: 60, high: 250, value: 0 },         // Bass guitar, low toms
-            lowMid: { low: 250, high: 500, value: 0 },      // Guitars, keyboards
-            mid: { low: 500, high: 2000, value: 0 },        // Vocals, snares
-            highMid: { low: 2000, high: 4000, value: 0 },   // Cymbals, guitars
-            high: { low: 4000, high: 8000, value: 0 },      // Hi-hats, strings
-            air: { low: 8000, high: 12000, value: 0 },      // Airiness, sparkle
-            ultraHigh: { low: 12000, high: 20000, value: 0 } // Extreme highs, sparkle
-        };
+        // Frequency bands: the default eight (onset detection and the engine
+        // rely on them) plus the requested layout, which may override them by name
+        this.bands = {};
+        const layout = createBandLayout(bands, { sampleRate: this.sampleRate });
+        [...(defaultBands ? DEFAULT_BAND_LAYOUT : []), ...layout].forEach(({ name, low, high }) => {
+            this.bands[name] = { low, high, value: 0 };
+        });
 
         // Smoothed band values for less jitter
         this.smoothedBands = {};
@@ -76,21 +94,49 @@ export class AudioAnalyzer {
         });
         this.smoothingFactor = bandSmoothing; // 0 = instant, 1 = no change
 
+        // Automatic gain control: rolling floor / ceiling per band
+        this.normalizer = new BandNormalizer(normalization);
+
         // Spectral features
         this.spectralCentroid = 0;  // Brightness of sound (weighted average frequency)
         this.spectralRolloff = 0;   // Frequency threshold for 85% of energy
         this.spectralFlux = 0;      // Rate of spectral change (onset detection)
+        this.spectralSpread = 0;    // Bandwidth around the centroid
         this.rms = 0;               // Root mean square (overall loudness)
 
+        // MFCC, flatness and contrast from the same FFT
+        this.spectral = new SpectralFeatures({
+            ...spectral,
+            sampleRate: this.sampleRate,
+            fftSize: this.fftSize,
+            minDecibels: this.analyser.minDecibels,
+            maxDecibels: this.analyser.maxDecibels
+        });
+
         // Onset detection (kicks, snares, transients)
         this.onsetHistory = [];
         this.lastOnsetTime = 0;
         this.onsetThreshold = onsetThreshold; // Minimum flux for onset detection
         this.lastOnsetEvent = { detected: false, strength: 0, time: 0 };
 
-        // BPM estimation
-        this.estimatedBPM = 120;
-        this.maxOnsetHistory = maxOnsetHistory; // Keep recent onsets for BPM calculation
+        // Labelled kick / snare / hat onsets from per-band flux
+        this.bandFlux = {};
+        this.onsetDetector = new OnsetDetector(onsets);
+
+        // BPM estimation (onset envelope autocorrelation, see TempoEstimator)
+        this.tempoEstimator = new TempoEstimator(tempo);
+        this.estimatedBPM = this.tempoEstimator.bpm;
+        this.bpmConfidence = 0;     // 0-1, periodicity + stability of the estimate
+        this.maxOnsetHistory = maxOnsetHistory; // Recent onset times
+
+        // Chroma / key / chord from the same FFT
+        this.harmonic = new HarmonicAnalyzer({
+            ...harmony,
+            sampleRate: this.sampleRate,
+            fftSize: this.fftSize,
+            minDecibels: this.analyser.minDecibels,
+            maxDecibels: this.analyser.maxDecibels
+        });
     }
 
     /**
@@ -106,7 +152,7 @@ export class AudioAnalyzer {
             this.analyser.getByteFrequencyData(this.freqData);
             this.analyser.getByteTimeDomainData(this.timeData);
         } catch (error) {
-            console.warn('AudioAnalyzer: failed to pull audio data, returning silent frame', error);
+            logger.warn('AudioAnalyzer: failed to pull audio data, returning silent frame', error);
             return this.createSilentFrame();
         }
 
@@ -115,17 +161,21 @@ export class AudioAnalyzer {
 
         // Calculate spectral features
         this.calcSpectralCentroid();
+        this.calcSpectralSpread();
         this.calcSpectralRolloff();
         this.calcSpectralFlux();
         this.calcRMS();
 
-        // Detect onsets (kicks, snares)
+        // Detect onsets: global transient + labelled kick / snare / hat
         const onsetEvent = this.detectOnset();
+        const onsets = this.onsetDetector.process(this.bandFlux, onsetEvent.time);
 
-        // Estimate BPM if we have enough data
-        if (this.onsetHistory.length >= 4) {
-            this.estimateBPM();
-        }
+        // Feed the onset envelope and update the tempo estimate
+        this.estimateBPM(onsetEvent.time);
+
+        // Harmony: chroma, key, chord changes
+        const harmony = this.harmonic.process(this.freqData, onsetEvent.time);
+        const spectral = this.spectral.process(this.freqData);
 
         // Store for next frame (for flux calculation)
         this.prevFreqData.set(this.freqData);
@@ -139,24 +189,36 @@ export class AudioAnalyzer {
 
         return {
             bands: bandValues,
+            normalizedBands: this.normalizer.process(bandValues, onsetEvent.time),
             bandDetails,
             spectralCentroid: this.spectralCentroid,
             spectralRolloff: this.spectralRolloff,
             spectralFlux: this.spectralFlux,
+            spectralSpread: this.spectralSpread,
+            spectralFlatness: spectral.spectralFlatness,
+            spectralContrast: spectral.spectralContrast,
+            mfcc: spectral.mfcc,
             rms: this.rms,
             onset: onsetEvent.strength,
             onsetEvent,
-            bpm: this.estimatedBPM
+            onsets,
+            bpm: this.estimatedBPM,
+            bpmConfidence: this.bpmConfidence,
+            tempo: this.getTempo(onsetEvent.time),
+            chroma: harmony.chroma,
+            key: harmony.key,
+            chord: harmony.chord,
+            chordChange: harmony.chordChange
         };
     }
 
     /**
-     * Analyze 7 frequency bands
+     * Analyze the configured frequency bands
      */
     analyzeBands() {
         for (const [name, band] of Object.entries(this.bands)) {
             const lowBin = this.freqToBin(band.low);
-            const highBin = this.freqToBin(band.high);
+            const highBin = Math.min(this.binCount - 1, this.freqToBin(band.high));
 
             let sum = 0;
             let count = 0;
@@ -195,6 +257,26 @@ export class AudioAnalyzer {
         this.spectralCentroid = sum > 0 ? Math.min(1, weightedSum / sum / 10000) : 0;
     }
 
+    /**
+     * Calculate spectral spread (bandwidth around the centroid)
+     * Same weighting and 10kHz scale as the centroid
+     */
+    calcSpectralSpread() {
+        const centroid = this.spectralCentroid * 10000;
+        let weightedSum = 0;
+        let sum = 0;
+
+        for (let i = 0; i < this.binCount; i++) {
+            const magnitude = this.freqData[i];
+            const distance = this.binToFreq(i) - centroid;
+
+            weightedSum += distance * distance * magnitude;
+            sum += magnitude;
+        }
+
+        this.spectralSpread = sum > 0 ? Math.min(1, Math.sqrt(weightedSum / sum) / 10000) : 0;
+    }
+
     /**
      * Calculate spectral rolloff
      * Frequency below which 85% of energy is contained
@@ -227,6 +309,8 @@ export class AudioAnalyzer {
     calcSpectralFlux() {
         let flux = 0;
 
+        this.calcBandFlux();
+
         for (let i = 0; i < this.binCount; i++) {
             const diff = this.freqData[i] - this.prevFreqData[i];
             // Only positive changes (energy increases)
@@ -239,6 +323,26 @@ export class AudioAnalyzer {
         this.spectralFlux = Math.min(1, flux / (this.binCount * 128));
     }
 
+    /**
+     * Positive spectral flux per frequency band (0-1), input for the labelled onset detectors
+     */
+    calcBandFlux() {
+        for (const [name, band] of Object.entries(this.bands)) {
+            const lowBin = this.freqToBin(band.low);
+            const highBin = Math.min(this.binCount - 1, this.freqToBin(band.high));
+
+            let flux = 0;
+            for (let i = lowBin; i <= highBin; i++) {
+                const diff = this.freqData[i] - this.prevFreqData[i];
+                if (diff > 0) {
+                    flux += diff;
+                }
+            }
+
+            this.bandFlux[name] = highBin >= lowBin ? flux / ((highBin - lowBin + 1) * 255) : 0;
+        }
+    }
+
     /**
      * Calculate RMS (root mean square) for overall loudness
      */
@@ -290,30 +394,38 @@ export class AudioAnalyzer {
     }
 
     /**
-     * Estimate BPM from onset history
+     * Estimate BPM from the band flux envelope (see TempoEstimator). Bands are
+     * averaged so a kick in the few low bins counts as much as a broadband snare.
      */
-    estimateBPM() {
-        if (this.onsetHistory.length < 4) {
-            return 120; // Default
-        }
-
-        // Calculate intervals between onsets
-        const intervals = [];
-        for (let i = 1; i < this.onsetHistory.length; i++) {
-            intervals.push(this.onsetHistory[i] - this.onsetHistory[i - 1]);
-        }
-
-        // Get median interval (more robust than average)
-        intervals.sort((a, b) => a - b);
-        const medianInterval = intervals[Math.floor(intervals.length / 2)];
+    estimateBPM(time = this.getCurrentTime()) {
+        const bandFlux = Object.values(this.bandFlux);
+        const strength = bandFlux.length > 0
+            ? bandFlux.reduce((sum, flux) => sum + flux, 0) / bandFlux.length
+            : this.spectralFlux;
+        this.tempoEstimator.push(strength, time);
+        const { bpm, confidence } = this.tempoEstimator.getTempo(time);
+        this.estimatedBPM = bpm;
+        this.bpmConfidence = confidence;
+        return this.estimatedBPM;
+    }
 
-        // Convert interval to BPM (60000ms per minute)
-        const bpm = 60000 / medianInterval;
+    /**
+     * Current tempo estimate: { bpm, confidence, phase (0-1 within the beat), locked }
+     */
+    getTempo(time = this.getCurrentTime()) {
+        return this.tempoEstimator.getTempo(time);
+    }
 
-        // Clamp to reasonable range
-        this.estimatedBPM = Math.max(60, Math.min(200, bpm));
+    /**
+     * Capture the noise floor for `duration` ms (keep the input silent / room tone only).
+     * Resolves with { band: noiseFloor }; store it and pass it back via setNoiseFloor().
+     */
+    calibrateNoiseFloor(duration = 3000) {
+        return this.normalizer.startCalibration(duration);
+    }
 
-        return this.estimatedBPM;
+    setNoiseFloor(noiseFloor) {
+        this.normalizer.setNoiseFloor(noiseFloor);
     }
 
     /**
@@ -343,9 +455,14 @@ export class AudioAnalyzer {
             spectralCentroid: this.spectralCentroid.toFixed(3),
             spectralRolloff: this.spectralRolloff.toFixed(3),
             spectralFlux: this.spectralFlux.toFixed(3),
+            spectralSpread: this.spectralSpread.toFixed(3),
             rms: this.rms.toFixed(3),
             bpm: this.estimatedBPM.toFixed(1),
-            onsetCount: this.onsetHistory.length
+            bpmConfidence: this.bpmConfidence.toFixed(2),
+            onsetCount: this.onsetHistory.length,
+            key: this.harmonic.key?.name ?? null,
+            chord: this.harmonic.chord?.name ?? null,
+            normalization: this.normalizer.getLevels()
         };
     }
 
@@ -365,17 +482,32 @@ export class AudioAnalyzer {
             strength: 0,
             time: this.getCurrentTime()
         };
+        const onsets = {};
+        ONSET_CLASS_NAMES.forEach(name => {
+            onsets[name] = { detected: false, strength: 0, time: onsetEvent.time, class: name };
+        });
 
         return {
             bands: bandValues,
+            normalizedBands: { ...bandValues },
             bandDetails,
             spectralCentroid: 0,
             spectralRolloff: 0,
             spectralFlux: 0,
+            spectralSpread: 0,
+            spectralFlatness: 0,
+            spectralContrast: 0,
+            mfcc: new Array(this.spectral.options.mfccCount).fill(0),
             rms: 0,
             onset: 0,
             onsetEvent,
-            bpm: this.estimatedBPM
+            onsets,
+            bpm: this.estimatedBPM,
+            bpmConfidence: this.bpmConfidence,
+            chroma: new Array(12).fill(0),
+            key: this.harmonic.key ? { ...this.harmonic.key } : null,
+            chord: null,
+            chordChange: { detected: false, strength: 0, from: null, to: null, time: onsetEvent.time }
         };
     }
 
@@ -387,7 +519,7 @@ export class AudioAnalyzer {
             }
             return value;
         } catch (error) {
-            console.warn('AudioAnalyzer: failed to resolve current time', error);
+            logger.warn('AudioAnalyzer: failed to resolve current time', error);
             return Date.now();
         }
     }
@@ -0,0 +1,297 @@
+/**
+ * Audio Routing Matrix
+ * Map ANY analyzer feature to ANY visualizer parameter
+ *
+ * - Sources: bands of the analyzer's layout (raw.* / norm.* for AGC values), rms/energy,
+ *   onset (+ kick/snare/hat), spectral flux/centroid/rolloff/spread/flatness/contrast,
+ *   mfcc.c0 ... / chroma.C ... (same names as trigger expressions),
+ *   key / chord (circle-of-fifths position 0-1), chordChange, dotted paths
+ * - Amount + offset, inversion
+ * - Linear / exponential / logarithmic / S-curve response
+ * - Attack/release smoothing (ms)
+ * - JSON serializable so presets can carry routings
+ *
+ * A Paul Phillips Manifestation
+ * © 2025 Clear Seas Solutions LLC
+ */
+
+import { CHROMA_KEYS } from './HarmonicAnalyzer.js';
+
+const clamp01 = (value) => Math.min(1, Math.max(0, Number.isFinite(value) ? value : 0));
+
+/**
+ * Response curves, all mapping 0-1 → 0-1
+ */
+export const RESPONSE_CURVES = {
+    linear: t => t,
+    exponential: t => (Math.exp(3 * t) - 1) / (Math.exp(3) - 1),
+    logarithmic: t => Math.log1p(9 * t) / Math.log(10),
+    sCurve: t => t * t * (3 - 2 * t)
+};
+
+/**
+ * Resolve a routing source name against a normalized analysis frame
+ */
+export function resolveAudioSource(audioData, source) {
+    if (!audioData || !source) return 0;
+
+    const bands = audioData.bands || {};
+    if (source in bands) {
+        return bands[source];
+    }
+
+    // Explicit band flavour: "raw.bass" (byte FFT average) or "norm.bass" (AGC-normalized)
+    const flavour = /^(raw|norm)\.(\w+)$/.exec(source);
+    if (flavour) {
+        const values = flavour[1] === 'norm' ? audioData.normalizedBands || bands : bands;
+        return values[flavour[2]] ?? 0;
+    }
+
+    switch (source) {
+        case 'rms':
+        case 'energy':
+            return audioData.rms ?? audioData.energy ?? 0;
+        case 'onset':
+            return typeof audioData.onset === 'number' ? audioData.onset : audioData.onsetEvent?.strength ?? 0;
+        case 'kick':
+        case 'snare':
+        case 'hat':
+            return audioData.onsets?.[source]?.detected ? audioData.onsets[source].strength : 0;
+        case 'centroid':
+            return audioData.spectralCentroid ?? 0;
+        case 'rolloff':
+            return audioData.spectralRolloff ?? 0;
+        case 'flux':
+            return audioData.spectralFlux ?? 0;
+        case 'spread':
+            return audioData.spectralSpread ?? 0;
+        case 'flatness':
+            return audioData.spectralFlatness ?? 0;
+        case 'contrast':
+            return audioData.spectralContrast ?? 0;
+        case 'key':
+        case 'chord':
+            return audioData[source]?.position ?? 0;
+        case 'chordChange':
+            return audioData.chordChange?.detected ? audioData.chordChange.strength : 0;
+        default:
+            break;
+    }
+
+    // Vector features by name: "mfcc.c1", "chroma.Fs"
+    const coefficient = /^mfcc\.c(\d+)$/.exec(source);
+    if (coefficient) {
+        return audioData.mfcc?.[Number(coefficient[1])] ?? 0;
+    }
+    const pitchClass = /^chroma\.(\w+)$/.exec(source);
+    if (pitchClass && CHROMA_KEYS.includes(pitchClass[1])) {
+        return audioData.chroma?.[CHROMA_KEYS.indexOf(pitchClass[1])] ?? 0;
+    }
+
+    // Dotted paths, e.g. "rhythmPhases.accentPulse" or "spectralFlux"
+    let value = audioData;
+    for (const key of source.split('.')) {
+        if (value === null || value === undefined) return 0;
+        value = value[key];
+    }
+    if (typeof value === 'object' && typeof value?.value === 'number') return value.value;
+    return typeof value === 'number' ? value : 0;
+}
+
+let routeCounter = 0;
+
+export class AudioRoute {
+    constructor(config = {}) {
+        if (!config.param) {
+            throw new Error('AudioRoute requires a target param');
+        }
+        if (!config.source) {
+            throw new Error('AudioRoute requires a source');
+        }
+
+        const curve = config.curve || 'linear';
+        if (!RESPONSE_CURVES[curve]) {
+            throw new Error(`Unknown routing curve: ${curve} (expected ${Object.keys(RESPONSE_CURVES).join(', ')})`);
+        }
+
+        this.id = config.id || `route_${++routeCounter}`;
+
+        // Keep generated ids unique after loading serialized routes
+        const numericId = /^route_(\d+)$/.exec(this.id);
+        if (numericId) {
+            routeCounter = Math.max(routeCounter, Number(numericId[1]));
+        }
+
+        this.param = config.param;
+        this.source = config.source;
+        this.amount = config.amount ?? 1.0;
+        this.offset = config.offset ?? 0;
+        this.curve = curve;
+        this.attack = Math.max(0, config.attack ?? 0);    // ms to rise
+        this.release = Math.max(0, config.release ?? 0);  // ms to fall
+        this.invert = !!config.invert;
+        this.enabled = config.enabled !== false;
+
+        this.value = 0; // smoothed, curved source level
+    }
+
+    /**
+     * Compute this route's parameter offset for the current frame
+     */
+    process(audioData, deltaTime = 16) {
+        let level = clamp01(resolveAudioSource(audioData, this.source));
+        if (this.invert) {
+            level = 1 - level;
+        }
+        level = RESPONSE_CURVES[this.curve](level);
+
+        // One-pole attack/release smoothing
+        const timeConstant = level > this.value ? this.attack : this.release;
+        if (timeConstant > 0) {
+            const coefficient = 1 - Math.exp(-Math.max(0, deltaTime) / timeConstant);
+            this.value += (level - this.value) * coefficient;
+        } else {
+            this.value = level;
+        }
+
+        return this.offset + this.value * this.amount;
+    }
+
+    reset() {
+        this.value = 0;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            param: this.param,
+            source: this.source,
+            amount: this.amount,
+            offset: this.offset,
+            curve: this.curve,
+            attack: this.attack,
+            release: this.release,
+            invert: this.invert,
+            enabled: this.enabled
+        };
+    }
+}
+
+export class AudioRoutingMatrix {
+    constructor(routes = []) {
+        this.routes = new Map();
+        this.enabled = true;
+        this.lastOutput = {};
+
+        routes.forEach(route => this.addRoute(route));
+    }
+
+    /**
+     * Add a route ({ param, source, amount, offset, curve, attack, release, invert })
+     */
+    addRoute(config) {
+        const route = config instanceof AudioRoute ? config : new AudioRoute(config);
+        this.routes.set(route.id, route);
+        return route.id;
+    }
+
+    /**
+     * Update an existing route in place (keeps its smoothing state)
+     */
+    updateRoute(id, changes = {}) {
+        const route = this.routes.get(id);
+        if (!route) return false;
+
+        if (changes.curve && !RESPONSE_CURVES[changes.curve]) {
+            throw new Error(`Unknown routing curve: ${changes.curve}`);
+        }
+
+        ['param', 'source', 'amount', 'offset', 'curve', 'attack', 'release', 'invert', 'enabled'].forEach(key => {
+            if (changes[key] !== undefined) {
+                route[key] = changes[key];
+            }
+        });
+        return true;
+    }
+
+    removeRoute(id) {
+        return this.routes.delete(id);
+    }
+
+    clear() {
+        this.routes.clear();
+        this.lastOutput = {};
+    }
+
+    getRoutes() {
+        return [...this.routes.values()];
+    }
+
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+    }
+
+    /**
+     * Evaluate all routes; multiple routes to the same param are summed
+     */
+    process(audioData, deltaTime = 16) {
+        const output = {};
+        if (!this.enabled) {
+            this.lastOutput = output;
+            return output;
+        }
+
+        this.routes.forEach(route => {
+            if (!route.enabled) return;
+            output[route.param] = (output[route.param] || 0) + route.process(audioData, deltaTime);
+        });
+
+        this.lastOutput = output;
+        return output;
+    }
+
+    /**
+     * Evaluate routes and write the result into a ParameterMixer's reaction layer
+     */
+    applyTo(mixer, audioData, deltaTime = 16, sourceId = 'routing') {
+        const output = this.process(audioData, deltaTime);
+        mixer.clearReaction(sourceId);
+        Object.entries(output).forEach(([param, offset]) => {
+            mixer.setReaction(sourceId, param, offset);
+        });
+        return output;
+    }
+
+    toJSON() {
+        return this.getRoutes().map(route => route.toJSON());
+    }
+
+    /**
+     * Load routes from serialized JSON (array or { routes: [...] }).
+     * Without a scope all routes are replaced; with { scope } only routes previously
+     * loaded under that scope are, and new ids become "<scope>:<id>"
+     */
+    load(json, { scope } = {}) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const routes = Array.isArray(data) ? data : data?.routes || [];
+
+        if (scope === undefined) {
+            this.clear();
+            routes.forEach(route => this.addRoute(route));
+            return this;
+        }
+
+        const prefix = `${scope}:`;
+        [...this.routes.keys()]
+            .filter(id => id.startsWith(prefix))
+            .forEach(id => this.routes.delete(id));
+        routes.forEach((route, index) => {
+            this.addRoute({ ...route, id: `${prefix}${route.id || `route_${index + 1}`}` });
+        });
+        return this;
+    }
+
+    static fromJSON(json) {
+        return new AudioRoutingMatrix().load(json);
+    }
+}
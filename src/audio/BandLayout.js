@@ -0,0 +1,140 @@
+/**
+ * Band Layouts
+ * Named frequency band sets for AudioAnalyzer
+ *
+ * - default: the eight named bands (subBass ... ultraHigh)
+ * - custom: [{ name, low, high }, ...] in Hz
+ * - generated: log, mel, bark and thirdOctave layouts, named <type><index>
+ *   (log0, mel12, bark3, thirdOctave20) so routes and triggers can address them
+ * - Names of built-in trigger / routing sources (rms, onset, key, time, ...) are
+ *   reserved: a band with one of them would shadow the built-in in one place but not the other
+ *
+ * A Paul Phillips Manifestation
+ * © 2025 Clear Seas Solutions LLC
+ */
+
+import { ONSET_CLASS_NAMES } from './OnsetDetector.js';
+
+export const DEFAULT_BAND_LAYOUT = [
+    { name: 'subBass', low: 20, high: 60 },        // Kick drums, sub bass
+    { name: 'bass', low: 60, high: 250 },          // Bass guitar, low toms
+    { name: 'lowMid', low: 250, high: 500 },       // Guitars, keyboards
+    { name: 'mid', low: 500, high: 2000 },         // Vocals, snares
+    { name: 'highMid', low: 2000, high: 4000 },    // Cymbals, guitars
+    { name: 'high', low: 4000, high: 8000 },       // Hi-hats, strings
+    { name: 'air', low: 8000, high: 12000 },       // Airiness, sparkle
+    { name: 'ultraHigh', low: 12000, high: 20000 } // Extreme highs, sparkle
+];
+
+export const BAND_LAYOUT_TYPES = ['default', 'log', 'mel', 'bark', 'thirdOctave'];
+
+// Zwicker critical band edges (Hz), 24 Bark bands
+const BARK_EDGES = [20, 100, 200, 300, 400, 510, 630, 770, 920, 1080, 1270, 1480, 1720, 2000,
+    2320, 2700, 3150, 3700, 4400, 5300, 6400, 7700, 9500, 12000, 15500];
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Trigger scope keys and routing source names a band may not take over
+export const RESERVED_BAND_NAMES = new Set([
+    ...ONSET_CLASS_NAMES,
+    'bands', 'raw', 'norm', 'rhythm', 'rhythmPhases',
+    'rms', 'energy', 'onset', 'onsets',
+    'spectralCentroid', 'spectralRolloff', 'spectralFlux', 'spectralSpread', 'spectralFlatness', 'spectralContrast',
+    'centroid', 'rolloff', 'flux', 'spread', 'flatness', 'contrast',
+    'mfcc', 'chroma', 'key', 'chord', 'chordChange',
+    'bpm', 'dynamics', 'color', 'memory', 'beat', 'measure', 'beatInMeasure', 'time',
+    'true', 'false'
+]);
+
+export const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+export const melToHz = (mel) => 700 * (10 ** (mel / 2595) - 1);
+
+/**
+ * Split [min, max] into `count` bands with edges evenly spaced on a warped scale
+ */
+function warpedBands(type, count, min, max, toScale, fromScale) {
+    const low = toScale(min);
+    const high = toScale(max);
+    return Array.from({ length: count }, (_, i) => ({
+        name: `${type}${i}`,
+        low: fromScale(low + (high - low) * i / count),
+        high: fromScale(low + (high - low) * (i + 1) / count)
+    }));
+}
+
+/**
+ * Third-octave bands around the 1 kHz reference (edges at centre x 2^±1/6),
+ * kept when their centre lies within [min, max]
+ */
+function thirdOctaveBands(min, max) {
+    const bands = [];
+    for (let k = -20; k <= 14; k++) {
+        const center = 1000 * 2 ** (k / 3);
+        const low = center * 2 ** (-1 / 6);
+        const high = center * 2 ** (1 / 6);
+        if (center < min || center > max) continue;
+        bands.push({ name: `thirdOctave${bands.length}`, low: Math.max(low, min), high: Math.min(high, max) });
+    }
+    return bands;
+}
+
+/**
+ * Build a band layout: [{ name, low, high }], frequencies clamped to Nyquist for generated layouts.
+ * spec: 'default' | 'log' | 'mel' | 'bark' | 'thirdOctave'
+ *     | { type, count, min, max }
+ *     | [{ name, low, high }, ...]
+ */
+export function createBandLayout(spec = 'default', options = {}) {
+    const nyquist = (options.sampleRate ?? 44100) / 2;
+    let bands;
+
+    if (Array.isArray(spec)) {
+        bands = spec.map(band => ({ name: band.name, low: band.low, high: band.high }));
+    } else {
+        const config = typeof spec === 'string' ? { type: spec } : { ...spec };
+        const min = config.min ?? 20;
+        const max = Math.min(config.max ?? 20000, nyquist);
+
+        switch (config.type) {
+            case 'default':
+                bands = DEFAULT_BAND_LAYOUT.map(band => ({ ...band }));
+                break;
+            case 'log':
+                bands = warpedBands('log', config.count ?? 16, min, max, Math.log, Math.exp);
+                break;
+            case 'mel':
+                bands = warpedBands('mel', config.count ?? 24, min, max, hzToMel, melToHz);
+                break;
+            case 'bark':
+                bands = BARK_EDGES.slice(0, -1)
+                    .map((low, i) => ({ name: `bark${i}`, low, high: BARK_EDGES[i + 1] }))
+                    .filter(band => band.low < max && band.high > min)
+                    .map(band => ({ ...band, low: Math.max(band.low, min), high: Math.min(band.high, max) }));
+                break;
+            case 'thirdOctave':
+                bands = thirdOctaveBands(min, max);
+                break;
+            default:
+                throw new Error(`Unknown band layout "${config.type}" (known: ${BAND_LAYOUT_TYPES.join(', ')})`);
+        }
+    }
+
+    const names = new Set();
+    bands.forEach(band => {
+        if (typeof band.name !== 'string' || !IDENTIFIER.test(band.name)) {
+            throw new Error(`Band name "${band.name}" must be an identifier (letters, digits, _)`);
+        }
+        if (RESERVED_BAND_NAMES.has(band.name)) {
+            throw new Error(`Band name "${band.name}" is reserved for a built-in audio source`);
+        }
+        if (names.has(band.name)) {
+            throw new Error(`Duplicate band name "${band.name}"`);
+        }
+        if (!Number.isFinite(band.low) || !Number.isFinite(band.high) || band.low < 0 || band.high <= band.low) {
+            throw new Error(`Band "${band.name}" needs 0 <= low < high, got ${band.low}-${band.high}Hz`);
+        }
+        names.add(band.name);
+    });
+
+    return bands;
+}
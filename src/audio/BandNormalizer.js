@@ -0,0 +1,173 @@
+/**
+ * Band Normalizer
+ * Adaptive per-band normalization (automatic gain control)
+ *
+ * - Rolling floor / ceiling per band from low / high percentiles over a window
+ * - Attack (range widening) and release (range narrowing) smoothing in ms
+ * - Minimum range so silence is not amplified into full-scale noise
+ * - Calibration captures the noise floor; normalized values stay 0 below it
+ *
+ * A Paul Phillips Manifestation
+ * © 2025 Clear Seas Solutions LLC
+ */
+
+const clamp01 = (value) => Math.min(1, Math.max(0, Number.isFinite(value) ? value : 0));
+
+export const BAND_NORMALIZER_DEFAULTS = {
+    window: 8000,           // ms of history for the floor / ceiling percentiles
+    sampleInterval: 50,     // ms per history sample (keeps the window cheap)
+    floorPercentile: 0.1,
+    ceilingPercentile: 0.95,
+    attack: 100,            // ms to follow a louder ceiling / quieter floor
+    release: 4000,          // ms to follow a quieter ceiling / louder floor
+    minRange: 0.04,         // smallest ceiling - floor span
+    calibrationMargin: 1.2  // noise floor = captured level x margin
+};
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * (sorted.length - 1) + 0.5))];
+}
+
+export class BandNormalizer {
+    constructor(options = {}) {
+        this.options = { ...BAND_NORMALIZER_DEFAULTS, ...options };
+        this.noiseFloor = { ...(options.noiseFloor || {}) };
+        this.calibration = null;
+        this.reset();
+    }
+
+    reset() {
+        this.state = {};      // band -> { history, pending, floor, ceiling }
+        this.lastTime = null;
+    }
+
+    bandState(name, value) {
+        if (!this.state[name]) {
+            this.state[name] = {
+                history: [],
+                pending: { time: null, max: 0, min: Infinity },
+                floor: this.noiseFloor[name] ?? 0,
+                ceiling: Math.max(value, (this.noiseFloor[name] ?? 0) + this.options.minRange)
+            };
+        }
+        return this.state[name];
+    }
+
+    /**
+     * Smooth a tracker toward its target with separate attack / release times
+     */
+    follow(current, target, widening, deltaTime) {
+        const time = widening ? this.options.attack : this.options.release;
+        const alpha = time > 0 ? 1 - Math.exp(-deltaTime / time) : 1;
+        return current + (target - current) * alpha;
+    }
+
+    /**
+     * Normalize one frame of raw band values (0-1); returns { band: normalized }
+     */
+    process(bands, time) {
+        const deltaTime = this.lastTime === null ? 0 : Math.max(0, time - this.lastTime);
+        this.lastTime = time;
+        const options = this.options;
+        const normalized = {};
+
+        if (this.calibration) {
+            this.captureCalibration(bands, time);
+        }
+
+        Object.entries(bands).forEach(([name, raw]) => {
+            const value = Number.isFinite(raw) ? raw : 0;
+            const state = this.bandState(name, value);
+
+            // Decimated history: each sample keeps the extremes of its interval
+            const pending = state.pending;
+            if (pending.time === null) pending.time = time;
+            pending.max = Math.max(pending.max, value);
+            pending.min = Math.min(pending.min, value);
+            if (time - pending.time >= options.sampleInterval) {
+                state.history.push({ time, max: pending.max, min: pending.min });
+                state.pending = { time, max: 0, min: Infinity };
+                while (state.history.length > 0 && time - state.history[0].time > options.window) {
+                    state.history.shift();
+                }
+            }
+
+            if (state.history.length > 0) {
+                const maxima = state.history.map(sample => sample.max).sort((a, b) => a - b);
+                const minima = state.history.map(sample => sample.min).sort((a, b) => a - b);
+                const ceilingTarget = percentile(maxima, options.ceilingPercentile);
+                const floorTarget = Math.max(percentile(minima, options.floorPercentile), this.noiseFloor[name] ?? 0);
+
+                state.ceiling = this.follow(state.ceiling, ceilingTarget, ceilingTarget > state.ceiling, deltaTime);
+                state.floor = this.follow(state.floor, floorTarget, floorTarget < state.floor, deltaTime);
+            }
+
+            // Instant peaks above the ceiling still read as full scale
+            const range = Math.max(options.minRange, state.ceiling - state.floor);
+            normalized[name] = clamp01((value - state.floor) / range);
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Current { floor, ceiling } per band
+     */
+    getLevels() {
+        const levels = {};
+        Object.entries(this.state).forEach(([name, state]) => {
+            levels[name] = { floor: state.floor, ceiling: state.ceiling };
+        });
+        return levels;
+    }
+
+    /**
+     * Capture the noise floor for `duration` ms (play silence / room tone meanwhile).
+     * Resolves with { band: noiseFloor } once enough frames were processed.
+     */
+    startCalibration(duration = 3000) {
+        return new Promise(resolve => {
+            this.calibration = { duration, startTime: null, samples: {}, resolve };
+        });
+    }
+
+    captureCalibration(bands, time) {
+        const calibration = this.calibration;
+        if (calibration.startTime === null) calibration.startTime = time;
+
+        Object.entries(bands).forEach(([name, value]) => {
+            (calibration.samples[name] ||= []).push(Number.isFinite(value) ? value : 0);
+        });
+
+        if (time - calibration.startTime < calibration.duration) return;
+
+        const noiseFloor = {};
+        Object.entries(calibration.samples).forEach(([name, samples]) => {
+            const sorted = [...samples].sort((a, b) => a - b);
+            noiseFloor[name] = Math.min(1, percentile(sorted, 0.95) * this.options.calibrationMargin);
+        });
+
+        this.calibration = null;
+        this.setNoiseFloor(noiseFloor);
+        calibration.resolve({ ...noiseFloor });
+    }
+
+    isCalibrating() {
+        return this.calibration !== null;
+    }
+
+    /**
+     * Restore a stored noise floor (e.g. from a previous calibration)
+     */
+    setNoiseFloor(noiseFloor = {}) {
+        this.noiseFloor = { ...noiseFloor };
+        Object.entries(this.state).forEach(([name, state]) => {
+            state.floor = Math.max(state.floor, this.noiseFloor[name] ?? 0);
+        });
+    }
+
+    getNoiseFloor() {
+        return { ...this.noiseFloor };
+    }
+}
@@ -0,0 +1,355 @@
+/**
+ * Feature Track
+ * Timestamped analysis frames in a compact, replayable form
+ *
+ * - One row of numbers per analysis frame (fields listed in FEATURE_FIELDS, plus
+ *   band.<name> / norm.<name> for bands of a custom layout and mfcc.c<n> for
+ *   coefficients past the default 13, see featureFieldsFor())
+ * - JSON ({ format, version, ..., fields, frames: [[...], ...] }) or binary
+ *   ("VFT1" + JSON header + Float32 rows) encodings
+ * - getFrame() rebuilds an AudioAnalyzer-shaped frame, so a track can be fed
+ *   straight into ChoreographyEngine.step(frame.time, frame) without Web Audio
+ *
+ * A Paul Phillips Manifestation
+ * © 2025 Clear Seas Solutions LLC
+ */
+
+import { ONSET_CLASS_NAMES } from './OnsetDetector.js';
+import { CHROMA_KEYS, describeKey, describeChord } from './HarmonicAnalyzer.js';
+import { DEFAULT_BAND_LAYOUT } from './BandLayout.js';
+import { SPECTRAL_FEATURE_DEFAULTS, mfccKey } from './SpectralFeatures.js';
+
+export const FEATURE_TRACK_FORMAT = 'vib34d-feature-track';
+export const FEATURE_TRACK_VERSION = 1;
+
+export const BAND_NAMES = DEFAULT_BAND_LAYOUT.map(band => band.name);
+
+const MFCC_FIELDS = Array.from({ length: SPECTRAL_FEATURE_DEFAULTS.mfccCount }, (_, i) => `mfcc.${mfccKey(i)}`);
+
+export const FEATURE_FIELDS = [
+    'time',
+    ...BAND_NAMES,
+    ...BAND_NAMES.map(name => `norm.${name}`),
+    'spectralCentroid',
+    'spectralRolloff',
+    'spectralFlux',
+    'spectralSpread',
+    'spectralFlatness',
+    'spectralContrast',
+    ...MFCC_FIELDS,
+    'rms',
+    'onset',
+    'onsetDetected',
+    ...ONSET_CLASS_NAMES,       // strength when the class fired on this frame, else 0
+    'bpm',
+    'bpmConfidence',
+    'tempoPhase',
+    ...CHROMA_KEYS.map(name => `chroma.${name}`),
+    'keyIndex',                 // root + 12 for minor, -1 unknown
+    'keyConfidence',
+    'chordIndex',
+    'chordConfidence',
+    'chordChange'               // strength when the chord changed on this frame, else 0
+];
+
+// Tracks written before a field existed read it as this value (0 when not listed)
+const FIELD_DEFAULTS = { keyIndex: -1, chordIndex: -1 };
+const REQUIRED_FIELDS = ['time', ...BAND_NAMES];
+
+const BINARY_MAGIC = 'VFT1';
+const JSON_PRECISION = 1e4;
+
+const FEATURE_INDEX = new Map(FEATURE_FIELDS.map((field, i) => [field, i]));
+
+/**
+ * Fields needed to record frames like this one: FEATURE_FIELDS plus the
+ * bands and MFCC coefficients a configured analyzer adds
+ */
+export function featureFieldsFor(frame = {}) {
+    const extraBands = Object.keys(frame.bands || {}).filter(name => !BAND_NAMES.includes(name));
+    const extraMfcc = Array.from(
+        { length: Math.max(0, (frame.mfcc?.length ?? 0) - MFCC_FIELDS.length) },
+        (_, i) => `mfcc.${mfccKey(MFCC_FIELDS.length + i)}`
+    );
+    return [
+        ...FEATURE_FIELDS,
+        ...extraBands.map(name => `band.${name}`),
+        ...extraBands.map(name => `norm.${name}`),
+        ...extraMfcc
+    ];
+}
+
+/**
+ * Value of a field outside FEATURE_FIELDS (band.<name>, norm.<name>, mfcc.c<n>)
+ */
+function extraFieldValue(frame, field) {
+    const [group, name] = field.split('.');
+    switch (group) {
+        case 'band':
+            return frame.bands?.[name] ?? 0;
+        case 'norm':
+            return (frame.normalizedBands || frame.bands)?.[name] ?? 0;
+        case 'mfcc':
+            return frame.mfcc?.[Number(name.slice(1))] ?? 0;
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Flatten an analysis frame into a row of values in `fields` order
+ */
+export function frameToRow(frame, time = frame.onsetEvent?.time ?? 0, fields = FEATURE_FIELDS) {
+    const bands = frame.bands || {};
+    const normalized = frame.normalizedBands || bands;
+    const onsets = frame.onsets || {};
+
+    const row = [
+        time,
+        ...BAND_NAMES.map(name => bands[name] ?? 0),
+        ...BAND_NAMES.map(name => normalized[name] ?? 0),
+        frame.spectralCentroid ?? 0,
+        frame.spectralRolloff ?? 0,
+        frame.spectralFlux ?? 0,
+        frame.spectralSpread ?? 0,
+        frame.spectralFlatness ?? 0,
+        frame.spectralContrast ?? 0,
+        ...MFCC_FIELDS.map((_, i) => frame.mfcc?.[i] ?? 0),
+        frame.rms ?? 0,
+        frame.onset ?? frame.onsetEvent?.strength ?? 0,
+        frame.onsetEvent?.detected ? 1 : 0,
+        ...ONSET_CLASS_NAMES.map(name => onsets[name]?.detected ? onsets[name].strength : 0),
+        frame.bpm ?? 0,
+        frame.bpmConfidence ?? 0,
+        frame.tempo?.phase ?? 0,
+        ...CHROMA_KEYS.map((_, i) => frame.chroma?.[i] ?? 0),
+        frame.key?.index ?? -1,
+        frame.key?.confidence ?? 0,
+        frame.chord?.index ?? -1,
+        frame.chord?.confidence ?? 0,
+        frame.chordChange?.detected ? frame.chordChange.strength : 0
+    ];
+
+    if (fields === FEATURE_FIELDS) return row;
+    return fields.map(field => FEATURE_INDEX.has(field) ? row[FEATURE_INDEX.get(field)] : extraFieldValue(frame, field));
+}
+
+export class FeatureTrack {
+    /**
+     * meta: { sampleRate, hopSize, fftSize, source, ... }; rows: arrays (or Float32Arrays)
+     * in field order, sorted by time
+     */
+    constructor(meta = {}, rows = [], fields = FEATURE_FIELDS) {
+        this.meta = { ...meta };
+        this.fields = [...fields];
+        this.rows = rows;
+        this.index = new Map(this.fields.map((field, i) => [field, i]));
+        this.extraBands = this.fields.filter(field => field.startsWith('band.')).map(field => field.slice(5));
+        this.mfccFields = this.fields.filter(field => field.startsWith('mfcc.'));
+        if (this.mfccFields.length < MFCC_FIELDS.length) this.mfccFields = MFCC_FIELDS;
+
+        const missing = REQUIRED_FIELDS.filter(field => !this.index.has(field));
+        if (missing.length > 0) {
+            throw new Error(`Feature track is missing fields: ${missing.join(', ')}`);
+        }
+    }
+
+    get length() {
+        return this.rows.length;
+    }
+
+    /**
+     * Track length in ms (time of the last frame)
+     */
+    get duration() {
+        return this.rows.length > 0 ? this.value(this.rows.length - 1, 'time') : 0;
+    }
+
+    /**
+     * Append an analysis frame
+     */
+    push(frame, time) {
+        this.rows.push(frameToRow(frame, time, this.fields));
+    }
+
+    value(rowIndex, field) {
+        const column = this.index.get(field);
+        return column === undefined ? FIELD_DEFAULTS[field] ?? 0 : this.rows[rowIndex][column];
+    }
+
+    /**
+     * Index of the last frame at or before `time` (ms), -1 before the first frame
+     */
+    frameIndexAt(time) {
+        let low = 0;
+        let high = this.rows.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (this.value(middle, 'time') <= time) {
+                found = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Rebuild an AudioAnalyzer-shaped frame
+     */
+    getFrame(rowIndex) {
+        const get = (field) => this.value(rowIndex, field);
+        const time = get('time');
+
+        const bands = {};
+        const normalizedBands = {};
+        BAND_NAMES.forEach(name => {
+            bands[name] = get(name);
+            normalizedBands[name] = get(`norm.${name}`);
+        });
+        this.extraBands.forEach(name => {
+            bands[name] = get(`band.${name}`);
+            normalizedBands[name] = get(`norm.${name}`);
+        });
+
+        const onsets = {};
+        ONSET_CLASS_NAMES.forEach(name => {
+            const strength = get(name);
+            onsets[name] = { detected: strength > 0, strength, time, class: name };
+        });
+
+        const keyIndex = get('keyIndex');
+        const chordIndex = get('chordIndex');
+        const chord = chordIndex >= 0 ? describeChord(chordIndex, get('chordConfidence')) : null;
+        const changeStrength = get('chordChange');
+        const previousChord = rowIndex > 0 ? this.value(rowIndex - 1, 'chordIndex') : -1;
+
+        return {
+            time,
+            bands,
+            normalizedBands,
+            spectralCentroid: get('spectralCentroid'),
+            spectralRolloff: get('spectralRolloff'),
+            spectralFlux: get('spectralFlux'),
+            spectralSpread: get('spectralSpread'),
+            spectralFlatness: get('spectralFlatness'),
+            spectralContrast: get('spectralContrast'),
+            mfcc: this.mfccFields.map(field => get(field)),
+            rms: get('rms'),
+            onset: get('onset'),
+            onsetEvent: { detected: get('onsetDetected') > 0, strength: get('onset'), time },
+            onsets,
+            bpm: get('bpm'),
+            bpmConfidence: get('bpmConfidence'),
+            tempo: { bpm: get('bpm'), confidence: get('bpmConfidence'), phase: get('tempoPhase') },
+            chroma: CHROMA_KEYS.map(name => get(`chroma.${name}`)),
+            key: keyIndex >= 0 ? describeKey(keyIndex, get('keyConfidence')) : null,
+            chord,
+            chordChange: {
+                detected: changeStrength > 0,
+                strength: changeStrength,
+                from: previousChord >= 0 ? describeChord(previousChord).name : null,
+                to: chord?.name ?? null,
+                time
+            }
+        };
+    }
+
+    /**
+     * Iterate rebuilt frames in time order
+     */
+    *frames() {
+        for (let i = 0; i < this.rows.length; i++) {
+            yield this.getFrame(i);
+        }
+    }
+
+    toJSON() {
+        return {
+            format: FEATURE_TRACK_FORMAT,
+            version: FEATURE_TRACK_VERSION,
+            ...this.meta,
+            frameCount: this.rows.length,
+            fields: this.fields,
+            frames: this.rows.map(row => Array.from(row, value => Math.round(value * JSON_PRECISION) / JSON_PRECISION))
+        };
+    }
+
+    /**
+     * Binary encoding: "VFT1", uint32 header length, JSON header, padding, Float32 rows
+     */
+    toBinary() {
+        const header = new TextEncoder().encode(JSON.stringify({
+            format: FEATURE_TRACK_FORMAT,
+            version: FEATURE_TRACK_VERSION,
+            ...this.meta,
+            frameCount: this.rows.length,
+            fields: this.fields
+        }));
+        const dataOffset = Math.ceil((8 + header.length) / 4) * 4;
+        const buffer = new ArrayBuffer(dataOffset + this.rows.length * this.fields.length * 4);
+        const bytes = new Uint8Array(buffer);
+
+        for (let i = 0; i < BINARY_MAGIC.length; i++) {
+            bytes[i] = BINARY_MAGIC.charCodeAt(i);
+        }
+        new DataView(buffer).setUint32(4, header.length, true);
+        bytes.set(header, 8);
+
+        const values = new Float32Array(buffer, dataOffset);
+        this.rows.forEach((row, i) => values.set(row, i * this.fields.length));
+        return buffer;
+    }
+
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (data?.format !== FEATURE_TRACK_FORMAT) {
+            throw new Error('Not a feature track (missing "format": "vib34d-feature-track")');
+        }
+        if (data.version > FEATURE_TRACK_VERSION) {
+            throw new Error(`Feature track version ${data.version} is newer than supported (${FEATURE_TRACK_VERSION})`);
+        }
+        const { format, version, frameCount, fields, frames, ...meta } = data;
+        return new FeatureTrack(meta, frames, fields);
+    }
+
+    static fromBinary(input) {
+        const buffer = input instanceof ArrayBuffer
+            ? input
+            : input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength);
+        const bytes = new Uint8Array(buffer);
+        const magic = String.fromCharCode(...bytes.subarray(0, 4));
+        if (magic !== BINARY_MAGIC) {
+            throw new Error('Not a binary feature track (bad magic)');
+        }
+
+        const headerLength = new DataView(buffer).getUint32(4, true);
+        const header = JSON.parse(new TextDecoder().decode(bytes.subarray(8, 8 + headerLength)));
+        const dataOffset = Math.ceil((8 + headerLength) / 4) * 4;
+        const values = new Float32Array(buffer, dataOffset, header.frameCount * header.fields.length);
+
+        const rows = [];
+        for (let i = 0; i < header.frameCount; i++) {
+            rows.push(Array.from(values.subarray(i * header.fields.length, (i + 1) * header.fields.length)));
+        }
+        const { format, version, frameCount, fields, ...meta } = header;
+        return new FeatureTrack(meta, rows, fields);
+    }
+
+    /**
+     * Decode either encoding (ArrayBuffer / typed array → binary, string / object → JSON)
+     */
+    static decode(data) {
+        if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+            const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+            const magic = String.fromCharCode(...bytes.subarray(0, 4));
+            if (magic === BINARY_MAGIC) {
+                return FeatureTrack.fromBinary(data);
+            }
+            return FeatureTrack.fromJSON(new TextDecoder().decode(bytes));
+        }
+        return FeatureTrack.fromJSON(data);
+    }
+}
@@ -0,0 +1,243 @@
+/**
+ * Feature Track Player
+ * Replays a recorded / offline FeatureTrack through the AudioAnalyzer interface
+ *
+ * - analyze() returns the frame at the current playback position, so a player
+ *   can be passed as config.audioAnalyzer in place of a live analyzer
+ * - seek, loop regions and playback rate (bpm scales with the rate)
+ * - Onsets in frames skipped between two analyze() calls are merged into the
+ *   returned frame, so slow render loops and fast rates do not drop hits
+ * - Frame times are reported on the player's clock; trackTime holds the
+ *   position within the track
+ *
+ * A Paul Phillips Manifestation
+ * © 2025 Clear Seas Solutions LLC
+ */
+
+import { ONSET_CLASS_NAMES } from './OnsetDetector.js';
+import { BAND_NAMES } from './FeatureTrack.js';
+
+export class FeatureTrackPlayer {
+    /**
+     * options: { timeProvider, rate, loop: { start, end }, autoplay }
+     */
+    constructor(track, options = {}) {
+        if (!track || typeof track.getFrame !== 'function') {
+            throw new Error('FeatureTrackPlayer requires a FeatureTrack');
+        }
+
+        this.track = track;
+        this.rate = 1;
+        this.loop = null;
+        this.playing = false;
+
+        const { timeProvider, rate = 1, loop = null, autoplay = false } = options;
+        this.getNow = typeof timeProvider === 'function'
+            ? timeProvider
+            : () => (typeof performance !== 'undefined' && typeof performance.now === 'function'
+                ? performance.now()
+                : Date.now());
+
+        this.startPosition = track.length > 0 ? track.value(0, 'time') : 0;
+        this.anchorPosition = this.startPosition;   // track position at anchorTime
+        this.anchorTime = this.getNow();
+        this.lastIndex = null;                       // last row handed out
+
+        this.setRate(rate);
+        if (loop) this.setLoop(loop.start, loop.end);
+        if (autoplay) this.play();
+    }
+
+    /**
+     * Current position within the track (ms)
+     */
+    getPosition(now = this.getNow()) {
+        if (!this.playing) return this.anchorPosition;
+
+        let position = this.anchorPosition + (now - this.anchorTime) * this.rate;
+        if (this.loop && position >= this.loop.end) {
+            const length = this.loop.end - this.loop.start;
+            position = this.loop.start + (position - this.loop.start) % length;
+        }
+        return position;
+    }
+
+    /**
+     * Re-anchor the clock so rate / loop changes continue from the current position
+     */
+    reanchor(position = this.getPosition()) {
+        this.anchorPosition = position;
+        this.anchorTime = this.getNow();
+    }
+
+    /**
+     * Start or resume; after the end (no loop) playback starts over
+     */
+    play() {
+        if (this.playing && !this.ended()) return;
+        if (this.ended()) this.anchorPosition = this.loop?.start ?? this.startPosition;
+        this.anchorTime = this.getNow();
+        this.playing = true;
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.reanchor();
+        this.playing = false;
+    }
+
+    isPlaying() {
+        return this.playing && !this.ended();
+    }
+
+    /**
+     * True once playback passed the last frame (never while looping)
+     */
+    ended(position = this.getPosition()) {
+        return !this.loop && this.track.length > 0 && position > this.track.duration;
+    }
+
+    /**
+     * Jump to a track position in ms (e.g. seek(222000) for 3:42)
+     */
+    seek(position) {
+        if (!Number.isFinite(position)) {
+            throw new Error(`FeatureTrackPlayer.seek expects a time in ms, got ${position}`);
+        }
+        this.reanchor(Math.max(this.startPosition, position));
+        this.lastIndex = null;
+    }
+
+    setRate(rate) {
+        if (!Number.isFinite(rate) || rate <= 0) {
+            throw new Error(`FeatureTrackPlayer rate must be a positive number, got ${rate}`);
+        }
+        this.reanchor();
+        this.rate = rate;
+    }
+
+    /**
+     * Loop between two track positions (ms); playback jumps into the region
+     * when it is currently outside it
+     */
+    setLoop(start, end) {
+        if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+            throw new Error(`FeatureTrackPlayer loop needs start < end, got ${start}-${end}`);
+        }
+        const position = this.getPosition();
+        this.loop = { start, end };
+        if (position < start || position >= end) {
+            this.seek(start);
+        }
+    }
+
+    clearLoop() {
+        this.reanchor();
+        this.loop = null;
+    }
+
+    /**
+     * AudioAnalyzer-compatible: frame at the current playback position
+     */
+    analyze() {
+        const now = this.getNow();
+        const position = this.getPosition(now);
+        const index = this.track.frameIndexAt(position);
+
+        if (index < 0 || this.ended(position)) {
+            return this.createSilentFrame(now, position);
+        }
+
+        // Rows since the previous call; a backwards jump (loop wrap, seek) starts fresh
+        const firstNew = this.lastIndex !== null && this.lastIndex < index ? this.lastIndex + 1 : index;
+        const fresh = this.playing && this.lastIndex !== index;
+        this.lastIndex = index;
+
+        const frame = this.track.getFrame(index);
+        return this.retime(frame, now, fresh ? this.collectOnsets(firstNew, index) : null);
+    }
+
+    /**
+     * Strongest onset per class (plus global onset and chord change) over a range of rows
+     */
+    collectOnsets(from, to) {
+        const merged = { onset: null, chordChange: 0 };
+        ONSET_CLASS_NAMES.forEach(name => { merged[name] = 0; });
+
+        for (let i = from; i <= to; i++) {
+            if (this.track.value(i, 'onsetDetected') > 0) {
+                merged.onset = Math.max(merged.onset ?? 0, this.track.value(i, 'onset'));
+            }
+            ONSET_CLASS_NAMES.forEach(name => {
+                merged[name] = Math.max(merged[name], this.track.value(i, name));
+            });
+            merged.chordChange = Math.max(merged.chordChange, this.track.value(i, 'chordChange'));
+        }
+        return merged;
+    }
+
+    /**
+     * Move a track frame onto the player's clock and apply rate / merged onsets
+     */
+    retime(frame, now, onsets) {
+        frame.trackTime = frame.time;
+        frame.time = now;
+        frame.bpm *= this.rate;
+        frame.tempo.bpm = frame.bpm;
+
+        const onsetDetected = onsets?.onset !== null && onsets?.onset !== undefined;
+        frame.onsetEvent = {
+            detected: onsetDetected,
+            strength: onsetDetected ? onsets.onset : frame.onset,
+            time: now
+        };
+        ONSET_CLASS_NAMES.forEach(name => {
+            const strength = onsets?.[name] ?? 0;
+            frame.onsets[name] = { detected: strength > 0, strength, time: now, class: name };
+        });
+
+        const chordChange = onsets?.chordChange ?? 0;
+        frame.chordChange = { ...frame.chordChange, detected: chordChange > 0, strength: chordChange, time: now };
+        return frame;
+    }
+
+    createSilentFrame(now, position) {
+        const bands = {};
+        [...BAND_NAMES, ...this.track.extraBands].forEach(name => { bands[name] = 0; });
+        const onsets = {};
+        ONSET_CLASS_NAMES.forEach(name => {
+            onsets[name] = { detected: false, strength: 0, time: now, class: name };
+        });
+
+        return {
+            time: now,
+            trackTime: position,
+            bands,
+            normalizedBands: { ...bands },
+            spectralCentroid: 0,
+            spectralRolloff: 0,
+            spectralFlux: 0,
+            spectralSpread: 0,
+            spectralFlatness: 0,
+            spectralContrast: 0,
+            mfcc: this.track.mfccFields.map(() => 0),
+            rms: 0,
+            onset: 0,
+            onsetEvent: { detected: false, strength: 0, time: now },
+            onsets,
+            bpmConfidence: 0
+        };
+    }
+
+    getDebugInfo() {
+        return {
+            position: this.getPosition(),
+            duration: this.track.duration,
+            frames: this.track.length,
+            playing: this.isPlaying(),
+            rate: this.rate,
+            loop: this.loop ? { ...this.loop } : null,
+            meta: { ...this.track.meta }
+        };
+    }
+}
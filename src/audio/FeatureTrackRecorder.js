@@ -0,0 +1,84 @@
+/**
+ * Feature Track Recorder
+ * Captures the engine's per-frame audio data as a FeatureTrack
+ *
+ * - Times are stored relative to the start of the recording
+ * - Rows are Float32Arrays (~124 bytes per frame, ~27 MB per hour at 60 fps)
+ * - Optional maxDuration keeps only the most recent stretch (rolling buffer)
+ *
+ * A Paul Phillips Manifestation
+ * © 2025 Clear Seas Solutions LLC
+ */
+
+import { FeatureTrack, featureFieldsFor, frameToRow } from './FeatureTrack.js';
+
+export class FeatureTrackRecorder {
+    /**
+     * options: { maxDuration (ms, null = unlimited), meta }
+     */
+    constructor(options = {}) {
+        this.maxDuration = options.maxDuration ?? null;
+        this.meta = { ...(options.meta || {}) };
+        this.rows = [];
+        this.fields = null;          // set from the first frame (custom bands, MFCC count)
+        this.startTime = null;
+        this.recording = false;
+    }
+
+    /**
+     * Begin a new recording at `time` (ms, engine clock)
+     */
+    start(time) {
+        this.rows = [];
+        this.fields = null;
+        this.startTime = time;
+        this.startedAt = new Date().toISOString();
+        this.recording = true;
+    }
+
+    /**
+     * Store one frame of (normalized) audio data
+     */
+    record(frame, time) {
+        if (!this.recording) return;
+        this.fields ??= featureFieldsFor(frame);
+        this.rows.push(Float32Array.from(frameToRow(frame, time - this.startTime, this.fields)));
+
+        // Trim in chunks so a rolling buffer does not shift the array every frame
+        if (this.maxDuration !== null) {
+            const latest = time - this.startTime;
+            const cutoff = latest - this.maxDuration;
+            if (this.rows[0][0] < cutoff - 1000) {
+                const keepFrom = this.rows.findIndex(row => row[0] >= cutoff);
+                this.rows.splice(0, keepFrom);
+            }
+        }
+    }
+
+    /**
+     * Stop recording and return the captured FeatureTrack
+     */
+    stop() {
+        this.recording = false;
+        return this.getTrack();
+    }
+
+    /**
+     * Snapshot of what has been captured so far (recording continues)
+     */
+    getTrack() {
+        return new FeatureTrack({
+            ...this.meta,
+            source: this.meta.source ?? 'live',
+            recordedAt: this.startedAt ?? null
+        }, [...this.rows], this.fields ?? undefined);
+    }
+
+    isRecording() {
+        return this.recording;
+    }
+
+    getDuration() {
+        return this.rows.length > 0 ? this.rows[this.rows.length - 1][0] - this.rows[0][0] : 0;
+    }
+}
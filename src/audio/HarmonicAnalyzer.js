@@ -0,0 +1,295 @@
+/**
+ * Harmonic Analyzer
+ * Chromagram, key and chord detection from the analyser's FFT
+ *
+ * - 12-bin chroma from spectral peaks: local maxima within peakRange dB of the
+ *   loudest bin, frequency refined by parabolic interpolation, energy added
+ *   to the nearest pitch class (window leakage and noise floor stay out)
+ * - Key: long-window chroma correlated with the 24 Krumhansl-Kessler major /
+ *   minor profiles; a key has to keep winning for keyHold ms before it is reported
+ * - Chord: short-window chroma matched against 24 major / minor triads; a
+ *   chord change fires when a different triad holds for chordHold ms; silence
+ *   for chordHold ms clears the chord
+ * - Circle-of-fifths position (0-1) for key and chord, relative minors share
+ *   their major's position, so palettes can follow the harmony
+ *
+ * A Paul Phillips Manifestation
+ * © 2025 Clear Seas Solutions LLC
+ */
+
+export const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Identifier-safe names for trigger expressions (chroma.Cs, chroma.Fs, ...)
+export const CHROMA_KEYS = ['C', 'Cs', 'D', 'Ds', 'E', 'F', 'Fs', 'G', 'Gs', 'A', 'As', 'B'];
+
+// Krumhansl-Kessler key profiles, tonic first
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const MAJOR_TRIAD = [0, 4, 7];
+const MINOR_TRIAD = [0, 3, 7];
+
+export const HARMONIC_ANALYZER_DEFAULTS = {
+    minFrequency: 100,      // Hz; below this FFT bins are far wider than a semitone
+    maxFrequency: 5000,     // Hz; above this harmonics and noise dominate
+    keyWindow: 8000,        // ms time constant of the key chroma
+    keyHold: 2000,          // ms a key must keep winning before it is reported
+    chordWindow: 250,       // ms time constant of the chord chroma
+    chordHold: 150,         // ms a different chord must win before it changes
+    minChordScore: 0.6,     // triad match (cosine) below this is "no chord"
+    peakRange: 40,          // dB below the loudest bin a peak may be
+    silenceLevel: 1e-4      // mean chroma energy treated as silence
+};
+
+const clamp01 = (value) => Math.min(1, Math.max(0, Number.isFinite(value) ? value : 0));
+
+function rotate(profile, steps) {
+    return profile.map((_, i) => profile[(i - steps + 12) % 12]);
+}
+
+function pearson(a, b) {
+    const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+    const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = 0; i < a.length; i++) {
+        covariance += (a[i] - meanA) * (b[i] - meanB);
+        varianceA += (a[i] - meanA) ** 2;
+        varianceB += (b[i] - meanB) ** 2;
+    }
+    return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Position on the circle of fifths (0-1, C = 0, G = 1/12, ...); minors use their relative major
+ */
+export function fifthsPosition(root, mode) {
+    const major = mode === 'minor' ? (root + 3) % 12 : root;
+    return ((major * 7) % 12) / 12;
+}
+
+// 24 candidates shared by key and chord matching: index = root + (minor ? 12 : 0)
+const KEY_PROFILES = [
+    ...PITCH_CLASSES.map((_, root) => rotate(MAJOR_PROFILE, root)),
+    ...PITCH_CLASSES.map((_, root) => rotate(MINOR_PROFILE, root))
+];
+const CHORD_TEMPLATES = [MAJOR_TRIAD, MINOR_TRIAD].flatMap(triad =>
+    PITCH_CLASSES.map((_, root) => {
+        const template = new Array(12).fill(0);
+        triad.forEach(interval => { template[(root + interval) % 12] = 1; });
+        return template;
+    })
+);
+
+function describe(index, kind) {
+    const root = index % 12;
+    const mode = index >= 12 ? 'minor' : 'major';
+    const name = kind === 'chord'
+        ? `${PITCH_CLASSES[root]}${mode === 'minor' ? 'm' : ''}`
+        : `${PITCH_CLASSES[root]} ${mode}`;
+    return { root: PITCH_CLASSES[root], rootIndex: root, mode, name, position: fifthsPosition(root, mode), index };
+}
+
+/**
+ * Key / chord description from a candidate index (root + 12 for minor), e.g. for replayed frames
+ */
+export function describeKey(index, confidence = 0) {
+    return { ...describe(index, 'key'), confidence };
+}
+
+export function describeChord(index, confidence = 0) {
+    return { ...describe(index, 'chord'), confidence };
+}
+
+export class HarmonicAnalyzer {
+    /**
+     * options: HARMONIC_ANALYZER_DEFAULTS plus the analyser setup
+     * { sampleRate, fftSize, minDecibels, maxDecibels }
+     */
+    constructor(options = {}) {
+        this.options = { ...HARMONIC_ANALYZER_DEFAULTS, ...options };
+        const { sampleRate = 44100, fftSize = 2048 } = this.options;
+        if (this.options.minFrequency <= 0 || this.options.maxFrequency <= this.options.minFrequency) {
+            throw new Error('HarmonicAnalyzer needs 0 < minFrequency < maxFrequency');
+        }
+        this.buildBinMap(sampleRate, fftSize);
+        this.reset();
+    }
+
+    /**
+     * Bin range searched for peaks
+     */
+    buildBinMap(sampleRate, fftSize) {
+        this.binWidth = sampleRate / fftSize;
+        this.minBin = Math.max(1, Math.ceil(this.options.minFrequency / this.binWidth));
+        this.maxBin = Math.min(fftSize / 2 - 2, Math.floor(this.options.maxFrequency / this.binWidth));
+    }
+
+    reset() {
+        this.keyChroma = new Array(12).fill(0);
+        this.chordChroma = new Array(12).fill(0);
+        this.lastTime = null;
+
+        this.key = null;               // reported key (described) + confidence
+        this.keyCandidate = null;      // { index, since }
+        this.chord = null;             // reported chord (described) + confidence
+        this.chordCandidate = null;    // { index, since }
+        this.chordChange = { detected: false, strength: 0, from: null, to: null, time: 0 };
+    }
+
+    /**
+     * Linear magnitude of a byte-scaled (dB) AnalyserNode bin
+     */
+    magnitude(byte) {
+        if (byte <= 0) return 0;
+        const { minDecibels = -90, maxDecibels = -10 } = this.options;
+        return 10 ** ((minDecibels + (byte / 255) * (maxDecibels - minDecibels)) / 20);
+    }
+
+    /**
+     * Process one frame of byte frequency data; returns { chroma, key, chord, chordChange }
+     */
+    process(freqData, time) {
+        const deltaTime = this.lastTime === null ? 0 : Math.max(0, time - this.lastTime);
+        this.lastTime = time;
+
+        const chroma = this.computeChroma(freqData);
+        const peak = Math.max(...chroma);
+        const silent = chroma.reduce((sum, value) => sum + value, 0) / 12 < this.options.silenceLevel ** 2;
+        const normalized = peak > 0 && !silent ? chroma.map(value => value / peak) : new Array(12).fill(0);
+
+        this.chordChange = { ...this.chordChange, detected: false };
+        if (!silent) {
+            this.accumulate(this.keyChroma, normalized, deltaTime, this.options.keyWindow);
+            this.accumulate(this.chordChroma, normalized, deltaTime, this.options.chordWindow);
+            this.updateKey(time);
+        }
+        // Silence clears the chord (after chordHold) but keeps the key
+        this.updateChord(time, silent);
+
+        return {
+            chroma: normalized,
+            key: this.key ? { ...this.key } : null,
+            chord: this.chord ? { ...this.chord } : null,
+            chordChange: { ...this.chordChange }
+        };
+    }
+
+    /**
+     * Peak-picked chroma of one spectrum (bytes are dB-scaled, so the
+     * parabolic fit on them is a fit on the log spectrum)
+     */
+    computeChroma(freqData) {
+        const chroma = new Array(12).fill(0);
+        const { minDecibels = -90, maxDecibels = -10, peakRange } = this.options;
+
+        let loudest = 0;
+        for (let bin = this.minBin; bin <= this.maxBin; bin++) {
+            loudest = Math.max(loudest, freqData[bin]);
+        }
+        const floor = Math.max(1, loudest - peakRange / (maxDecibels - minDecibels) * 255);
+
+        for (let bin = this.minBin; bin <= this.maxBin; bin++) {
+            const level = freqData[bin];
+            if (level < floor || level <= freqData[bin - 1] || level < freqData[bin + 1]) continue;
+
+            const left = freqData[bin - 1];
+            const right = freqData[bin + 1];
+            const curvature = left - 2 * level + right;
+            const offset = curvature < 0 ? 0.5 * (left - right) / curvature : 0;
+            const frequency = (bin + offset) * this.binWidth;
+
+            const note = Math.round(69 + 12 * Math.log2(frequency / 440));
+            const magnitude = this.magnitude(level);
+            chroma[((note % 12) + 12) % 12] += magnitude * magnitude;
+        }
+        return chroma;
+    }
+
+    accumulate(target, chroma, deltaTime, window) {
+        const alpha = deltaTime > 0 ? 1 - Math.exp(-deltaTime / window) : 1;
+        for (let i = 0; i < 12; i++) {
+            target[i] += (chroma[i] - target[i]) * alpha;
+        }
+    }
+
+    /**
+     * Best and runner-up of 24 candidates under a scoring function
+     */
+    rank(candidates, score) {
+        let best = { index: 0, score: -Infinity };
+        let second = { index: 0, score: -Infinity };
+        candidates.forEach((candidate, index) => {
+            const value = score(candidate);
+            if (value > best.score) {
+                second = best;
+                best = { index, score: value };
+            } else if (value > second.score) {
+                second = { index, score: value };
+            }
+        });
+        return { best, second };
+    }
+
+    updateKey(time) {
+        const { best, second } = this.rank(KEY_PROFILES, profile => pearson(this.keyChroma, profile));
+        // Confident when the profile fits and clearly beats the runner-up (often the relative key)
+        const confidence = clamp01(best.score) * clamp01((best.score - second.score) / 0.1);
+
+        if (this.key && best.index === this.key.index) {
+            this.key.confidence = confidence;
+            this.keyCandidate = null;
+            return;
+        }
+        if (this.keyCandidate?.index !== best.index) {
+            this.keyCandidate = { index: best.index, since: time };
+        }
+        if (time - this.keyCandidate.since >= this.options.keyHold) {
+            this.key = describeKey(best.index, confidence);
+            this.keyCandidate = null;
+        }
+    }
+
+    updateChord(time, silent = false) {
+        const { best } = this.rank(CHORD_TEMPLATES, template => cosine(this.chordChroma, template));
+        const index = !silent && best.score >= this.options.minChordScore ? best.index : null;
+
+        if ((this.chord?.index ?? null) === index) {
+            if (this.chord) this.chord.confidence = clamp01(best.score);
+            this.chordCandidate = null;
+            return;
+        }
+        if (this.chordCandidate?.index !== index) {
+            this.chordCandidate = { index, since: time };
+        }
+        if (time - this.chordCandidate.since < this.options.chordHold) return;
+
+        const previous = this.chord;
+        this.chord = index === null ? null : describeChord(index, clamp01(best.score));
+        this.chordCandidate = null;
+
+        // Strength: how different the two triads sound (shared notes count against it)
+        if (previous && this.chord) {
+            this.chordChange = {
+                detected: true,
+                strength: clamp01(1 - cosine(CHORD_TEMPLATES[previous.index], CHORD_TEMPLATES[index]) * 0.75),
+                from: previous.name,
+                to: this.chord.name,
+                time
+            };
+        }
+    }
+}
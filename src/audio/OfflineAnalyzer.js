@@ -0,0 +1,224 @@
+/**
+ * Offline Analyzer
+ * Analyzes a decoded AudioBuffer or raw PCM without Web Audio
+ *
+ * - OfflineAnalyserNode reproduces AnalyserNode output (Blackman window, FFT,
+ *   smoothing, dB → byte scaling) from samples at a fixed hop size
+ * - The node drives a regular AudioAnalyzer, so bands, spectral features,
+ *   onsets, tempo and normalization come from exactly the live code
+ * - Returns a FeatureTrack that ChoreographyEngine can replay deterministically
+ *
+ * A Paul Phillips Manifestation
+ * © 2025 Clear Seas Solutions LLC
+ */
+
+import { AudioAnalyzer } from './AudioAnalyzer.js';
+import { FeatureTrack, featureFieldsFor } from './FeatureTrack.js';
+
+export const OFFLINE_ANALYZER_DEFAULTS = {
+    fftSize: 2048,
+    hopSize: 512,           // samples between analysis frames
+    analyzer: {}            // AudioAnalyzer options (smoothing, tempo, onsets, normalization, ...)
+};
+
+/**
+ * In-place radix-2 FFT with cached bit reversal and twiddles
+ */
+class FFT {
+    constructor(size) {
+        if (size < 2 || (size & (size - 1)) !== 0) {
+            throw new Error(`FFT size must be a power of two, got ${size}`);
+        }
+        this.size = size;
+        this.reverse = new Uint32Array(size);
+        const bits = Math.log2(size);
+        for (let i = 0; i < size; i++) {
+            let reversed = 0;
+            for (let bit = 0; bit < bits; bit++) {
+                reversed = (reversed << 1) | ((i >> bit) & 1);
+            }
+            this.reverse[i] = reversed;
+        }
+        this.cos = new Float64Array(size / 2);
+        this.sin = new Float64Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            this.cos[i] = Math.cos(-2 * Math.PI * i / size);
+            this.sin[i] = Math.sin(-2 * Math.PI * i / size);
+        }
+    }
+
+    transform(real, imag) {
+        const size = this.size;
+        for (let i = 0; i < size; i++) {
+            const j = this.reverse[i];
+            if (j > i) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        for (let span = 2; span <= size; span *= 2) {
+            const half = span / 2;
+            const step = size / span;
+            for (let start = 0; start < size; start += span) {
+                for (let k = 0; k < half; k++) {
+                    const twiddleRe = this.cos[k * step];
+                    const twiddleIm = this.sin[k * step];
+                    const a = start + k;
+                    const b = a + half;
+                    const re = real[b] * twiddleRe - imag[b] * twiddleIm;
+                    const im = real[b] * twiddleIm + imag[b] * twiddleRe;
+                    real[b] = real[a] - re;
+                    imag[b] = imag[a] - im;
+                    real[a] += re;
+                    imag[a] += im;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Mix an AudioBuffer-like object or a Float32Array down to one channel
+ */
+function toMono(input) {
+    if (input instanceof Float32Array) {
+        return input;
+    }
+    if (typeof input?.getChannelData !== 'function') {
+        throw new Error('OfflineAnalyzer expects an AudioBuffer or a Float32Array of PCM samples');
+    }
+
+    const channels = input.numberOfChannels || 1;
+    if (channels === 1) {
+        return input.getChannelData(0);
+    }
+    const mono = new Float32Array(input.length);
+    for (let channel = 0; channel < channels; channel++) {
+        const data = input.getChannelData(channel);
+        for (let i = 0; i < mono.length; i++) {
+            mono[i] += data[i] / channels;
+        }
+    }
+    return mono;
+}
+
+/**
+ * AnalyserNode stand-in over a sample array. seek() sets the current sample
+ * position; the window covers the fftSize samples before it (zeros before 0).
+ */
+export class OfflineAnalyserNode {
+    constructor(samples, sampleRate) {
+        this.samples = samples;
+        this.context = { sampleRate };
+        this.minDecibels = -100;
+        this.maxDecibels = -30;
+        this.smoothingTimeConstant = 0.8;
+        this.position = 0;
+        this.fftSize = 2048;
+    }
+
+    get fftSize() {
+        return this._fftSize;
+    }
+
+    set fftSize(size) {
+        this.fft = new FFT(size);
+        this._fftSize = size;
+        this.real = new Float64Array(size);
+        this.imag = new Float64Array(size);
+        this.magnitudes = new Float64Array(size / 2);
+        this.window = new Float64Array(size);
+        for (let i = 0; i < size; i++) {
+            // Blackman window, as specified for AnalyserNode
+            this.window[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / size) + 0.08 * Math.cos(4 * Math.PI * i / size);
+        }
+    }
+
+    get frequencyBinCount() {
+        return this._fftSize / 2;
+    }
+
+    seek(position) {
+        this.position = position;
+        this.computeSpectrum();
+    }
+
+    sampleAt(index) {
+        return index >= 0 && index < this.samples.length ? this.samples[index] : 0;
+    }
+
+    /**
+     * Windowed FFT magnitudes with the analyser's smoothing over time
+     */
+    computeSpectrum() {
+        const size = this._fftSize;
+        const start = this.position - size;
+        for (let i = 0; i < size; i++) {
+            this.real[i] = this.sampleAt(start + i) * this.window[i];
+            this.imag[i] = 0;
+        }
+        this.fft.transform(this.real, this.imag);
+
+        const smoothing = this.smoothingTimeConstant;
+        for (let k = 0; k < this.magnitudes.length; k++) {
+            const magnitude = Math.hypot(this.real[k], this.imag[k]) / size;
+            this.magnitudes[k] = smoothing * this.magnitudes[k] + (1 - smoothing) * magnitude;
+        }
+    }
+
+    getByteFrequencyData(array) {
+        const range = this.maxDecibels - this.minDecibels;
+        const count = Math.min(array.length, this.magnitudes.length);
+        for (let k = 0; k < count; k++) {
+            const decibels = 20 * Math.log10(this.magnitudes[k]);
+            const scaled = Math.floor(255 / range * (decibels - this.minDecibels));
+            array[k] = Number.isFinite(scaled) ? Math.min(255, Math.max(0, scaled)) : 0;
+        }
+    }
+
+    getByteTimeDomainData(array) {
+        const count = Math.min(array.length, this._fftSize);
+        const start = this.position - count;
+        for (let i = 0; i < count; i++) {
+            array[i] = Math.min(255, Math.max(0, Math.floor(128 * (1 + this.sampleAt(start + i)))));
+        }
+    }
+}
+
+/**
+ * Analyze a whole AudioBuffer (or mono Float32Array + options.sampleRate) into a FeatureTrack.
+ * Frame times are in ms from the start of the audio, at the end of each analysis window.
+ */
+export function analyzeOffline(input, options = {}) {
+    const { fftSize, hopSize, analyzer: analyzerOptions } = { ...OFFLINE_ANALYZER_DEFAULTS, ...options };
+    const sampleRate = input?.sampleRate ?? options.sampleRate;
+    if (!Number.isFinite(sampleRate) || sampleRate <= 0) {
+        throw new Error('OfflineAnalyzer needs a sample rate (AudioBuffer.sampleRate or options.sampleRate)');
+    }
+    if (!Number.isInteger(hopSize) || hopSize <= 0) {
+        throw new Error(`OfflineAnalyzer hopSize must be a positive integer, got ${hopSize}`);
+    }
+
+    const samples = toMono(input);
+    const node = new OfflineAnalyserNode(samples, sampleRate);
+    let time = 0;
+    const analyzer = new AudioAnalyzer(node, { ...analyzerOptions, fftSize, timeProvider: () => time });
+
+    const track = new FeatureTrack({
+        sampleRate,
+        hopSize,
+        fftSize,
+        hopMs: hopSize / sampleRate * 1000,
+        sourceDuration: samples.length / sampleRate * 1000,
+        ...(options.meta || {})
+    }, [], featureFieldsFor(analyzer.createSilentFrame()));
+
+    for (let position = hopSize; position <= samples.length; position += hopSize) {
+        time = position / sampleRate * 1000;
+        node.seek(position);
+        track.push(analyzer.analyze(), time);
+    }
+
+    return track;
+}
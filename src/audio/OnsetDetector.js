@@ -0,0 +1,126 @@
+/**
+ * Multi-band Onset Detector
+ * Labelled kick / snare / hat onsets from per-band spectral flux
+ *
+ * - kick: sub-bass + bass flux
+ * - snare: bass + low-mid + mid body together with a high-mid noise burst
+ *   (the weaker of the two, so a kick, bass note or vocal alone does not count); a burst
+ *   whose body is weaker than its high + air flux is a hat, not a snare
+ * - hat: high + air flux
+ * - Adaptive threshold per class: median + k·MAD of the recent detection function,
+ *   never below a floor relative to the class's recent peak, so quiet mixes
+ *   (where the spectrum sinks towards minDecibels) still trigger
+ * - Separate refractory window per class
+ *
+ * A Paul Phillips Manifestation
+ * © 2025 Clear Seas Solutions LLC
+ */
+
+export const ONSET_CLASSES = {
+    kick: { bands: ['subBass', 'bass'], k: 3, floor: 0.005, relativeFloor: 0.3, refractory: 120 },
+    snare: {
+        bands: ['bass', 'lowMid', 'mid'], noiseBands: ['highMid'], maskBands: ['high', 'air'], maskRatio: 1,
+        k: 3, floor: 0.003, relativeFloor: 0.3, refractory: 100
+    },
+    hat: { bands: ['high', 'air'], k: 2.5, floor: 0.003, relativeFloor: 0.3, refractory: 50 }
+};
+
+export const ONSET_CLASS_NAMES = Object.keys(ONSET_CLASSES);
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function averageOf(bandFlux, bands) {
+    return bands.reduce((sum, band) => sum + (bandFlux[band] || 0), 0) / bands.length;
+}
+
+export class OnsetDetector {
+    /**
+     * options: { historyMs, peakRelease, classes: { kick: { k, floor, relativeFloor, refractory, ... }, ... } }
+     */
+    constructor(options = {}) {
+        this.historyMs = options.historyMs ?? 1000;
+        this.peakRelease = options.peakRelease ?? 4000;   // ms for the peak behind relativeFloor to fall by 1/e
+        this.classes = {};
+        Object.entries(ONSET_CLASSES).forEach(([name, defaults]) => {
+            this.classes[name] = { ...defaults, ...(options.classes?.[name] || {}) };
+        });
+        this.reset();
+    }
+
+    reset() {
+        this.state = {};
+        Object.keys(this.classes).forEach(name => {
+            this.state[name] = {
+                history: [],          // recent { time, value } of the detection function
+                peak: 0,              // decaying peak of the detection function
+                lastOnsetTime: -Infinity,
+                lastEvent: { detected: false, strength: 0, time: 0, class: name }
+            };
+        });
+    }
+
+    /**
+     * Detection function of a class from per-band flux
+     */
+    detectionValue(config, bandFlux) {
+        const body = averageOf(bandFlux, config.bands);
+        if (config.maskBands && body < config.maskRatio * averageOf(bandFlux, config.maskBands)) return 0;
+        if (!config.noiseBands) return body;
+        return Math.min(body, averageOf(bandFlux, config.noiseBands));
+    }
+
+    /**
+     * Adaptive threshold: median + k·MAD of the recent history, never below the
+     * absolute floor or relativeFloor × the recent peak
+     */
+    threshold(config, state) {
+        if (state.history.length < 5) return Infinity;
+        const values = state.history.map(entry => entry.value);
+        const center = median(values);
+        const mad = median(values.map(value => Math.abs(value - center)));
+        return Math.max(config.floor, config.relativeFloor * state.peak, center + config.k * mad);
+    }
+
+    /**
+     * Process one frame of per-band flux; returns { kick, snare, hat } onset events
+     */
+    process(bandFlux, time) {
+        const events = {};
+
+        Object.entries(this.classes).forEach(([name, config]) => {
+            const state = this.state[name];
+            const value = this.detectionValue(config, bandFlux);
+            const threshold = this.threshold(config, state);
+
+            // Threshold from the past only, so the onset itself does not raise it
+            const previousTime = state.history[state.history.length - 1]?.time ?? time;
+            state.peak = Math.max(value, state.peak * Math.exp(-Math.max(0, time - previousTime) / this.peakRelease));
+            state.history.push({ time, value });
+            while (state.history.length > 0 && time - state.history[0].time > this.historyMs) {
+                state.history.shift();
+            }
+
+            const detected = value > threshold && time - state.lastOnsetTime > config.refractory;
+            if (detected) {
+                state.lastOnsetTime = time;
+            }
+
+            state.lastEvent = {
+                detected,
+                // 0.5 at the threshold, 1 at twice the threshold or more
+                strength: Number.isFinite(threshold) ? Math.min(1, value / (2 * threshold)) : 0,
+                value,
+                threshold: Number.isFinite(threshold) ? threshold : null,
+                time,
+                class: name
+            };
+            events[name] = state.lastEvent;
+        });
+
+        return events;
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * Spectral Features
+ * Mel-frequency cepstrum and spectral shape from the analyser's FFT
+ *
+ * - MFCC: triangular mel filterbank over the power spectrum, each filter's
+ *   weighted mean level on the analyser's 0-1 dB scale (like the bands),
+ *   then a DCT-II scaled so c0 is the mean level and c1.. describe the
+ *   spectral shape (roughly -1..1)
+ * - Flatness: geometric / arithmetic mean of the power spectrum
+ *   (0 = tonal, 1 = noise-like)
+ * - Contrast: peak-to-valley level per octave sub-band, averaged (0-1)
+ *
+ * A Paul Phillips Manifestation
+ * © 2025 Clear Seas Solutions LLC
+ */
+
+import { hzToMel, melToHz } from './BandLayout.js';
+
+export const SPECTRAL_FEATURE_DEFAULTS = {
+    melBands: 26,           // triangular mel filters feeding the MFCC
+    mfccCount: 13,          // cepstral coefficients reported (c0 ... c12)
+    minFrequency: 20,       // Hz, lowest mel filter edge
+    maxFrequency: 8000,     // Hz, highest mel filter edge (clamped to Nyquist)
+    contrastFrequency: 200, // Hz, lower edge of the first contrast octave
+    contrastQuantile: 0.2   // share of bins averaged for peak and valley
+};
+
+// Identifier-safe names for routes and trigger expressions (mfcc.c0, mfcc.c1, ...)
+export const mfccKey = (index) => `c${index}`;
+
+export class SpectralFeatures {
+    /**
+     * options: SPECTRAL_FEATURE_DEFAULTS plus the analyser setup
+     * { sampleRate, fftSize, minDecibels, maxDecibels }
+     */
+    constructor(options = {}) {
+        this.options = { ...SPECTRAL_FEATURE_DEFAULTS, ...options };
+        const { sampleRate = 44100, fftSize = 2048, melBands, mfccCount } = this.options;
+        if (mfccCount < 1 || mfccCount > melBands) {
+            throw new Error(`SpectralFeatures needs 1 <= mfccCount <= melBands, got ${mfccCount} / ${melBands}`);
+        }
+
+        this.binWidth = sampleRate / fftSize;
+        this.binCount = fftSize / 2;
+        this.power = new Float64Array(this.binCount);
+        this.buildPowerTable();
+        this.buildFilterbank(sampleRate);
+        this.buildContrastBands(sampleRate);
+        this.buildDct();
+    }
+
+    /**
+     * Byte (dB-scaled) bin -> linear power
+     */
+    buildPowerTable() {
+        const { minDecibels = -90, maxDecibels = -10 } = this.options;
+        this.powerTable = new Float64Array(256);
+        for (let byte = 1; byte < 256; byte++) {
+            this.powerTable[byte] = 10 ** ((minDecibels + (byte / 255) * (maxDecibels - minDecibels)) / 10);
+        }
+    }
+
+    /**
+     * Power -> 0-1 on the analyser's dB scale (the inverse of the table)
+     */
+    level(power) {
+        if (power <= 0) return 0;
+        const { minDecibels = -90, maxDecibels = -10 } = this.options;
+        const db = 10 * Math.log10(power);
+        return Math.min(1, Math.max(0, (db - minDecibels) / (maxDecibels - minDecibels)));
+    }
+
+    /**
+     * Triangular filters with edges evenly spaced in mel; a filter narrower
+     * than one bin falls back to the bin nearest its centre
+     */
+    buildFilterbank(sampleRate) {
+        const { melBands, minFrequency } = this.options;
+        const maxFrequency = Math.min(this.options.maxFrequency, sampleRate / 2);
+        const low = hzToMel(minFrequency);
+        const high = hzToMel(maxFrequency);
+        const edges = Array.from({ length: melBands + 2 }, (_, i) => melToHz(low + (high - low) * i / (melBands + 1)));
+
+        this.filters = [];
+        for (let m = 0; m < melBands; m++) {
+            const [left, center, right] = [edges[m], edges[m + 1], edges[m + 2]];
+            const start = Math.max(1, Math.ceil(left / this.binWidth));
+            const end = Math.min(this.binCount - 1, Math.floor(right / this.binWidth));
+            const weights = [];
+            for (let bin = start; bin <= end; bin++) {
+                const frequency = bin * this.binWidth;
+                weights.push(frequency <= center
+                    ? (frequency - left) / (center - left)
+                    : (right - frequency) / (right - center));
+            }
+
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+            this.filters.push(total > 0
+                ? { start, weights: weights.map(weight => weight / total) }
+                : { start: Math.min(this.binCount - 1, Math.max(1, Math.round(center / this.binWidth))), weights: [1] });
+        }
+    }
+
+    /**
+     * Octave sub-bands from contrastFrequency up to Nyquist
+     */
+    buildContrastBands(sampleRate) {
+        this.contrastBands = [];
+        for (let low = this.options.contrastFrequency; low < sampleRate / 2; low *= 2) {
+            const start = Math.max(1, Math.round(low / this.binWidth));
+            const end = Math.min(this.binCount - 1, Math.round(low * 2 / this.binWidth));
+            if (end - start >= 4) this.contrastBands.push({ start, end });
+        }
+    }
+
+    /**
+     * DCT-II basis, c0 scaled to the mean and the rest by 2/N
+     */
+    buildDct() {
+        const { melBands, mfccCount } = this.options;
+        this.dct = Array.from({ length: mfccCount }, (_, k) => Float64Array.from(
+            { length: melBands },
+            (_, n) => (k === 0 ? 1 : 2 * Math.cos(Math.PI * k * (n + 0.5) / melBands)) / melBands
+        ));
+    }
+
+    /**
+     * Process one frame of byte frequency data; returns
+     * { mfcc, spectralFlatness, spectralContrast }
+     */
+    process(freqData) {
+        let loudest = 0;
+        for (let bin = 0; bin < this.binCount; bin++) {
+            this.power[bin] = this.powerTable[freqData[bin]];
+            loudest = Math.max(loudest, freqData[bin]);
+        }
+        if (loudest === 0) {
+            return { mfcc: new Array(this.options.mfccCount).fill(0), spectralFlatness: 0, spectralContrast: 0 };
+        }
+
+        return {
+            mfcc: this.computeMfcc(),
+            spectralFlatness: this.computeFlatness(),
+            spectralContrast: this.computeContrast(freqData)
+        };
+    }
+
+    computeMfcc() {
+        const levels = this.filters.map(({ start, weights }) => {
+            let energy = 0;
+            for (let i = 0; i < weights.length; i++) {
+                energy += weights[i] * this.power[start + i];
+            }
+            return this.level(energy);
+        });
+
+        return this.dct.map(basis => basis.reduce((sum, weight, n) => sum + weight * levels[n], 0));
+    }
+
+    computeFlatness() {
+        // Bins at the dB floor count at the floor, not as zeros
+        const floor = this.powerTable[1];
+        let logSum = 0;
+        let sum = 0;
+        for (let bin = 1; bin < this.binCount; bin++) {
+            const power = Math.max(this.power[bin], floor);
+            logSum += Math.log(power);
+            sum += power;
+        }
+        const count = this.binCount - 1;
+        return Math.min(1, Math.exp(logSum / count) / (sum / count));
+    }
+
+    computeContrast(freqData) {
+        if (this.contrastBands.length === 0) return 0;
+        const { contrastQuantile } = this.options;
+
+        const total = this.contrastBands.reduce((sum, { start, end }) => {
+            const sorted = Array.from(freqData.subarray(start, end + 1)).sort((a, b) => a - b);
+            const count = Math.max(1, Math.round(sorted.length * contrastQuantile));
+            const valley = sorted.slice(0, count).reduce((acc, value) => acc + value, 0) / count;
+            const peak = sorted.slice(-count).reduce((acc, value) => acc + value, 0) / count;
+            return sum + (peak - valley) / 255;
+        }, 0);
+        return total / this.contrastBands.length;
+    }
+}
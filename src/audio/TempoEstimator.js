@@ -0,0 +1,374 @@
+/**
+ * Tempo Estimator
+ * Onset-strength envelope + autocorrelation tempo tracking
+ *
+ * - Spectral flux is detrended and resampled to a fixed-rate onset envelope
+ * - Autocorrelation with a comb over the first harmonics finds the strongest period
+ * - Metrical level: the beat is picked among related periods (x/4 ... x4, 2:3 and
+ *   3:2) by how strongly a phase-aligned pulse train hits onsets, weighted by the
+ *   pulse rate and a log-Gaussian tempo prior (around 120 BPM), so accented
+ *   backbeats and off-beat hats don't halve, double or 2:3 the tempo
+ * - Confidence from periodicity, the margin over the runner-up level and
+ *   estimate stability
+ * - Stable-tempo lock: once steady the tempo only follows small drifts, a real
+ *   change has to persist before the lock lets go
+ * - Beat phase from aligning a pulse train with the envelope
+ *
+ * A Paul Phillips Manifestation
+ * © 2025 Clear Seas Solutions LLC
+ */
+
+const clamp01 = (value) => Math.min(1, Math.max(0, Number.isFinite(value) ? value : 0));
+
+/** Period ratios considered as the beat once the strongest period is known */
+const METRICAL_RATIOS = [1 / 4, 1 / 3, 1 / 2, 2 / 3, 1, 3 / 2, 2, 3, 4];
+
+export const TEMPO_ESTIMATOR_DEFAULTS = {
+    minBpm: 60,
+    maxBpm: 200,
+    hopMs: 10,              // onset envelope resolution
+    windowMs: 8000,         // analysis window
+    updateInterval: 250,    // ms between estimates
+    priorBpm: 120,          // centre of the tempo prior
+    priorWidth: 1,          // prior standard deviation in octaves
+    combHarmonics: 3,       // period multiples summed per candidate
+    lockTolerance: 0.04,    // relative deviation still counted as the same tempo
+    lockTime: 4000,         // ms of steady estimates before locking
+    lockConfidence: 0.4,    // minimum confidence to lock
+    unlockTime: 3000,       // ms a different tempo must persist to break the lock
+    initialBpm: 120
+};
+
+export class TempoEstimator {
+    constructor(options = {}) {
+        this.options = { ...TEMPO_ESTIMATOR_DEFAULTS, ...options };
+        if (this.options.minBpm <= 0 || this.options.maxBpm <= this.options.minBpm) {
+            throw new Error('TempoEstimator needs 0 < minBpm < maxBpm');
+        }
+
+        const { hopMs, windowMs, minBpm, maxBpm } = this.options;
+        this.size = Math.round(windowMs / hopMs);
+        this.minLag = Math.max(1, Math.floor(60000 / (maxBpm * hopMs)));
+        this.maxLag = Math.ceil(60000 / (minBpm * hopMs));
+        this.envelope = new Float32Array(this.size);
+
+        this.reset();
+    }
+
+    reset() {
+        this.envelope.fill(0);
+        this.writeIndex = 0;
+        this.filled = 0;
+        this.nextBinTime = null;
+        this.lastTime = null;
+        this.lastValue = 0;
+        this.fluxMean = 0;
+        this.lastEstimateTime = null;
+
+        this.bpm = this.options.initialBpm;
+        this.confidence = 0;
+        this.beatReference = null;   // time of the most recent estimated beat
+        this.locked = false;
+        this.lockedBpm = null;
+        this.divergentSince = null;
+        this.history = [];           // recent { time, bpm } raw estimates
+    }
+
+    /**
+     * Feed one analysis frame (spectral flux or any onset strength) at a time in ms
+     */
+    push(value, time) {
+        const strength = Number.isFinite(value) ? value : 0;
+
+        // Long gaps (hidden tab, paused audio) make the old envelope meaningless
+        if (this.lastTime !== null && (time - this.lastTime > 1000 || time < this.lastTime)) {
+            this.reset();
+        }
+
+        if (this.lastTime === null) {
+            this.lastTime = time;
+            this.lastValue = strength;
+            this.nextBinTime = time;
+            return;
+        }
+
+        // Resample onto the fixed hop grid by linear interpolation between frames
+        const { hopMs } = this.options;
+        while (this.nextBinTime <= time) {
+            const span = time - this.lastTime;
+            const t = span > 0 ? (this.nextBinTime - this.lastTime) / span : 1;
+            this.commit(this.lastValue + (strength - this.lastValue) * t);
+            this.nextBinTime += hopMs;
+        }
+        this.lastTime = time;
+        this.lastValue = strength;
+
+        if (this.lastEstimateTime === null || time - this.lastEstimateTime >= this.options.updateInterval) {
+            this.lastEstimateTime = time;
+            this.estimate(time);
+        }
+    }
+
+    /**
+     * Store one envelope bin: flux above its running mean (half-wave rectified)
+     */
+    commit(flux) {
+        this.fluxMean += (flux - this.fluxMean) * 0.02;
+        this.envelope[this.writeIndex] = Math.max(0, flux - this.fluxMean);
+        this.writeIndex = (this.writeIndex + 1) % this.size;
+        this.filled = Math.min(this.size, this.filled + 1);
+    }
+
+    /**
+     * Envelope in time order (oldest first), optionally with the mean removed
+     */
+    getEnvelope({ centered = true } = {}) {
+        const length = this.filled;
+        const start = (this.writeIndex - length + this.size) % this.size;
+        const values = new Float32Array(length);
+        let sum = 0;
+        for (let i = 0; i < length; i++) {
+            values[i] = this.envelope[(start + i) % this.size];
+            sum += values[i];
+        }
+        if (!centered) return values;
+
+        const mean = length > 0 ? sum / length : 0;
+        for (let i = 0; i < length; i++) {
+            values[i] -= mean;
+        }
+        return values;
+    }
+
+    /**
+     * Normalized autocorrelation of the envelope at an integer lag
+     */
+    autocorrelation(values, lag, energy) {
+        if (lag >= values.length || energy <= 0) return 0;
+        let sum = 0;
+        for (let i = lag; i < values.length; i++) {
+            sum += values[i] * values[i - lag];
+        }
+        return (sum / (values.length - lag)) / energy;
+    }
+
+    /**
+     * Log-Gaussian tempo prior weight
+     */
+    prior(bpm) {
+        const octaves = Math.log2(bpm / this.options.priorBpm);
+        return Math.exp(-0.5 * (octaves / this.options.priorWidth) ** 2);
+    }
+
+    /**
+     * Run one estimate over the current window
+     */
+    estimate(time) {
+        // Need at least two periods of the slowest tempo
+        if (this.filled < this.maxLag * 2) return;
+
+        const values = this.getEnvelope();
+        let energy = 0;
+        for (let i = 0; i < values.length; i++) {
+            energy += values[i] * values[i];
+        }
+        energy /= values.length;
+        if (energy <= 1e-9) {
+            this.confidence *= 0.9;
+            return;
+        }
+
+        const { hopMs, combHarmonics } = this.options;
+        const acf = new Map();
+        const acfAt = (lag) => {
+            if (!acf.has(lag)) acf.set(lag, this.autocorrelation(values, lag, energy));
+            return acf.get(lag);
+        };
+
+        // Comb over period multiples; each multiple takes the best of its neighbouring
+        // lags so fractional periods (174 BPM = 34.5 hops) don't smear out
+        let combNorm = 0;
+        for (let h = 1; h <= combHarmonics; h++) combNorm += 1 / h;
+        const combScore = (period) => {
+            let score = 0;
+            for (let h = 1; h <= combHarmonics; h++) {
+                const lag = Math.round(period * h);
+                score += Math.max(acfAt(lag - 1), acfAt(lag), acfAt(lag + 1)) / h;
+            }
+            return score / combNorm;
+        };
+
+        const scores = [];
+        let bestLag = this.minLag;
+        let bestScore = -Infinity;
+        for (let lag = this.minLag; lag <= this.maxLag; lag++) {
+            const score = combScore(lag) * this.prior(60000 / (lag * hopMs));
+            scores.push(score);
+            if (score > bestScore) {
+                bestScore = score;
+                bestLag = lag;
+            }
+        }
+
+        // Parabolic peak refinement for sub-bin tempo resolution
+        let period = bestLag;
+        if (bestLag > this.minLag && bestLag < this.maxLag) {
+            const left = scores[bestLag - 1 - this.minLag];
+            const right = scores[bestLag + 1 - this.minLag];
+            const curvature = left - 2 * bestScore + right;
+            if (curvature < 0) {
+                period += Math.max(-0.5, Math.min(0.5, 0.5 * (left - right) / curvature));
+            }
+        }
+
+        // The strongest period is often two beats (backbeat) or a subdivision (hats)
+        const levels = this.rankLevels(period);
+        let bpm = levels[0]?.bpm ?? 60000 / (period * hopMs);
+
+        // Confidence: periodicity of the chosen beat, scaled by its margin over the
+        // runner-up level and damped when estimates wander
+        const periodicity = clamp01(combScore(60000 / (bpm * hopMs)));
+        const margin = levels.length > 1 ? clamp01(2 * (1 - levels[1].score / levels[0].score)) : 1;
+        this.history.push({ time, bpm });
+        this.history = this.history.filter(entry => time - entry.time <= this.options.lockTime);
+        const steady = this.history.filter(entry => this.sameTempo(this.fold(entry.bpm, bpm), bpm)).length;
+        const stability = steady / this.history.length;
+        this.confidence = periodicity * margin * (0.5 + 0.5 * stability);
+
+        bpm = this.updateLock(bpm, time, stability);
+        this.bpm = bpm;
+        this.updatePhase(values, time);
+    }
+
+    /**
+     * Score the periods related to `period` (in hops) as the beat, best first:
+     * [{ bpm, score }]. The score is the mean envelope under the best-aligned pulse
+     * train times the square root of the pulse rate and the tempo prior, so a level
+     * whose every pulse lands on an onset wins over one that skips the weaker beats,
+     * while subdivisions much weaker than the beats stay subdivisions.
+     */
+    rankLevels(period) {
+        const { minBpm, maxBpm, hopMs, priorBpm } = this.options;
+        const values = this.getEnvelope({ centered: false });
+
+        const levels = [];
+        for (const ratio of METRICAL_RATIOS) {
+            const bpm = 60000 / (period * ratio * hopMs);
+            if (bpm < minBpm || bpm > maxBpm) continue;
+            const score = this.pulseSalience(values, period * ratio) * Math.sqrt(bpm / priorBpm) * this.prior(bpm);
+            levels.push({ bpm, score });
+        }
+        return levels.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Mean envelope under a pulse train at `period` hops, at its best phase.
+     * Each pulse takes the peak of its neighbouring hops to tolerate fractional periods.
+     */
+    pulseSalience(values, period) {
+        const last = values.length - 1;
+        let best = 0;
+        for (let offset = 0; offset < Math.ceil(period); offset++) {
+            let sum = 0;
+            let count = 0;
+            for (let position = last - offset; position >= 0; position -= period) {
+                const index = Math.round(position);
+                sum += Math.max(values[index - 1] ?? 0, values[index], values[index + 1] ?? 0);
+                count++;
+            }
+            if (count > 0) best = Math.max(best, sum / count);
+        }
+        return best;
+    }
+
+    sameTempo(a, b) {
+        return Math.abs(a - b) <= b * this.options.lockTolerance;
+    }
+
+    /**
+     * Fold a tempo onto the octave nearest a reference
+     */
+    fold(bpm, reference) {
+        return [bpm / 2, bpm, bpm * 2].reduce((best, candidate) =>
+            Math.abs(candidate - reference) < Math.abs(best - reference) ? candidate : best
+        );
+    }
+
+    /**
+     * Stable-tempo lock
+     */
+    updateLock(bpm, time, stability) {
+        const options = this.options;
+
+        if (this.locked) {
+            const folded = this.fold(bpm, this.lockedBpm);
+            if (this.sameTempo(folded, this.lockedBpm)) {
+                this.lockedBpm += (folded - this.lockedBpm) * 0.2;
+                this.divergentSince = null;
+                return this.lockedBpm;
+            }
+
+            this.divergentSince ??= time;
+            if (time - this.divergentSince < options.unlockTime) {
+                return this.lockedBpm;
+            }
+
+            // The new tempo persisted - let go
+            this.locked = false;
+            this.lockedBpm = null;
+            this.divergentSince = null;
+            this.history = [{ time, bpm }];
+            return bpm;
+        }
+
+        const span = this.history.length > 0 ? time - this.history[0].time : 0;
+        if (stability === 1 && span >= options.lockTime * 0.9 && this.confidence >= options.lockConfidence) {
+            this.locked = true;
+            this.lockedBpm = this.history.reduce((sum, entry) => sum + this.fold(entry.bpm, bpm), 0) / this.history.length;
+            return this.lockedBpm;
+        }
+        return bpm;
+    }
+
+    /**
+     * Beat phase: align a pulse train at the estimated period with the envelope
+     */
+    updatePhase(values, time) {
+        const period = 60000 / (this.bpm * this.options.hopMs);
+        const last = values.length - 1;
+
+        let bestOffset = 0;
+        let bestSum = -Infinity;
+        for (let offset = 0; offset < Math.ceil(period); offset++) {
+            let sum = 0;
+            for (let position = last - offset; position >= 0; position -= period) {
+                sum += values[Math.round(position)] ?? 0;
+            }
+            if (sum > bestSum) {
+                bestSum = sum;
+                bestOffset = offset;
+            }
+        }
+
+        // The newest bin sits at the last committed hop boundary
+        const lastBinTime = this.nextBinTime - this.options.hopMs;
+        this.beatReference = lastBinTime - bestOffset * this.options.hopMs;
+    }
+
+    /**
+     * Current tempo: { bpm, confidence, phase (0-1 within the beat), locked }
+     */
+    getTempo(time = this.lastTime) {
+        let phase = 0;
+        if (this.beatReference !== null && Number.isFinite(time)) {
+            const beatMs = 60000 / this.bpm;
+            phase = (((time - this.beatReference) / beatMs) % 1 + 1) % 1;
+        }
+        return {
+            bpm: this.bpm,
+            confidence: this.confidence,
+            phase,
+            locked: this.locked
+        };
+    }
+}
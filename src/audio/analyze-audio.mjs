@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * analyze-audio - Turn a WAV file into a feature track for offline replay
+ *
+ * Usage:
+ *   node src/audio/analyze-audio.mjs song.wav                    # writes song.features.json
+ *   node src/audio/analyze-audio.mjs song.wav -o out.vft --binary # binary track
+ *   node src/audio/analyze-audio.mjs song.wav --hop 256 --fft 4096
+ *
+ * Reads PCM WAV (8/16/24/32-bit integer or 32/64-bit float). Decode other
+ * formats first, e.g. `ffmpeg -i song.mp3 song.wav`.
+ * Runs on Node 20.19+ (the engine sources are ES modules without a package.json;
+ * older releases do not detect module syntax in .js files).
+ *
+ * A Paul Phillips Manifestation
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { analyzeOffline, OFFLINE_ANALYZER_DEFAULTS } from './OfflineAnalyzer.js';
+
+/**
+ * Minimal RIFF/WAVE decoder; returns an AudioBuffer-like object
+ */
+function decodeWav(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const tag = (offset) => String.fromCharCode(...data.subarray(offset, offset + 4));
+    if (tag(0) !== 'RIFF' || tag(8) !== 'WAVE') {
+        throw new Error('Not a RIFF/WAVE file');
+    }
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= data.byteLength) {
+        const id = tag(offset);
+        const size = view.getUint32(offset + 4, true);
+        const body = offset + 8;
+
+        if (id === 'fmt ') {
+            let audioFormat = view.getUint16(body, true);
+            if (audioFormat === 0xFFFE && size >= 26) {
+                audioFormat = view.getUint16(body + 24, true);   // WAVE_FORMAT_EXTENSIBLE sub-format
+            }
+            format = {
+                audioFormat,
+                channels: view.getUint16(body + 2, true),
+                sampleRate: view.getUint32(body + 4, true),
+                bitsPerSample: view.getUint16(body + 14, true)
+            };
+        } else if (id === 'data') {
+            if (!format) throw new Error('WAV data chunk before fmt chunk');
+            return decodeSamples(view, body, Math.min(size, data.byteLength - body), format);
+        }
+        offset = body + size + (size % 2);
+    }
+    throw new Error('WAV file has no data chunk');
+}
+
+function decodeSamples(view, start, byteLength, { audioFormat, channels, sampleRate, bitsPerSample }) {
+    const bytes = bitsPerSample / 8;
+    const read = {
+        '1:8': (at) => (view.getUint8(at) - 128) / 128,
+        '1:16': (at) => view.getInt16(at, true) / 32768,
+        '1:24': (at) => ((view.getUint8(at + 2) << 24 | view.getUint8(at + 1) << 16 | view.getUint8(at) << 8) >> 8) / 8388608,
+        '1:32': (at) => view.getInt32(at, true) / 2147483648,
+        '3:32': (at) => view.getFloat32(at, true),
+        '3:64': (at) => view.getFloat64(at, true)
+    }[`${audioFormat}:${bitsPerSample}`];
+    if (!read) {
+        throw new Error(`Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample} bit)`);
+    }
+
+    const length = Math.floor(byteLength / (bytes * channels));
+    const channelData = Array.from({ length: channels }, () => new Float32Array(length));
+    for (let i = 0; i < length; i++) {
+        for (let channel = 0; channel < channels; channel++) {
+            channelData[channel][i] = read(start + (i * channels + channel) * bytes);
+        }
+    }
+
+    return {
+        sampleRate,
+        length,
+        duration: length / sampleRate,
+        numberOfChannels: channels,
+        getChannelData: (channel) => channelData[channel]
+    };
+}
+
+function parseArgs(argv) {
+    const options = { input: null, output: null, binary: false, hopSize: OFFLINE_ANALYZER_DEFAULTS.hopSize, fftSize: OFFLINE_ANALYZER_DEFAULTS.fftSize };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--binary') options.binary = true;
+        else if (arg === '-o' || arg === '--output') options.output = argv[++i];
+        else if (arg === '--hop') options.hopSize = Number(argv[++i]);
+        else if (arg === '--fft') options.fftSize = Number(argv[++i]);
+        else if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+        else options.input = arg;
+    }
+    if (!options.input) {
+        throw new Error('Usage: analyze-audio.mjs <file.wav> [-o out] [--binary] [--hop samples] [--fft size]');
+    }
+    options.output ??= options.input.replace(/\.wav$/i, '') + (options.binary ? '.vft' : '.features.json');
+    return options;
+}
+
+async function main(argv) {
+    const options = parseArgs(argv);
+    const buffer = decodeWav(await readFile(options.input));
+
+    const started = Date.now();
+    const track = analyzeOffline(buffer, {
+        fftSize: options.fftSize,
+        hopSize: options.hopSize,
+        meta: { source: options.input }
+    });
+
+    await writeFile(options.output, options.binary
+        ? new Uint8Array(track.toBinary())
+        : JSON.stringify(track));
+
+    console.log(`✅ ${options.input}: ${track.length} frames (${(buffer.duration).toFixed(1)}s audio, ${track.meta.hopMs.toFixed(1)}ms hop) in ${Date.now() - started}ms → ${options.output}`);
+    return 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
@@ -6,15 +6,54 @@
  * - Beat-locked rotations
  * - Bass momentum spin
  * - Spectral orbits
+ * - Eased transitions between patterns
  *
  * A Paul Phillips Manifestation
  */
 
+import { getEasing } from '../core/Easing.js';
+import { createLogger } from '../core/Logger.js';
+import { ONSET_CLASS_NAMES } from '../audio/OnsetDetector.js';
+
+const logger = createLogger('engine:rotation');
+
+const ROTATION_KEYS = ['rot4dXW', 'rot4dYW', 'rot4dZW'];
+const ONSET_SOURCES = ['onset', ...ONSET_CLASS_NAMES];
+
 export class RotationChoreographer {
-    constructor() {
+    constructor(config = {}) {
         this.patterns = this.initializePatterns();
         this.currentPattern = 'smooth';
         this.momentum = { xw: 0, yw: 0, zw: 0 };
+
+        // Pattern changes crossfade from the last output over transitionDuration ms
+        this.transitionDuration = config.transitionDuration ?? 0;
+        this.transitionEasing = config.transitionEasing || 'easeInOutCubic';
+        this.transition = null;
+        this.lastRotations = { rot4dXW: 0, rot4dYW: 0, rot4dZW: 0 };
+
+        // What onset_snap reacts to: 'onset' (any transient) or 'kick' / 'snare' / 'hat'
+        this.onsetSource = 'onset';
+        this.setOnsetSource(config.onsetSource ?? 'onset');
+    }
+
+    /**
+     * Target onset_snap at all onsets or one labelled class
+     */
+    setOnsetSource(source) {
+        if (!ONSET_SOURCES.includes(source)) {
+            throw new Error(`Unknown onset source "${source}" (expected ${ONSET_SOURCES.join(', ')})`);
+        }
+        this.onsetSource = source;
+    }
+
+    /**
+     * Onset strength for the configured source (labelled onsets count only on the frame they fire)
+     */
+    getOnsetStrength(audioData) {
+        if (this.onsetSource === 'onset') return audioData.onset || 0;
+        const event = audioData.onsets?.[this.onsetSource];
+        return event?.detected ? event.strength : 0;
     }
 
     /**
@@ -124,7 +163,7 @@ export class RotationChoreographer {
             },
 
             /**
-             * Onset snap - sudden rotation on onsets
+             * Onset snap - sudden rotation on onsets (all, or one class via setOnsetSource)
              */
             onset_snap: {
                 lastOnset: 0,
@@ -147,21 +186,34 @@ export class RotationChoreographer {
                     this.currentRotation.yw += (this.targetRotation.yw - this.currentRotation.yw) * smoothing;
                     this.currentRotation.zw += (this.targetRotation.zw - this.currentRotation.zw) * smoothing;
 
-                    return this.currentRotation;
+                    return {
+                        rot4dXW: this.currentRotation.xw,
+                        rot4dYW: this.currentRotation.yw,
+                        rot4dZW: this.currentRotation.zw
+                    };
                 }
             }
         };
     }
 
     /**
-     * Set active pattern
+     * Set active pattern, optionally with { duration, easing } for the crossfade
      */
-    setPattern(patternName) {
+    setPattern(patternName, options = {}) {
         if (this.patterns[patternName]) {
+            const duration = options.duration ?? this.transitionDuration;
+            this.transition = duration > 0 && patternName !== this.currentPattern
+                ? {
+                    from: { ...this.lastRotations },
+                    elapsed: 0,
+                    duration,
+                    easing: getEasing(options.easing || this.transitionEasing)
+                }
+                : null;
             this.currentPattern = patternName;
-            console.log(`🌀 Rotation pattern set: ${patternName}`);
+            logger.info(`🌀 Rotation pattern set: ${patternName}`);
         } else {
-            console.warn(`⚠️ Unknown rotation pattern: ${patternName}`);
+            logger.warn(`⚠️ Unknown rotation pattern: ${patternName}`);
         }
     }
 
@@ -206,16 +258,41 @@ export class RotationChoreographer {
                 break;
 
             case 'onset_snap':
-                rotations = pattern.update(audioData.onset || 0, Date.now());
+                rotations = pattern.update(this.getOnsetStrength(audioData), Date.now());
                 break;
 
             default:
                 rotations = pattern.update(time, audioData.rms || 0.5);
         }
 
+        rotations = this.applyTransition(rotations, deltaTime);
+        this.lastRotations = { ...rotations };
         return rotations;
     }
 
+    /**
+     * Blend from the previous pattern's last output toward the new pattern
+     */
+    applyTransition(rotations, deltaTime) {
+        if (!this.transition) return rotations;
+
+        const transition = this.transition;
+        transition.elapsed += Math.max(0, deltaTime || 0);
+        const progress = Math.min(1, transition.elapsed / transition.duration);
+        if (progress >= 1) {
+            this.transition = null;
+            return rotations;
+        }
+
+        const t = transition.easing(progress);
+        const blended = {};
+        ROTATION_KEYS.forEach(key => {
+            const from = transition.from[key] || 0;
+            blended[key] = from + ((rotations[key] || 0) - from) * t;
+        });
+        return blended;
+    }
+
     /**
      * Get available patterns
      */
@@ -10,6 +10,10 @@
  * A Paul Phillips Manifestation
  */
 
+import { createLogger } from '../core/Logger.js';
+
+const logger = createLogger('engine:shader');
+
 export class ShaderChoreographer {
     constructor(visualizer) {
         this.visualizer = visualizer;
@@ -21,7 +25,7 @@ export class ShaderChoreographer {
         this.glitchIntensity = 0;
         this.particleExplosion = 0;
 
-        console.log(`🎨 ShaderChoreographer initialized for ${visualizer.canvas?.id}`);
+        logger.info(`🎨 ShaderChoreographer initialized for ${visualizer.canvas?.id}`);
     }
 
     /**
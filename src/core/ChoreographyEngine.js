@@ -11,24 +11,124 @@
  * A Paul Phillips Manifestation
  */
 
+import { TriggerExpression } from './TriggerExpression.js';
+import { ParameterMixer } from './ParameterMixer.js';
+import { AudioRoutingMatrix } from '../audio/AudioRoutingMatrix.js';
+import { ONSET_CLASS_NAMES } from '../audio/OnsetDetector.js';
+import { CHROMA_KEYS } from '../audio/HarmonicAnalyzer.js';
+import { DEFAULT_BAND_LAYOUT } from '../audio/BandLayout.js';
+import { mfccKey } from '../audio/SpectralFeatures.js';
+import { FeatureTrackRecorder } from '../audio/FeatureTrackRecorder.js';
+import { parseTimeValue, timeToBeats, timeToMs } from './MusicalTime.js';
+import { EASINGS, parseEasing } from './Easing.js';
+import { parseTracks } from './KeyframeTrack.js';
+import { Envelope, adsrLevel, parseEnvelope, resolveEnvelopeTimes } from './Envelope.js';
+import { EventBus, ENGINE_EVENTS } from './EventBus.js';
+import { TempoFollower } from './TempoFollower.js';
+import { SectionDetector } from './SectionDetector.js';
+import { createLogger } from './Logger.js';
+import { validateSequenceLibrary, formatIssue } from '../sequences/SequenceValidator.js';
+
+const logger = createLogger('engine');
+
+// Legacy spike decay is applied once per 60fps frame so it no longer depends on stage length
+const SPIKE_FRAME_MS = 1000 / 60;
+
+// Trigger scope stand-in while no key / chord is known (key.mode == 'minor' stays false)
+const NO_HARMONY = Object.freeze({ name: 'none', root: 'none', mode: 'none', position: 0, confidence: 0 });
+
+// Accepted tempo range for setBpm() / tapTempo()
+const MIN_BPM = 20;
+const MAX_BPM = 400;
+
+/**
+ * Configured tempo clamped to the accepted range (setBpm() throws instead)
+ */
+function clampTempo(bpm) {
+    if (!Number.isFinite(bpm)) {
+        logger.warn(`⚠️ Invalid BPM ${bpm}, using 120`);
+        return 120;
+    }
+    const clamped = Math.min(MAX_BPM, Math.max(MIN_BPM, bpm));
+    if (clamped !== bpm) {
+        logger.warn(`⚠️ BPM ${bpm} outside ${MIN_BPM}-${MAX_BPM}, clamped to ${clamped}`);
+    }
+    return clamped;
+}
+
+/**
+ * Deterministic 0-1 noise for mock audio: the same time and salt always give the same value
+ */
+function mockNoise(time, salt) {
+    const value = Math.sin(time * 12.9898 + salt * 78.233) * 43758.5453;
+    return value - Math.floor(value);
+}
+
 export class ChoreographyEngine {
     constructor(config = {}) {
         this.visualizers = config.visualizers || [];
         this.audioAnalyzer = config.audioAnalyzer;
-        this.bpm = config.bpm || 120;
+        this.bpm = clampTempo(config.bpm || 120);
         this.beatDuration = (60 / this.bpm) * 1000; // ms
 
+        // Pluggable clock + frame scheduler so shows can be reproduced or stepped headless
+        this.getNow = typeof config.timeProvider === 'function'
+            ? config.timeProvider
+            : () => Date.now();
+        this.scheduleFrame = typeof config.scheduleFrame === 'function'
+            ? config.scheduleFrame
+            : (callback) => requestAnimationFrame(callback);
+
         // State
         this.running = false;
         this.startTime = null;
+        this.currentTime = null;
         this.currentBeat = 0;
         this.currentMeasure = 0;
-        this.beatsPerMeasure = 4;
+        this.beatsPerMeasure = config.beatsPerMeasure ?? 4;
+        this.assertBeatsPerMeasure(this.beatsPerMeasure);
+
+        // Beat grid: beat position `beat` falls at `time`; tempo changes, nudges and
+        // resyncs move the anchor instead of the timeline origin so phase is preserved
+        this.beatGrid = { time: null, beat: 0 };
+
+        // Tap tempo
+        this.tapTimes = [];
+        this.tapTimeout = config.tapTimeout ?? 2000;  // ms without a tap starts a new measurement
+        this.maxTaps = config.maxTaps ?? 8;
+
+        // Opt-in tempo follow: retune + phase-lock the grid to the analyzer (true or options)
+        this.tempoFollower = null;
+        this.followReportedBpm = this.bpm;
+        this.setTempoFollow(config.tempoFollow ?? false);
 
         // Sequence management
         this.sequences = new Map();
         this.activeSequences = [];
+        this.releasingSequences = [];
         this.sequenceHistory = [];
+        this.unknownEasings = new Set(); // easing specs already warned about
+
+        // Arbitration: 'preempt' (highest priority owns a param) or 'blend' (weighted)
+        this.conflictMode = config.conflictMode || 'preempt';
+        this.maxConcurrentSequences = config.maxConcurrentSequences ?? Infinity;
+        this.sequenceCooldowns = new Map(); // name -> time it may trigger again
+        this.parameterClaims = new Map();   // param -> { owner, claimants, totalWeight, blend }
+        this.startCounter = 0;
+
+        // Launch quantization queue
+        this.launchQueue = [];
+        this.launchCounter = 0;
+
+        // Retriggerable envelopes: name -> { envelope, param, on }
+        this.envelopes = new Map();
+
+        // Typed events for hosts (UI, bridges) - see ENGINE_EVENTS
+        this.events = new EventBus(Object.keys(ENGINE_EVENTS));
+
+        // Base + choreography + reaction layering
+        this.mixer = config.mixer || new ParameterMixer();
+        this.routing = config.routing || new AudioRoutingMatrix(config.routes || []);
 
         // Memory system
         this.memory = {
@@ -39,17 +139,37 @@ export class ChoreographyEngine {
             energyTrend: "neutral",
             lastOnsetTime: 0,
             lastOnsetEvent: null,
-            energyHistory: []
+            lastOnsets: {},            // class ('kick' | 'snare' | 'hat') -> time
+            energyHistory: [],
+            section: 'intro',          // 'intro' | 'buildup' | 'drop' | 'breakdown' | 'outro'
+            sectionConfidence: 0,
+            sectionStartedAt: null,
+            sectionBars: 0,            // bars since the current section started
+            dropPredictedAt: null,     // ms on the engine clock, null outside buildups
+            dropIn: Infinity,          // ms until the predicted drop (safe in triggers)
+            key: null,                 // e.g. 'A minor' (analyzer key estimate)
+            chord: null                // e.g. 'Am'
         };
 
+        // Song structure from bar-level energy / novelty (config.sectionDetection: options or false)
+        this.sectionDetector = config.sectionDetection === false
+            ? null
+            : new SectionDetector(config.sectionDetection === true ? {} : config.sectionDetection);
+
         // Audio snapshot tracking for derivative-based dynamics
         this.prevAudioSnapshot = null;
 
+        // Normalized audio data of the latest step(), for UIs that draw meters without re-analyzing
+        this.lastAudioData = null;
+
+        // Optional capture of each frame's normalized audio data (see startAudioRecording)
+        this.audioRecorder = null;
+
         // Performance tracking
         this.lastFrameTime = 0;
         this.deltaTime = 0;
 
-        console.log('🌌 ChoreographyEngine initialized', {
+        logger.info('🌌 ChoreographyEngine initialized', {
             bpm: this.bpm,
             beatDuration: this.beatDuration,
             visualizers: this.visualizers.length
@@ -64,12 +184,37 @@ export class ChoreographyEngine {
             throw new Error('Sequence must have a name');
         }
 
+        // Parse string triggers up front so syntax errors surface here, not every frame
+        let compiledTrigger = null;
+        if (typeof sequence.trigger === 'string') {
+            try {
+                compiledTrigger = TriggerExpression.compile(sequence.trigger);
+            } catch (error) {
+                error.message = `Sequence "${sequence.name}": ${error.message}`;
+                throw error;
+            }
+        }
+
+        // Resolve stage/sequence times up front (ms, beats, bars or note values)
+        let timing;
+        try {
+            timing = this.parseSequenceTiming(sequence);
+        } catch (error) {
+            error.message = `Sequence "${sequence.name}": ${error.message}`;
+            throw error;
+        }
+
         this.sequences.set(sequence.name, {
             ...sequence,
+            ...timing,
+            priority: sequence.priority ?? 0,
+            weight: sequence.weight ?? 1,
+            params: this.collectSequenceParams(sequence),
+            compiledTrigger,
             id: `seq_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
         });
 
-        console.log(`📋 Sequence defined: ${sequence.name}`);
+        logger.info(`📋 Sequence defined: ${sequence.name}`);
         return sequence.name;
     }
 
@@ -81,11 +226,59 @@ export class ChoreographyEngine {
             const response = await fetch(path);
             const library = await response.json();
 
-            library.sequences.forEach(seq => this.defineSequence(seq));
+            // Lint against the library schema; warnings are informational, errors skip the sequence
+            const report = validateSequenceLibrary(library);
+            report.warnings.forEach(issue => logger.warn(`⚠️ ${path}: ${formatIssue(issue)}`));
+            report.errors.forEach(issue => logger.error(`❌ ${path}: ${formatIssue(issue)}`));
+
+            const invalid = new Set();
+            for (const issue of report.errors) {
+                if (issue.sequenceIndex === null) {
+                    if (issue.path.startsWith('$.routing') || issue.path.startsWith('$.envelopes')) continue;
+                    throw new Error(`Invalid sequence library (${issue.path}: ${issue.message})`);
+                }
+                invalid.add(issue.sequenceIndex);
+            }
+
+            let loaded = 0;
+            library.sequences.forEach((seq, index) => {
+                if (invalid.has(index)) {
+                    logger.error(`❌ Skipping invalid sequence ${seq?.name ? `"${seq.name}"` : `#${index}`} in ${path}`);
+                    return;
+                }
+                try {
+                    this.defineSequence(seq);
+                    loaded++;
+                } catch (error) {
+                    logger.error(`❌ Skipping invalid sequence in ${path}: ${error.message}`);
+                }
+            });
+
+            // Presets may carry their own audio routings, scoped to the library so reloading
+            // it replaces its own routes and leaves other libraries' and manual routes alone
+            if (Array.isArray(library.routing)) {
+                const routingValid = !report.errors.some(issue => issue.path.startsWith('$.routing'));
+                if (routingValid) {
+                    this.routing.load(library.routing, { scope: path });
+                } else {
+                    logger.error(`❌ Ignoring invalid routing in ${path}`);
+                }
+            }
+
+            // ...and retriggerable envelopes
+            if (Array.isArray(library.envelopes)) {
+                library.envelopes.forEach((config, index) => {
+                    if (report.errors.some(issue => issue.path.startsWith(`$.envelopes[${index}]`))) {
+                        logger.error(`❌ Skipping invalid envelope #${index} in ${path}`);
+                        return;
+                    }
+                    this.addEnvelope(config.name, config);
+                });
+            }
 
-            console.log(`📚 Loaded ${library.sequences.length} sequences from ${path}`);
+            logger.info(`📚 Loaded ${loaded} sequences from ${path}`);
         } catch (error) {
-            console.error(`❌ Failed to load sequence library: ${path}`, error);
+            logger.error(`❌ Failed to load sequence library: ${path}`, error);
         }
     }
 
@@ -96,10 +289,11 @@ export class ChoreographyEngine {
         if (this.running) return;
 
         this.running = true;
-        this.startTime = Date.now();
+        this.startTime = this.getCurrentTime();
         this.lastFrameTime = this.startTime;
+        this.beatGrid = { time: this.startTime, beat: 0 };
 
-        console.log('🎬 Choreography engine started');
+        logger.info('🎬 Choreography engine started');
 
         // Start animation loop
         this.animate();
@@ -110,7 +304,16 @@ export class ChoreographyEngine {
      */
     stop() {
         this.running = false;
-        console.log('⏹️ Choreography engine stopped');
+
+        // Nothing will tick an eased release any more - snap everything back
+        this.stopAllSequences({ immediate: true });
+        this.envelopes.forEach(entry => {
+            entry.envelope.reset();
+            this.mixer.clearChoreography(`envelope:${entry.name}`);
+        });
+        this.mixer.apply(this.visualizers);
+
+        logger.info('⏹️ Choreography engine stopped');
     }
 
     /**
@@ -119,13 +322,42 @@ export class ChoreographyEngine {
     animate() {
         if (!this.running) return;
 
-        const currentTime = Date.now();
+        this.step(this.getCurrentTime());
+
+        // Continue loop
+        this.scheduleFrame(() => this.animate());
+    }
+
+    /**
+     * Advance the engine by exactly one tick without any scheduling.
+     * Pass an explicit audioFrame to run sequences headless (e.g. in Node);
+     * otherwise the configured analyzer (or mock data) is sampled.
+     */
+    step(timeMs, audioFrame) {
+        const currentTime = Number.isFinite(timeMs) ? timeMs : this.getCurrentTime();
+
+        // First tick defines the timeline origin when start() was never called
+        if (this.startTime === null) {
+            this.startTime = currentTime;
+            this.lastFrameTime = currentTime;
+            this.beatGrid = { time: currentTime, beat: 0 };
+        }
+
         this.deltaTime = currentTime - this.lastFrameTime;
         this.lastFrameTime = currentTime;
+        this.currentTime = currentTime;
 
         // Get audio data
-        const rawAudioData = this.audioAnalyzer ? this.audioAnalyzer.analyze() : this.getMockAudioData();
-        const audioData = this.normalizeAudioData(rawAudioData);
+        let rawAudioData = audioFrame;
+        if (rawAudioData === undefined) {
+            rawAudioData = this.audioAnalyzer ? this.audioAnalyzer.analyze() : this.getMockAudioData(currentTime);
+        }
+        const audioData = this.normalizeAudioData(rawAudioData, currentTime);
+        this.lastAudioData = audioData;
+        this.audioRecorder?.record(audioData, currentTime);
+
+        // Follow the analyzed tempo / phase before beats are counted
+        this.updateTempoFollow(audioData, currentTime);
 
         // Update beat tracking
         this.updateBeatTracking(currentTime, audioData);
@@ -133,30 +365,304 @@ export class ChoreographyEngine {
         // Update memory system
         this.updateMemory(audioData, currentTime);
 
+        // Launch queued sequences whose boundary has arrived
+        this.processLaunchQueue(currentTime);
+
         // Check sequence triggers
         this.checkTriggers(audioData, currentTime);
 
         // Update active sequences
         this.updateActiveSequences(currentTime, audioData);
 
+        // Ease released sequences back to base
+        this.updateReleases(currentTime);
+
+        // Retriggerable envelopes add their offsets on top
+        this.updateEnvelopes(currentTime);
+
         // Apply choreography to visualizers
         this.applyChoreography(audioData, currentTime);
 
-        // Continue loop
-        requestAnimationFrame(() => this.animate());
+        return audioData;
+    }
+
+    /**
+     * Record every frame's normalized audio data from now on; replay the result
+     * with FeatureTrackPlayer. options: { maxDuration (ms rolling buffer), meta }
+     */
+    startAudioRecording(options = {}) {
+        this.audioRecorder = new FeatureTrackRecorder({
+            ...options,
+            meta: { bpm: this.bpm, beatsPerMeasure: this.beatsPerMeasure, ...(options.meta || {}) }
+        });
+        this.audioRecorder.start(this.currentTime ?? this.getCurrentTime());
+        logger.info('⏺️ Audio recording started');
+        return this.audioRecorder;
+    }
+
+    /**
+     * Stop recording; returns the captured FeatureTrack (null when not recording)
+     */
+    stopAudioRecording() {
+        if (!this.audioRecorder) return null;
+        const track = this.audioRecorder.stop();
+        this.audioRecorder = null;
+        logger.info('⏹️ Audio recording stopped', { frames: track.length, duration: track.duration });
+        return track;
+    }
+
+    /**
+     * Resolve the current time from the configured clock
+     */
+    getCurrentTime() {
+        try {
+            return this.getNow();
+        } catch (error) {
+            logger.warn('ChoreographyEngine: failed to resolve current time', error);
+            return Date.now();
+        }
+    }
+
+    assertTempo(bpm) {
+        if (!Number.isFinite(bpm) || bpm < MIN_BPM || bpm > MAX_BPM) {
+            throw new Error(`BPM must be a number between ${MIN_BPM} and ${MAX_BPM} (got ${bpm})`);
+        }
+    }
+
+    assertBeatsPerMeasure(beats) {
+        if (!Number.isInteger(beats) || beats < 1) {
+            throw new Error(`beatsPerMeasure must be a positive integer (got ${beats})`);
+        }
+    }
+
+    /**
+     * Fractional beat position on the beat grid at a time
+     */
+    getBeatPosition(time = this.currentTime ?? this.getCurrentTime()) {
+        if (this.beatGrid.time === null) return 0;
+        return this.beatGrid.beat + (time - this.beatGrid.time) / this.beatDuration;
+    }
+
+    /**
+     * Time at which a beat position falls at the current tempo
+     */
+    getBeatTime(beat) {
+        return this.beatGrid.time + (beat - this.beatGrid.beat) * this.beatDuration;
+    }
+
+    /**
+     * Beat index of the backbeat: the middle of the measure (third beat in 4/4), none in 1/4
+     */
+    getBackbeatIndex() {
+        return this.beatsPerMeasure > 1 ? Math.floor(this.beatsPerMeasure / 2) : -1;
+    }
+
+    /**
+     * Anchor the beat grid at `time` if the engine has not ticked yet
+     */
+    ensureBeatGrid(time) {
+        if (this.beatGrid.time === null) {
+            this.beatGrid = { time, beat: 0 };
+        }
+    }
+
+    /**
+     * Change the tempo without a phase jump: the beat position at `time` is kept
+     * and only the beats after it run at the new speed.
+     * options: { time, source ('manual' | 'tap' | ...) }
+     */
+    setBpm(bpm, options = {}) {
+        this.assertTempo(bpm);
+        const previous = this.bpm;
+        if (bpm === previous) return;
+
+        const time = options.time ?? this.currentTime ?? this.getCurrentTime();
+        this.retuneTempo(bpm, time);
+        this.followReportedBpm = bpm;
+
+        logger.info(`🎚️ Tempo ${previous} → ${bpm} BPM (${options.source || 'manual'})`);
+        this.emit('bpmChange', { bpm, previous, source: options.source || 'manual' }, time);
+    }
+
+    /**
+     * Phase-preserving tempo change without events (shared by setBpm and tempo follow)
+     */
+    retuneTempo(bpm, time) {
+        this.ensureBeatGrid(time);
+        this.beatGrid = { time, beat: this.getBeatPosition(time) };
+        this.bpm = bpm;
+        this.beatDuration = (60 / bpm) * 1000;
+        this.retimeLaunchQueue(time);
+    }
+
+    /**
+     * Enable (true or TempoFollower options) or disable (false) tempo follow
+     */
+    setTempoFollow(options) {
+        if (!options) {
+            this.tempoFollower = null;
+            return;
+        }
+        this.tempoFollower = new TempoFollower(options === true ? {} : options);
+        this.followReportedBpm = this.bpm;
+    }
+
+    /**
+     * Tempo follow state for UIs: { enabled, targetBpm, confidence, retuning, locked, phaseError }
+     */
+    getTempoFollowState() {
+        if (!this.tempoFollower) return { enabled: false };
+        return { enabled: true, ...this.tempoFollower.getState() };
+    }
+
+    /**
+     * Apply the tempo follower's corrections for this frame
+     */
+    updateTempoFollow(audioData, time) {
+        if (!this.tempoFollower || this.beatGrid.time === null) return;
+
+        const onsetEvent = audioData.onsetEvent;
+        const { bpm, phaseShift } = this.tempoFollower.update({
+            time,
+            bpm: this.bpm,
+            beatPosition: this.getBeatPosition(time),
+            detectedBpm: audioData.bpm,
+            confidence: audioData.bpmConfidence,
+            onset: Boolean(onsetEvent?.detected),
+            onsetStrength: onsetEvent?.strength
+        });
+
+        if (bpm !== null) {
+            this.retuneTempo(Math.max(MIN_BPM, Math.min(MAX_BPM, bpm)), time);
+        }
+        if (phaseShift !== 0) {
+            this.beatGrid = { time, beat: this.getBeatPosition(time) + phaseShift };
+            this.retimeLaunchQueue(time);
+        }
+
+        // Report whole-BPM moves only, the glide itself is continuous
+        if (Math.abs(this.bpm - this.followReportedBpm) >= 1) {
+            const previous = this.followReportedBpm;
+            this.followReportedBpm = this.bpm;
+            this.emit('bpmChange', { bpm: this.bpm, previous, source: 'follow' }, time);
+        }
+    }
+
+    /**
+     * Register a tap. From the third tap on, the tempo is set from the tapped
+     * intervals (outliers more than 20% off the median are ignored) and the beat
+     * grid is aligned so the tap lands on a beat. Returns the tapped BPM or null.
+     */
+    tapTempo(time = this.currentTime ?? this.getCurrentTime()) {
+        const lastTap = this.tapTimes[this.tapTimes.length - 1];
+        if (lastTap !== undefined && (time - lastTap > this.tapTimeout || time <= lastTap)) {
+            this.tapTimes = [];
+        }
+
+        this.tapTimes.push(time);
+        if (this.tapTimes.length > this.maxTaps) {
+            this.tapTimes.shift();
+        }
+        if (this.tapTimes.length < 3) return null;
+
+        const intervals = this.tapTimes.slice(1).map((tap, index) => tap - this.tapTimes[index]);
+        const sorted = [...intervals].sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        const kept = intervals.filter(interval => Math.abs(interval - median) <= median * 0.2);
+        if (kept.length < 2) return null;
+
+        const average = kept.reduce((sum, interval) => sum + interval, 0) / kept.length;
+        const bpm = Math.round((60000 / average) * 10) / 10;
+        if (bpm < MIN_BPM || bpm > MAX_BPM) return null;
+
+        this.setBpm(bpm, { time, source: 'tap' });
+
+        // The tap is a beat: snap the grid phase to it
+        this.ensureBeatGrid(time);
+        this.beatGrid = { time, beat: Math.round(this.getBeatPosition(time)) };
+        this.retimeLaunchQueue(time);
+
+        return bpm;
+    }
+
+    /**
+     * Forget the taps of the current measurement
+     */
+    resetTapTempo() {
+        this.tapTimes = [];
+    }
+
+    /**
+     * Shift the beat grid by ±ms (positive = beats land later), like nudging a jog wheel
+     */
+    nudge(ms) {
+        if (!Number.isFinite(ms)) {
+            throw new Error(`nudge expects milliseconds (got ${ms})`);
+        }
+        const time = this.currentTime ?? this.getCurrentTime();
+        this.ensureBeatGrid(time);
+        this.beatGrid = { ...this.beatGrid, time: this.beatGrid.time + ms };
+        this.retimeLaunchQueue(time);
+    }
+
+    /**
+     * Declare `time` (default: now) a downbeat. The grid snaps to the nearest
+     * measure boundary and the downbeat fires on the next tick.
+     */
+    resync(time = this.currentTime ?? this.getCurrentTime()) {
+        this.ensureBeatGrid(time);
+        const downbeat = Math.round(this.getBeatPosition(time) / this.beatsPerMeasure) * this.beatsPerMeasure;
+
+        this.beatGrid = { time, beat: downbeat };
+        this.currentBeat = downbeat - 1;
+        this.currentMeasure = Math.floor(this.currentBeat / this.beatsPerMeasure);
+        this.retimeLaunchQueue(time);
+
+        logger.info(`🎯 Resynced downbeat (measure ${downbeat / this.beatsPerMeasure})`);
+    }
+
+    /**
+     * Change the time signature. Beats are renumbered so the current measure
+     * keeps its number and its downbeat.
+     */
+    setBeatsPerMeasure(beats) {
+        this.assertBeatsPerMeasure(beats);
+        if (beats === this.beatsPerMeasure) return;
+
+        const shift = this.currentMeasure * beats - this.currentMeasure * this.beatsPerMeasure;
+        this.beatsPerMeasure = beats;
+        this.beatGrid = { ...this.beatGrid, beat: this.beatGrid.beat + shift };
+        this.currentBeat += shift;
+        this.retimeLaunchQueue(this.currentTime ?? this.getCurrentTime());
+    }
+
+    /**
+     * Move pending quantized launches onto the (changed) beat grid
+     */
+    retimeLaunchQueue(time) {
+        if (this.launchQueue.length === 0) return;
+
+        this.launchQueue.forEach(entry => {
+            entry.launchTime = this.getNextBoundaryTime(entry.quantize, time);
+        });
+        this.launchQueue.sort((a, b) => a.launchTime - b.launchTime);
     }
 
     /**
      * Update beat tracking
      */
     updateBeatTracking(currentTime, audioData) {
-        const elapsed = currentTime - this.startTime;
-        const beatNumber = Math.floor(elapsed / this.beatDuration);
+        const beatNumber = Math.floor(this.getBeatPosition(currentTime));
 
         if (beatNumber > this.currentBeat) {
+            const previousMeasure = this.currentMeasure;
             this.currentBeat = beatNumber;
             this.currentMeasure = Math.floor(this.currentBeat / this.beatsPerMeasure);
 
+            if (this.currentMeasure !== previousMeasure) {
+                this.emit('measure', { measure: this.currentMeasure, beat: this.currentBeat });
+            }
+
             // Beat event
             this.onBeat(this.currentBeat % this.beatsPerMeasure, audioData);
         }
@@ -166,21 +672,30 @@ export class ChoreographyEngine {
         if (onsetEvent?.detected && onsetEvent.strength > 0) {
             this.onOnset(onsetEvent.strength, currentTime, onsetEvent);
         }
+
+        // Labelled onsets (kick / snare / hat)
+        ONSET_CLASS_NAMES.forEach(name => {
+            const event = audioData.onsets[name];
+            if (event.detected) {
+                this.onClassOnset(name, event, currentTime);
+            }
+        });
     }
 
     /**
      * Beat event handler
      */
     onBeat(beatInMeasure, audioData) {
-        console.log(`🥁 Beat ${this.currentBeat} (measure ${this.currentMeasure}, beat ${beatInMeasure})`);
+        logger.debug(`🥁 Beat ${this.currentBeat} (measure ${this.currentMeasure}, beat ${beatInMeasure})`);
+        this.emit('beat', this.getBeatPayload(beatInMeasure));
 
         // Downbeat (first beat of measure)
         if (beatInMeasure === 0) {
             this.onDownbeat(audioData);
         }
 
-        // Backbeat (third beat)
-        if (beatInMeasure === 2) {
+        // Backbeat (middle of the measure - third beat in 4/4)
+        if (beatInMeasure === this.getBackbeatIndex()) {
             this.onBackbeat(audioData);
         }
     }
@@ -190,7 +705,8 @@ export class ChoreographyEngine {
      */
     onDownbeat(audioData) {
         // Opportunity for strong visual changes
-        console.log('💥 Downbeat');
+        logger.debug('💥 Downbeat');
+        this.emit('downbeat', this.getBeatPayload(0));
     }
 
     /**
@@ -198,20 +714,32 @@ export class ChoreographyEngine {
      */
     onBackbeat(audioData) {
         // Secondary emphasis
-        console.log('🎵 Backbeat');
+        logger.debug('🎵 Backbeat');
+        this.emit('backbeat', this.getBeatPayload(this.getBackbeatIndex()));
+    }
+
+    /**
+     * Labelled onset handler - emits 'kick', 'snare' or 'hat'
+     */
+    onClassOnset(name, event, time) {
+        logger.debug(`⚡ ${name} onset: strength=${event.strength.toFixed(2)}`);
+        this.memory.lastOnsets[name] = time;
+        this.emit(name, { strength: event.strength, event }, time);
     }
 
     /**
      * Onset event handler
      */
     onOnset(intensity, time, event = null) {
-        console.log(`⚡ Onset detected: intensity=${intensity.toFixed(2)}`);
+        logger.debug(`⚡ Onset detected: intensity=${intensity.toFixed(2)}`);
         this.memory.lastOnsetTime = time;
 
         if (event) {
             this.memory.lastOnsetEvent = event;
         }
 
+        this.emit('onset', { strength: intensity, event }, time);
+
         // Trigger immediate visual responses
         this.visualizers.forEach(viz => {
             if (viz.triggerClick) {
@@ -241,6 +769,7 @@ export class ChoreographyEngine {
                 }
                 const avgInterval = intervals.reduce((a, b) => a + b) / intervals.length;
                 this.memory.predictedNextBass = currentTime + avgInterval;
+                this.emit('bassPrediction', { predictedAt: this.memory.predictedNextBass, interval: avgInterval }, currentTime);
             }
         }
 
@@ -251,10 +780,28 @@ export class ChoreographyEngine {
         }
 
         if (this.memory.energyHistory.length >= 10) {
+            const previousTrend = this.memory.energyTrend;
             const slope = this.calculateSlope(this.memory.energyHistory);
             if (slope > 0.01) this.memory.energyTrend = "building";
             else if (slope < -0.01) this.memory.energyTrend = "releasing";
             else this.memory.energyTrend = "stable";
+
+            if (this.memory.energyTrend !== previousTrend) {
+                this.emit('energyTrendChange', { from: previousTrend, to: this.memory.energyTrend }, currentTime);
+            }
+        }
+
+        this.updateSection(audioData, currentTime);
+        this.updateHarmony(audioData, currentTime);
+
+        // Follow the analyzer's tempo estimate (reported as tempoEstimate, not applied to the beat grid;
+        // bpmChange is reserved for changes of the engine tempo)
+        if (Number.isFinite(audioData.bpm) && audioData.bpm > 0) {
+            const previous = this.memory.detectedBpm ?? this.bpm;
+            if (Math.abs(audioData.bpm - previous) >= 1) {
+                this.memory.detectedBpm = audioData.bpm;
+                this.emit('tempoEstimate', { bpm: audioData.bpm, previous }, currentTime);
+            }
         }
 
         // Accumulate rotation momentum
@@ -264,6 +811,58 @@ export class ChoreographyEngine {
         this.memory.rotationMomentum.zw *= 0.98; // Decay
     }
 
+    /**
+     * Classify the song section on the beat grid and publish it to memory
+     */
+    updateSection(audioData, currentTime) {
+        if (!this.sectionDetector || this.beatGrid.time === null) return;
+
+        const result = this.sectionDetector.update({
+            time: currentTime,
+            beatPosition: this.getBeatPosition(currentTime),
+            beatsPerMeasure: this.beatsPerMeasure,
+            beatDuration: this.beatDuration,
+            rms: audioData.rms,
+            bands: audioData.bands,
+            kick: audioData.onsets?.kick?.detected
+        });
+
+        this.memory.section = result.section;
+        this.memory.sectionConfidence = result.confidence;
+        this.memory.sectionStartedAt = result.startTime;
+        this.memory.sectionBars = result.bars;
+        this.memory.dropPredictedAt = result.dropPredictedAt;
+        this.memory.dropIn = result.dropPredictedAt === null ? Infinity : result.dropPredictedAt - currentTime;
+
+        if (result.changed) {
+            logger.debug(`🎼 Section ${result.from} → ${result.section}`, { bar: result.startBar, confidence: result.confidence });
+            this.emit('sectionChange', {
+                from: result.from,
+                to: result.section,
+                bar: result.startBar,
+                confidence: result.confidence,
+                dropPredictedAt: result.dropPredictedAt
+            }, currentTime);
+        }
+    }
+
+    /**
+     * Publish key / chord to memory and emit harmonic change events
+     */
+    updateHarmony(audioData, currentTime) {
+        const key = audioData.key?.name ?? null;
+        if (key !== null && key !== this.memory.key) {
+            this.emit('keyChange', { from: this.memory.key, to: key, confidence: audioData.key.confidence, position: audioData.key.position }, currentTime);
+            this.memory.key = key;
+        }
+        this.memory.chord = audioData.chord?.name ?? null;
+
+        const change = audioData.chordChange;
+        if (change.detected) {
+            this.emit('chordChange', { from: change.from, to: change.to, strength: change.strength }, currentTime);
+        }
+    }
+
     /**
      * Calculate slope of data for trend detection
      */
@@ -287,123 +886,801 @@ export class ChoreographyEngine {
      * Check sequence triggers
      */
     checkTriggers(audioData, currentTime) {
+        const scope = this.buildTriggerScope(audioData, currentTime);
+
+        const candidates = [];
+
         this.sequences.forEach((sequence, name) => {
-            // Skip if already active
+            // Windowed helpers (avg, peak, ...) sample every frame, even while the trigger is skipped
+            sequence.compiledTrigger?.sample(scope, currentTime);
+
+            // Skip if already active or waiting for its launch boundary
             if (this.activeSequences.find(as => as.name === name)) return;
+            if (this.launchQueue.find(entry => entry.name === name)) return;
+
+            // Skip while cooling down
+            if (currentTime < (this.sequenceCooldowns.get(name) ?? -Infinity)) return;
 
             // Check trigger condition
             let triggered = false;
 
             if (typeof sequence.trigger === 'function') {
                 triggered = sequence.trigger(audioData, this.memory);
-            } else if (typeof sequence.trigger === 'string') {
-                // Simple expression evaluation
-                triggered = this.evaluateTrigger(sequence.trigger, audioData);
+            } else if (sequence.compiledTrigger) {
+                triggered = this.evaluateTrigger(sequence.compiledTrigger, audioData, scope);
             }
 
             if (triggered) {
-                this.startSequence(name, currentTime);
+                candidates.push(sequence);
             }
         });
+
+        // Highest priority first so arbitration is deterministic (ties keep definition order)
+        candidates
+            .sort((a, b) => b.priority - a.priority)
+            .forEach(sequence => this.launchSequence(sequence.name, {
+                quantize: sequence.quantize,
+                time: currentTime
+            }));
     }
 
     /**
-     * Evaluate trigger expression
+     * Evaluate trigger expression (string or compiled TriggerExpression)
      */
-    evaluateTrigger(expression, audioData) {
+    evaluateTrigger(expression, audioData, scope = this.buildTriggerScope(audioData, this.currentTime ?? 0)) {
         try {
-            // Simple eval replacement with safe checks
-            const bass = audioData.bands?.bass || 0;
-            const mid = audioData.bands?.mid || 0;
-            const high = audioData.bands?.high || 0;
-            const energy = audioData.rms || 0;
-            const onset = audioData.onset || 0;
-
-            // Replace variables and evaluate
-            const safeExpr = expression
-                .replace(/bass/g, bass)
-                .replace(/mid/g, mid)
-                .replace(/high/g, high)
-                .replace(/energy/g, energy)
-                .replace(/onset/g, onset);
-
-            return eval(safeExpr);
+            const compiled = expression instanceof TriggerExpression
+                ? expression
+                : TriggerExpression.compile(expression);
+            return compiled.test(scope, scope.time);
         } catch (error) {
-            console.error(`❌ Failed to evaluate trigger: ${expression}`, error);
+            logger.error(`❌ Failed to evaluate trigger: ${expression?.source ?? expression}`, error);
             return false;
         }
     }
 
+    /**
+     * Build the variable scope trigger expressions are evaluated against
+     */
+    buildTriggerScope(audioData, currentTime) {
+        const bands = audioData.bands || {};
+        const rhythm = audioData.rhythmPhases || {};
+
+        return {
+            ...rhythm,
+            ...bands,
+            bands,
+            raw: bands,
+            norm: audioData.normalizedBands || bands,
+            rhythm,
+            energy: audioData.rms || 0,
+            rms: audioData.rms || 0,
+            onset: audioData.onset || 0,
+            ...this.getOnsetStrengths(audioData),
+            onsets: audioData.onsets,
+            spectralCentroid: audioData.spectralCentroid || 0,
+            spectralRolloff: audioData.spectralRolloff || 0,
+            spectralFlux: audioData.spectralFlux || 0,
+            spectralSpread: audioData.spectralSpread || 0,
+            spectralFlatness: audioData.spectralFlatness || 0,
+            spectralContrast: audioData.spectralContrast || 0,
+            mfcc: this.getMfccScope(audioData),
+            chroma: this.getChromaScope(audioData),
+            key: audioData.key || NO_HARMONY,
+            chord: audioData.chord || NO_HARMONY,
+            chordChange: audioData.chordChange?.detected ? audioData.chordChange.strength : 0,
+            bpm: audioData.bpm || this.bpm,
+            dynamics: audioData.extremeDynamics || {},
+            color: audioData.colorChoreography || {},
+            memory: this.memory,
+            beat: this.currentBeat,
+            measure: this.currentMeasure,
+            beatInMeasure: this.currentBeat % this.beatsPerMeasure,
+            time: currentTime
+        };
+    }
+
+    /**
+     * Chroma by identifier-safe pitch class (chroma.C, chroma.Fs, ...)
+     */
+    getChromaScope(audioData) {
+        const chroma = {};
+        CHROMA_KEYS.forEach((name, i) => {
+            chroma[name] = audioData.chroma?.[i] ?? 0;
+        });
+        return chroma;
+    }
+
+    /**
+     * MFCC by identifier-safe coefficient name (mfcc.c0, mfcc.c1, ...)
+     */
+    getMfccScope(audioData) {
+        const mfcc = {};
+        (audioData.mfcc || []).forEach((value, i) => {
+            mfcc[mfccKey(i)] = value;
+        });
+        return mfcc;
+    }
+
+    /**
+     * Strength of each labelled onset on this frame (0 when it did not fire)
+     */
+    getOnsetStrengths(audioData) {
+        const strengths = {};
+        ONSET_CLASS_NAMES.forEach(name => {
+            const event = audioData.onsets?.[name];
+            strengths[name] = event?.detected ? event.strength : 0;
+        });
+        return strengths;
+    }
+
     /**
      * Start a sequence
      */
-    startSequence(name, startTime) {
+    startSequence(name, startTime, options = {}) {
         const sequence = this.sequences.get(name);
-        if (!sequence) return;
+        if (!sequence) return false;
+
+        if (!this.admitSequence(sequence, startTime, options)) {
+            return false;
+        }
 
-        console.log(`🎬 Starting sequence: ${name}`);
+        logger.info(`🎬 Starting sequence: ${name}`);
+
+        // A restart takes over from any release still easing out
+        this.cancelRelease(name);
 
         this.activeSequences.push({
             ...sequence,
             startTime,
-            currentStage: 0
+            currentStage: -1,
+            stageSnapshot: {},
+            trackSnapshot: this.snapshotTracks(sequence),
+            touchedParams: new Set(),
+            elapsedMs: 0,
+            elapsedBeats: 0,
+            lastUpdateTime: startTime,
+            startOrder: this.startCounter++
         });
+        this.resolveParameterClaims();
 
         this.sequenceHistory.push({
             name,
             startTime,
-            trigger: 'auto'
+            trigger: options.trigger || 'auto'
         });
+
+        this.emit('sequenceStart', {
+            name,
+            trigger: options.trigger || 'auto',
+            priority: sequence.priority,
+            group: sequence.group ?? null
+        }, startTime);
+
+        return true;
+    }
+
+    /**
+     * Launch a sequence, optionally quantized to the next beat/bar boundary.
+     * options.quantize: 'none' | 'beat' | 'bar' | '2bar' | '4bar' (defaults to the sequence's own)
+     * Returns the queue entry id when queued, true/false when started immediately.
+     */
+    launchSequence(name, options = {}) {
+        const sequence = this.sequences.get(name);
+        if (!sequence) return false;
+
+        const time = options.time ?? this.currentTime ?? this.getCurrentTime();
+        const quantize = options.quantize ?? sequence.quantize ?? 'none';
+        const launchTime = this.getNextBoundaryTime(quantize, time);
+
+        if (launchTime <= time) {
+            return this.startSequence(name, time, options);
+        }
+
+        const entry = {
+            id: `launch_${++this.launchCounter}`,
+            name,
+            quantize,
+            queuedAt: time,
+            launchTime,
+            options: { trigger: options.trigger, force: options.force }
+        };
+        this.launchQueue.push(entry);
+        this.launchQueue.sort((a, b) => a.launchTime - b.launchTime);
+
+        this.emit('sequenceQueued', { id: entry.id, name, quantize, launchTime }, time);
+
+        return entry.id;
+    }
+
+    /**
+     * Start queued sequences whose boundary has been reached
+     */
+    processLaunchQueue(currentTime) {
+        if (this.launchQueue.length === 0) return;
+
+        const due = this.launchQueue.filter(entry => entry.launchTime <= currentTime);
+        this.launchQueue = this.launchQueue.filter(entry => entry.launchTime > currentTime);
+
+        // Start on the grid time itself so the sequence stays phase-aligned
+        due.forEach(entry => this.startSequence(entry.name, entry.launchTime, entry.options));
+    }
+
+    /**
+     * Inspect pending quantized launches
+     */
+    getLaunchQueue() {
+        return this.launchQueue.map(entry => ({ ...entry, options: { ...entry.options } }));
+    }
+
+    /**
+     * Cancel a pending launch by entry id or sequence name
+     */
+    cancelLaunch(idOrName) {
+        const before = this.launchQueue.length;
+        this.launchQueue = this.launchQueue.filter(entry => entry.id !== idOrName && entry.name !== idOrName);
+        return before !== this.launchQueue.length;
+    }
+
+    /**
+     * Cancel every pending launch
+     */
+    clearLaunchQueue() {
+        this.launchQueue = [];
+    }
+
+    /**
+     * Beats per quantization unit ('beat' = 1, 'bar' = beatsPerMeasure, '2bar' = 2 bars, ...)
+     */
+    getQuantizeBeats(quantize) {
+        if (!quantize || quantize === 'none') return 0;
+        if (quantize === 'beat') return 1;
+
+        const bars = /^(\d*)bar$/.exec(quantize);
+        if (bars) {
+            return (bars[1] ? parseInt(bars[1], 10) : 1) * this.beatsPerMeasure;
+        }
+
+        logger.warn(`⚠️ Unknown quantize value: ${quantize}`);
+        return 0;
+    }
+
+    /**
+     * Time of the next quantization boundary at or after `time`
+     */
+    getNextBoundaryTime(quantize, time) {
+        const unitBeats = this.getQuantizeBeats(quantize);
+        if (unitBeats <= 0 || this.beatGrid.time === null) return time;
+
+        const position = this.getBeatPosition(time);
+        // Tolerate float error so a launch exactly on the grid is not pushed a whole unit
+        const nextBoundaryBeat = Math.ceil(position / unitBeats - 1e-6) * unitBeats;
+        return this.getBeatTime(nextBoundaryBeat);
+    }
+
+    /**
+     * Decide whether a sequence may start, preempting lower-priority ones
+     * that share its exclusive group or exceed the concurrency limit.
+     * options.force starts it regardless of priority.
+     */
+    admitSequence(sequence, startTime, options = {}) {
+        const outranks = (active) => options.force || sequence.priority > active.priority;
+
+        // Restarting the same sequence replaces the running instance
+        const running = this.activeSequences.find(active => active.name === sequence.name);
+        if (running) {
+            this.preemptSequence(running, startTime, sequence.name);
+        }
+
+        // Exclusive group: at most one member active
+        if (sequence.group) {
+            const rival = this.activeSequences.find(active => active.group === sequence.group);
+            if (rival) {
+                if (!outranks(rival)) {
+                    return false;
+                }
+                this.preemptSequence(rival, startTime, sequence.name);
+            }
+        }
+
+        // Concurrency limit: evict the weakest active sequence if we outrank it
+        if (this.activeSequences.length >= this.maxConcurrentSequences) {
+            const weakest = [...this.activeSequences].sort((a, b) =>
+                a.priority - b.priority || a.startOrder - b.startOrder
+            )[0];
+            if (!weakest || !outranks(weakest)) {
+                return false;
+            }
+            this.preemptSequence(weakest, startTime, sequence.name);
+        }
+
+        return true;
+    }
+
+    /**
+     * Remove an active sequence in favour of another, releasing its parameters
+     */
+    preemptSequence(activeSeq, currentTime, byName) {
+        logger.info(`⏭️ Sequence ${activeSeq.name} preempted by ${byName}`);
+        this.activeSequences = this.activeSequences.filter(active => active !== activeSeq);
+        this.releaseSequence(activeSeq, currentTime, { reason: 'preempted', by: byName });
+        this.resolveParameterClaims();
+    }
+
+    /**
+     * Collect every parameter a sequence definition can write
+     */
+    collectSequenceParams(sequence) {
+        const params = new Set();
+        (sequence.stages || []).forEach(stage => {
+            Object.keys(stage).forEach(key => {
+                if (key !== 'start' && key !== 'duration') {
+                    params.add(key);
+                }
+            });
+        });
+        Object.keys(sequence.tracks || {}).forEach(param => params.add(param));
+        return [...params];
+    }
+
+    /**
+     * Work out which active sequence owns each parameter.
+     * Every param a sequence writes is claimed. Sequences listing it in `owns` outrank
+     * those that merely write it; otherwise owner = highest priority, ties go to the earliest started.
+     * If the owner (or the engine) is in 'blend' mode every claimant contributes by weight.
+     */
+    resolveParameterClaims() {
+        this.parameterClaims = new Map();
+
+        const ranked = [...this.activeSequences].sort((a, b) =>
+            b.priority - a.priority || a.startOrder - b.startOrder
+        );
+        const explicitOwners = ranked.filter(activeSeq => activeSeq.owns);
+
+        ranked.forEach(activeSeq => {
+            new Set([...(activeSeq.owns || []), ...(activeSeq.params || [])]).forEach(param => {
+                let claim = this.parameterClaims.get(param);
+                if (!claim) {
+                    const owner = explicitOwners.find(seq => seq.owns.includes(param)) || activeSeq;
+                    claim = {
+                        owner: owner.name,
+                        claimants: [],
+                        totalWeight: 0,
+                        blend: (owner.conflict || this.conflictMode) === 'blend'
+                    };
+                    this.parameterClaims.set(param, claim);
+                }
+                claim.claimants.push(activeSeq.name);
+                claim.totalWeight += activeSeq.weight ?? 1;
+            });
+        });
+    }
+
+    /**
+     * Share of a parameter a sequence may write this frame (0 = not allowed)
+     */
+    getParameterShare(sequence, param) {
+        const claim = this.parameterClaims.get(param);
+        if (!claim) return 1;
+        if (claim.blend) {
+            return claim.totalWeight > 0 ? (sequence.weight ?? 1) / claim.totalWeight : 0;
+        }
+        return claim.owner === sequence.name ? 1 : 0;
     }
 
     /**
      * Update active sequences
      */
     updateActiveSequences(currentTime, audioData) {
+        let claimsChanged = false;
+
         this.activeSequences = this.activeSequences.filter(activeSeq => {
-            const elapsed = currentTime - activeSeq.startTime;
+            this.advanceSequenceClock(activeSeq, currentTime);
 
             // Check if sequence is complete
-            if (elapsed >= activeSeq.duration) {
-                console.log(`✅ Sequence completed: ${activeSeq.name}`);
+            if (activeSeq.durationSpec &&
+                this.getSequenceElapsed(activeSeq, activeSeq.durationSpec.unit) >= activeSeq.durationSpec.value) {
+                logger.info(`✅ Sequence completed: ${activeSeq.name}`);
+                this.releaseSequence(activeSeq, currentTime, { reason: 'complete' });
+                claimsChanged = true;
                 return false; // Remove from active
             }
 
             // Update sequence (apply choreography)
-            this.updateSequence(activeSeq, elapsed, audioData);
+            this.updateSequence(activeSeq, audioData);
 
             return true; // Keep active
         });
+
+        if (claimsChanged) {
+            this.resolveParameterClaims();
+        }
+    }
+
+    /**
+     * Parse a sequence's duration, stage start/duration values and keyframe tracks
+     */
+    parseSequenceTiming(sequence) {
+        // Like the library validator: without a duration the sequence would never complete
+        if (sequence.duration === undefined || sequence.duration === null) {
+            throw new Error('duration is required (e.g. 4000, "2s", "4b", "2bars")');
+        }
+        const durationSpec = parseTimeValue(sequence.duration);
+        const stageTimings = (sequence.stages || []).map((stage, index) => {
+            try {
+                const envelopes = {};
+                Object.entries(stage).forEach(([param, change]) => {
+                    if (change?.envelope !== undefined) {
+                        envelopes[param] = parseEnvelope(change.envelope);
+                    }
+                });
+
+                return {
+                    start: stage.start !== undefined && stage.start !== null ? parseTimeValue(stage.start) : null,
+                    duration: parseTimeValue(stage.duration),
+                    envelopes
+                };
+            } catch (error) {
+                throw new Error(`stage ${index}: ${error.message}`);
+            }
+        });
+        const keyframeTracks = sequence.tracks !== undefined ? parseTracks(sequence.tracks) : [];
+
+        return { durationSpec, stageTimings, keyframeTracks };
+    }
+
+    /**
+     * Integrate a sequence's elapsed wall time and musical time.
+     * Beats advance at the live tempo, so musical stages stretch when bpm changes.
+     */
+    advanceSequenceClock(activeSeq, currentTime) {
+        const delta = Math.max(0, currentTime - activeSeq.lastUpdateTime);
+        activeSeq.elapsedMs += delta;
+        activeSeq.elapsedBeats += delta / this.beatDuration;
+        activeSeq.lastUpdateTime = currentTime;
+    }
+
+    /**
+     * Elapsed sequence time in 'ms', 'beats' or 'bars'
+     */
+    getSequenceElapsed(activeSeq, unit) {
+        if (unit === 'beats') return activeSeq.elapsedBeats;
+        if (unit === 'bars') return activeSeq.elapsedBeats / this.beatsPerMeasure;
+        return activeSeq.elapsedMs;
+    }
+
+    /**
+     * Express a parsed time value in another unit at the current tempo
+     */
+    convertTime(spec, unit) {
+        if (spec.unit === unit) return spec.value;
+        if (unit === 'ms') return timeToMs(spec, this.beatDuration, this.beatsPerMeasure);
+
+        const beats = timeToBeats(spec, this.beatDuration, this.beatsPerMeasure);
+        return unit === 'bars' ? beats / this.beatsPerMeasure : beats;
+    }
+
+    /**
+     * Stop an active sequence and release its parameters
+     */
+    stopSequence(name, options = {}) {
+        const currentTime = this.currentTime ?? this.getCurrentTime();
+        let stopped = false;
+
+        this.activeSequences = this.activeSequences.filter(activeSeq => {
+            if (activeSeq.name !== name) return true;
+            logger.info(`⏹️ Sequence stopped: ${name}`);
+            this.releaseSequence(activeSeq, currentTime, options);
+            stopped = true;
+            return false;
+        });
+
+        if (stopped) {
+            this.resolveParameterClaims();
+        }
+        return stopped;
+    }
+
+    /**
+     * Stop every active sequence
+     */
+    stopAllSequences(options = {}) {
+        [...this.activeSequences].forEach(activeSeq => this.stopSequence(activeSeq.name, options));
+
+        if (options.immediate) {
+            [...this.releasingSequences].forEach(release => this.cancelRelease(release.name));
+        }
+    }
+
+    /**
+     * Normalize a sequence's release declaration
+     * "snap" | "hold" | { mode: "ease", duration: ms } | { mode: "ease", beats: n, easing }
+     */
+    resolveRelease(release) {
+        if (!release) return { mode: 'snap' };
+        if (typeof release === 'string') return { mode: release };
+
+        const mode = release.mode || 'ease';
+        let duration = release.duration !== undefined
+            ? timeToMs(parseTimeValue(release.duration), this.beatDuration, this.beatsPerMeasure)
+            : 0;
+        if (release.beats !== undefined) {
+            duration = release.beats * this.beatDuration;
+        }
+
+        return {
+            mode,
+            duration: Math.max(0, duration),
+            easing: release.easing || 'easeOut'
+        };
+    }
+
+    /**
+     * Return every parameter a sequence touched to base (on completion, stop or preemption)
+     */
+    releaseSequence(activeSeq, currentTime, options = {}) {
+        if (activeSeq.cooldown) {
+            this.sequenceCooldowns.set(activeSeq.name, currentTime + activeSeq.cooldown);
+        }
+
+        this.emit('sequenceEnd', {
+            name: activeSeq.name,
+            reason: options.reason || 'stopped',
+            by: options.by ?? null
+        }, currentTime);
+
+        const release = options.immediate ? { mode: 'snap' } : this.resolveRelease(activeSeq.release);
+        const params = [...(activeSeq.touchedParams || [])];
+
+        if (release.mode === 'hold') {
+            // Commit the final values as the new base
+            params.forEach(param => {
+                const offset = this.mixer.getChoreographyContribution(activeSeq.name, param);
+                if (offset !== null) {
+                    this.mixer.setBase(param, this.mixer.getBase(param) + offset);
+                }
+            });
+            this.mixer.clearChoreography(activeSeq.name);
+            return;
+        }
+
+        if (release.mode === 'ease' && release.duration > 0 && params.length > 0) {
+            const offsets = {};
+            params.forEach(param => {
+                const offset = this.mixer.getChoreographyContribution(activeSeq.name, param);
+                if (offset !== null) {
+                    offsets[param] = offset;
+                }
+            });
+
+            this.mixer.clearChoreography(activeSeq.name);
+            this.releasingSequences.push({
+                name: activeSeq.name,
+                sourceId: `release:${activeSeq.name}`,
+                offsets,
+                startTime: currentTime,
+                duration: release.duration,
+                beats: release.duration / this.beatDuration,
+                easing: this.getEasingFunction(release.easing)
+            });
+            this.updateReleases(currentTime);
+            return;
+        }
+
+        // Snap back
+        this.mixer.clearChoreography(activeSeq.name);
+    }
+
+    /**
+     * Advance eased releases, fading each offset back to zero
+     */
+    updateReleases(currentTime) {
+        this.releasingSequences = this.releasingSequences.filter(release => {
+            const progress = Math.min(1, (currentTime - release.startTime) / release.duration);
+
+            if (progress >= 1) {
+                this.mixer.clearChoreography(release.sourceId);
+                return false;
+            }
+
+            const remaining = 1 - release.easing(progress, { beats: release.beats });
+            Object.entries(release.offsets).forEach(([param, offset]) => {
+                this.mixer.setChoreography(release.sourceId, param, offset * remaining, 'offset');
+            });
+            return true;
+        });
+    }
+
+    /**
+     * Drop a pending release immediately
+     */
+    cancelRelease(name) {
+        this.releasingSequences = this.releasingSequences.filter(release => {
+            if (release.name !== name) return true;
+            this.mixer.clearChoreography(release.sourceId);
+            return false;
+        });
+    }
+
+    /**
+     * Subscribe to an engine event ('*' for all); returns an unsubscribe function
+     */
+    on(type, listener) {
+        return this.events.on(type, listener);
+    }
+
+    once(type, listener) {
+        return this.events.once(type, listener);
+    }
+
+    off(type, listener) {
+        return this.events.off(type, listener);
+    }
+
+    /**
+     * Emit an engine event and fire any envelopes listening to it
+     */
+    emit(type, payload = {}, time = this.currentTime ?? this.getCurrentTime()) {
+        const event = this.events.emit(type, { time, ...payload });
+        this.fireEnvelopes(type, payload.velocity ?? payload.strength ?? 1);
+        return event;
+    }
+
+    /**
+     * Emit a custom named event (registers the type on first use)
+     */
+    emitEvent(name, payload = {}) {
+        this.events.addType(name);
+        return this.emit(name, payload);
+    }
+
+    /**
+     * Beat event payload
+     */
+    getBeatPayload(beatInMeasure) {
+        return { beat: this.currentBeat, measure: this.currentMeasure, beatInMeasure };
+    }
+
+    /**
+     * Register a retriggerable envelope:
+     * { param, on: any engine event ('onset', 'beat', 'downbeat', ...) or custom event name (or an array),
+     *   amount, attack, decay, sustain, release, hold }
+     */
+    addEnvelope(name, config = {}) {
+        if (!config.param) {
+            throw new Error(`Envelope "${name}" requires a target param`);
+        }
+
+        let envelope;
+        try {
+            envelope = new Envelope(config);
+        } catch (error) {
+            throw new Error(`Envelope "${name}": ${error.message}`);
+        }
+
+        this.removeEnvelope(name);
+        this.envelopes.set(name, {
+            name,
+            param: config.param,
+            on: [].concat(config.on || []),
+            envelope
+        });
+        return name;
+    }
+
+    removeEnvelope(name) {
+        const entry = this.envelopes.get(name);
+        if (!entry) return false;
+        this.mixer.clearChoreography(`envelope:${name}`);
+        return this.envelopes.delete(name);
+    }
+
+    /**
+     * Fire a named envelope (velocity scales its amount); sustain: true holds until releaseEnvelope()
+     */
+    triggerEnvelope(name, velocity = 1, options = {}) {
+        const entry = this.envelopes.get(name);
+        if (!entry) return false;
+
+        entry.envelope.trigger(this.currentTime ?? this.getCurrentTime(), {
+            velocity,
+            beatDuration: this.beatDuration,
+            beatsPerMeasure: this.beatsPerMeasure,
+            sustainUntilOff: !!options.sustain
+        });
+        return true;
+    }
+
+    /**
+     * Close a held envelope's gate so it releases
+     */
+    releaseEnvelope(name) {
+        const entry = this.envelopes.get(name);
+        if (!entry) return false;
+        entry.envelope.gateOff(this.currentTime ?? this.getCurrentTime());
+        return true;
+    }
+
+    /**
+     * Fire every envelope listening to an event (onset, beat, downbeat, backbeat or a custom name)
+     */
+    fireEnvelopes(eventName, velocity = 1) {
+        let fired = 0;
+        this.envelopes.forEach(entry => {
+            if (entry.on.includes(eventName)) {
+                this.triggerEnvelope(entry.name, velocity);
+                fired++;
+            }
+        });
+        return fired;
+    }
+
+    /**
+     * Write active envelope offsets into the mixer
+     */
+    updateEnvelopes(currentTime) {
+        this.envelopes.forEach(entry => {
+            const sourceId = `envelope:${entry.name}`;
+            if (!entry.envelope.isActive(currentTime)) {
+                this.mixer.clearChoreography(sourceId);
+                return;
+            }
+            this.mixer.setChoreography(sourceId, entry.param, entry.envelope.valueAt(currentTime), 'offset');
+        });
     }
 
     /**
      * Update individual sequence
      */
-    updateSequence(sequence, elapsed, audioData) {
+    updateSequence(sequence, audioData) {
+        this.updateStages(sequence, audioData);
+
+        // Tracks run independently of stages (and win over a stage animating the same param)
+        this.updateTracks(sequence);
+    }
+
+    /**
+     * Apply whichever stage the sequence is currently in
+     */
+    updateStages(sequence, audioData) {
         if (!sequence.stages) return;
 
         // Find current stage
-        let accumulatedTime = 0;
+        let accumulated = { value: 0, unit: 'ms' };
         for (let i = 0; i < sequence.stages.length; i++) {
             const stage = sequence.stages[i];
-            const stageStart = stage.start || accumulatedTime;
-            const stageDuration = stage.duration;
+            const timing = sequence.stageTimings[i];
+
+            // Measure in the duration's unit so musical stages follow the tempo
+            const unit = timing.duration.unit;
+            const elapsed = this.getSequenceElapsed(sequence, unit);
+            const stageStart = this.convertTime(timing.start ?? accumulated, unit);
+            const stageDuration = timing.duration.value;
 
             if (elapsed >= stageStart && elapsed < stageStart + stageDuration) {
-                // We're in this stage
+                // We're in this stage - snapshot 'current' values on entry
+                if (sequence.currentStage !== i) {
+                    sequence.currentStage = i;
+                    sequence.stageSnapshot = this.snapshotStage(stage);
+                }
+
                 const stageProgress = (elapsed - stageStart) / stageDuration;
-                this.applyStage(sequence, stage, stageProgress, audioData);
+                this.applyStage(sequence, stage, stageProgress, audioData, {
+                    beats: timeToBeats(timing.duration, this.beatDuration, this.beatsPerMeasure),
+                    ms: timeToMs(timing.duration, this.beatDuration, this.beatsPerMeasure),
+                    envelopes: timing.envelopes
+                });
                 break;
             }
 
-            accumulatedTime = stageStart + stageDuration;
+            accumulated = { value: stageStart + stageDuration, unit };
         }
     }
 
     /**
      * Apply stage choreography
      */
-    applyStage(sequence, stage, progress, audioData) {
+    applyStage(sequence, stage, progress, audioData, stageContext = {}) {
         // Apply parameter changes from this stage
         Object.keys(stage).forEach(param => {
             if (param === 'start' || param === 'duration') return;
@@ -416,75 +1693,189 @@ export class ChoreographyEngine {
             if (change.from !== undefined && change.to !== undefined) {
                 // Interpolation
                 const easing = this.getEasingFunction(change.easing || 'linear');
-                const t = easing(progress);
+                const t = easing(progress, stageContext);
 
-                const from = change.from === 'current' ? this.getCurrentParam(param) : change.from;
-                const to = change.to === 'current' ? this.getCurrentParam(param) : change.to;
+                const snapshot = sequence.stageSnapshot?.[param];
+                const current = snapshot !== undefined ? snapshot : this.getCurrentParam(param);
+                const from = change.from === 'current' ? current : change.from;
+                const to = change.to === 'current' ? current : change.to;
 
                 value = from + (to - from) * t;
+            } else if (change.envelope !== undefined) {
+                // ADSR on top of base; the gate closes early enough for the release to finish in the stage
+                // (the release is shortened when attack + decay leave less room)
+                const spec = stageContext.envelopes?.[param] || parseEnvelope(change.envelope);
+                const times = resolveEnvelopeTimes(spec, this.beatDuration, this.beatsPerMeasure);
+                const stageMs = stageContext.ms ?? 0;
+                const release = Math.min(times.release, Math.max(0, stageMs - times.attack - times.decay));
+                const level = adsrLevel(progress * stageMs, stageMs - release, { ...times, release });
+                value = this.ensureBase(param) + spec.amount * level;
             } else if (change.spike !== undefined) {
-                // Spike with decay
+                // Legacy spike: jump to the spike value and decay back toward base
                 const decay = change.decay || 0.95;
-                value = change.spike * Math.pow(decay, progress * 100);
+                const base = this.ensureBase(param);
+                const elapsedMs = progress * (stageContext.ms ?? 0);
+                value = base + (change.spike - base) * Math.pow(decay, elapsedMs / SPIKE_FRAME_MS);
             } else if (change.jump !== undefined) {
                 // Instant change
                 value = change.jump;
             }
 
             if (value !== null) {
-                this.setChoreographedParam(param, value);
+                this.writeSequenceParam(sequence, param, value);
             }
         });
     }
 
     /**
-     * Get easing function
+     * Evaluate every keyframe track at the sequence's elapsed time
+     */
+    updateTracks(sequence) {
+        (sequence.keyframeTracks || []).forEach(track => {
+            const unit = track.unit;
+            const value = track.evaluate(this.getSequenceElapsed(sequence, unit), {
+                convert: spec => this.convertTime(spec, unit),
+                beatsPerUnit: unit === 'beats' ? 1 : 1 / this.beatDuration,
+                current: sequence.trackSnapshot?.[track.param] ?? this.getCurrentParam(track.param)
+            });
+            this.writeSequenceParam(sequence, track.param, value);
+        });
+    }
+
+    /**
+     * Write a sequence's value for a parameter, respecting ownership/blend shares
+     */
+    writeSequenceParam(sequence, param, value) {
+        const share = this.getParameterShare(sequence, param);
+        if (share <= 0) {
+            // Another sequence owns this parameter right now
+            this.mixer.clearChoreography(sequence.name, param);
+            return;
+        }
+
+        sequence.touchedParams?.add(param);
+        this.setChoreographedParam(param, value, sequence.name, share);
+    }
+
+    /**
+     * Get easing function (named, cubic-bezier(), steps(), subdivide(), pulse());
+     * unknown specs warn once and fall back to linear
      */
     getEasingFunction(name) {
-        const easings = {
-            linear: t => t,
-            easeIn: t => t * t,
-            easeOut: t => t * (2 - t),
-            easeInOut: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
-            exponential: t => t === 0 ? 0 : Math.pow(2, 10 * (t - 1))
-        };
+        try {
+            return parseEasing(name);
+        } catch (error) {
+            if (!this.unknownEasings.has(name)) {
+                this.unknownEasings.add(name);
+                logger.warn(`⚠️ ${error.message}, using linear`);
+            }
+            return EASINGS.linear;
+        }
+    }
 
-        return easings[name] || easings.linear;
+    /**
+     * Capture 'current' values for every parameter a stage interpolates from/to
+     */
+    snapshotStage(stage) {
+        const snapshot = {};
+        Object.keys(stage).forEach(param => {
+            const change = stage[param];
+            if (change && (change.from === 'current' || change.to === 'current')) {
+                snapshot[param] = this.getCurrentParam(param);
+            }
+        });
+        return snapshot;
     }
 
     /**
-     * Get current parameter value
+     * Capture 'current' values for tracks with "current" keyframes (at sequence start)
+     */
+    snapshotTracks(sequence) {
+        const snapshot = {};
+        (sequence.keyframeTracks || []).forEach(track => {
+            if (track.usesCurrent) {
+                snapshot[track.param] = this.getCurrentParam(track.param);
+            }
+        });
+        return snapshot;
+    }
+
+    /**
+     * Get current parameter value: last mixed output, then visualizer state, then base
      */
     getCurrentParam(param) {
-        // Would need to query visualizers for current value
-        // For now return default
-        return 0;
+        if (typeof this.mixer.lastOutput[param] === 'number') {
+            return this.mixer.lastOutput[param];
+        }
+
+        const visualizerValue = this.readVisualizerParam(param);
+        if (visualizerValue !== null) {
+            return visualizerValue;
+        }
+
+        return this.mixer.getBase(param);
     }
 
     /**
-     * Set choreographed parameter across all visualizers
+     * Query attached visualizers for a parameter (in global naming)
      */
-    setChoreographedParam(param, value) {
-        this.visualizers.forEach(viz => {
-            if (viz.updateParameter) {
-                viz.updateParameter(param, value);
+    readVisualizerParam(param) {
+        for (const viz of this.visualizers) {
+            const value = typeof viz.getParameter === 'function'
+                ? viz.getParameter(param)
+                : viz.params?.[param];
+            const numeric = typeof value === 'string' ? parseFloat(value) : value;
+            if (Number.isFinite(numeric)) {
+                return numeric;
             }
-        });
+        }
+        return null;
+    }
+
+    /**
+     * Mixer base for a parameter, adopting the visualizer's own value the first time
+     * so releasing returns to it
+     */
+    ensureBase(param) {
+        if (!this.mixer.base.has(param)) {
+            const visualizerValue = this.readVisualizerParam(param);
+            if (visualizerValue !== null) {
+                this.mixer.setBase(param, visualizerValue);
+            }
+        }
+        return this.mixer.getBase(param);
+    }
+
+    /**
+     * Record a choreographed parameter value in the mixer's choreography layer.
+     * A share below 1 (blend arbitration) scales the sequence's offset from base.
+     */
+    setChoreographedParam(param, value, sourceId = 'manual', share = 1) {
+        this.ensureBase(param);
+
+        if (share < 1) {
+            this.mixer.setChoreography(sourceId, param, (value - this.mixer.getBase(param)) * share, 'offset');
+        } else {
+            this.mixer.setChoreography(sourceId, param, value);
+        }
     }
 
     /**
      * Apply choreography to visualizers
      */
     applyChoreography(audioData, currentTime) {
-        // This is where active sequences influence visualizers
-        // Already handled in updateActiveSequences
+        // Audio routings feed the reaction layer
+        this.routing.applyTo(this.mixer, audioData, this.deltaTime);
+
+        // Mixer combines base + sequence + reaction layers and pushes once per frame
+        this.mixer.apply(this.visualizers);
     }
 
     /**
      * Normalize audio data into a consistent structure for the engine
      */
-    normalizeAudioData(audioData) {
-        const baseBands = ['subBass', 'bass', 'lowMid', 'mid', 'highMid', 'high', 'air', 'ultraHigh'];
+    normalizeAudioData(audioData, currentTime = this.getCurrentTime()) {
+        const baseBands = DEFAULT_BAND_LAYOUT.map(band => band.name);
         const normalized = { ...(audioData || {}) };
 
         const incomingBandDetails = audioData?.bandDetails || {};
@@ -541,26 +1932,58 @@ export class ChoreographyEngine {
 
         normalized.bands = normalizedBands;
         normalized.bandDetails = normalizedDetails;
+
+        // AGC values from the analyzer; frames without them fall back to the raw bands
+        const incomingNormalized = audioData?.normalizedBands || {};
+        normalized.normalizedBands = {};
+        Object.keys(normalizedBands).forEach(name => {
+            normalized.normalizedBands[name] = incomingNormalized[name] ?? normalizedBands[name];
+        });
         normalized.onset = onsetStrength;
+        normalized.onsets = {};
+        ONSET_CLASS_NAMES.forEach(name => {
+            const event = audioData?.onsets?.[name];
+            normalized.onsets[name] = {
+                detected: Boolean(event?.detected),
+                strength: event?.strength ?? 0,
+                time: event?.time ?? currentTime,
+                class: name
+            };
+        });
         normalized.onsetEvent = onsetEvent || {
             detected: false,
             strength: onsetStrength,
-            time: Date.now()
+            time: currentTime
         };
 
         normalized.rms = normalized.rms ?? 0;
         normalized.spectralCentroid = normalized.spectralCentroid ?? 0;
         normalized.spectralRolloff = normalized.spectralRolloff ?? 0;
         normalized.spectralFlux = normalized.spectralFlux ?? 0;
+        normalized.spectralSpread = normalized.spectralSpread ?? 0;
+        normalized.spectralFlatness = normalized.spectralFlatness ?? 0;
+        normalized.spectralContrast = normalized.spectralContrast ?? 0;
+        normalized.mfcc = Array.isArray(audioData?.mfcc) ? audioData.mfcc : [];
         normalized.bpm = normalized.bpm ?? this.bpm;
+        normalized.bpmConfidence = normalized.bpmConfidence ?? 0;
+        normalized.chroma = Array.isArray(audioData?.chroma) && audioData.chroma.length === 12
+            ? audioData.chroma
+            : new Array(12).fill(0);
+        normalized.key = audioData?.key ?? null;
+        normalized.chord = audioData?.chord ?? null;
+        normalized.chordChange = {
+            detected: Boolean(audioData?.chordChange?.detected),
+            strength: audioData?.chordChange?.strength ?? 0,
+            from: audioData?.chordChange?.from ?? null,
+            to: audioData?.chordChange?.to ?? null,
+            time: audioData?.chordChange?.time ?? currentTime
+        };
 
         // Derived rhythmic phases for richer choreography
-        const now = Date.now();
-        const elapsedFromStart = this.startTime ? now - this.startTime : 0;
-        const beatDuration = Math.max(1, this.beatDuration || 1);
-        const measureDuration = Math.max(beatDuration * this.beatsPerMeasure, beatDuration);
-        const beatPhase = (elapsedFromStart % beatDuration) / beatDuration;
-        const measurePhase = (elapsedFromStart % measureDuration) / measureDuration;
+        const now = currentTime;
+        const elapsedBeats = Math.max(0, this.getBeatPosition(now));
+        const beatPhase = elapsedBeats % 1;
+        const measurePhase = (elapsedBeats % this.beatsPerMeasure) / this.beatsPerMeasure;
         const swingPulse = Math.sin(beatPhase * Math.PI * 2) + Math.sin(beatPhase * Math.PI * 4) * 0.35;
         const tripletPulse = Math.sin(beatPhase * Math.PI * 6);
         const quintuplePulse = Math.sin(beatPhase * Math.PI * 10);
@@ -578,7 +2001,7 @@ export class ChoreographyEngine {
             accentPulse,
             downbeatPulse,
             beatStrength: Math.max(accentPulse, onsetStrength),
-            elapsedBeats: elapsedFromStart / beatDuration
+            elapsedBeats
         };
 
         // Momentum tracking for extreme dynamics
@@ -663,27 +2086,22 @@ export class ChoreographyEngine {
     /**
      * Get mock audio data for testing
      */
-    getMockAudioData() {
-        const time = (Date.now() - this.startTime) / 1000;
-        const bandDetails = {
-            subBass: { low: 20, high: 60 },
-            bass: { low: 60, high: 250 },
-            lowMid: { low: 250, high: 500 },
-            mid: { low: 500, high: 2000 },
-            highMid: { low: 2000, high: 4000 },
-            high: { low: 4000, high: 8000 },
-            air: { low: 8000, high: 20000 },
-            ultraHigh: { low: 12000, high: 22000 }
-        };
+    getMockAudioData(currentTime = this.getCurrentTime()) {
+        const time = (currentTime - (this.startTime ?? currentTime)) / 1000;
+        const bandDetails = {};
+        DEFAULT_BAND_LAYOUT.forEach(({ name, low, high }) => {
+            bandDetails[name] = { low, high };
+        });
 
         const bassValue = Math.abs(Math.sin(time * 0.5)) * 0.7;
         const midValue = Math.abs(Math.sin(time * 0.7)) * 0.5;
         const highValue = Math.abs(Math.sin(time * 1.3)) * 0.3;
-        const onsetStrength = Math.random() > 0.95 ? Math.random() : 0;
+        // Hashed from the clock instead of Math.random() so headless runs are reproducible
+        const onsetStrength = mockNoise(currentTime, 1) > 0.95 ? mockNoise(currentTime, 2) : 0;
         const onsetEvent = {
             detected: onsetStrength > 0.75,
             strength: onsetStrength,
-            time: Date.now()
+            time: currentTime
         };
 
         const bandValues = {
@@ -713,8 +2131,9 @@ export class ChoreographyEngine {
             rms: Math.abs(Math.sin(time * 0.3)) * 0.6,
             onset: onsetStrength,
             onsetEvent,
-            spectralCentroid: 1000 + Math.random() * 3000,
-            spectralRolloff: 5000 + Math.random() * 5000
+            // Same 0-1 scales as AudioAnalyzer (centroid / 10kHz, rolloff / Nyquist)
+            spectralCentroid: 0.1 + mockNoise(currentTime, 3) * 0.3,
+            spectralRolloff: 0.23 + mockNoise(currentTime, 4) * 0.23
         };
     }
 }
@@ -0,0 +1,338 @@
+/**
+ * Easing - Shared easing curves for sequences, releases and rotation patterns
+ *
+ * Accepted easing specs:
+ * - Named curves: linear, the Penner set (easeIn/Out/InOut + Sine, Quad, Cubic,
+ *   Quart, Expo, Circ, Back, Elastic, Bounce) and the legacy
+ *   easeIn / easeOut / easeInOut / exponential names
+ * - "cubic-bezier(x1, y1, x2, y2)" - CSS-style custom curve
+ * - "steps(n)" / "steps(n, start)" - staircase with n jumps
+ * - "subdivide(1/8)" / "subdivide(1/8, easeOutBack)" - beat-synced staircase that
+ *   eases into each step so movement lands on every subdivision
+ * - "pulse(1/16)" - re-attacks on every subdivision and decays until the next one
+ *
+ * Easings take (t, context) with t in 0-1. Beat-synced easings read
+ * context.beats (the span being eased, in beats) to place the subdivisions.
+ *
+ * A Paul Phillips Manifestation
+ */
+
+import { parseTimeValue, timeToBeats } from './MusicalTime.js';
+
+const { PI, sin, cos, sqrt, pow } = Math;
+
+const BACK_OVERSHOOT = 1.70158;
+const BACK_INOUT_OVERSHOOT = BACK_OVERSHOOT * 1.525;
+const ELASTIC_PERIOD = (2 * PI) / 3;
+const ELASTIC_INOUT_PERIOD = (2 * PI) / 4.5;
+
+function bounceOut(t) {
+    const n1 = 7.5625;
+    const d1 = 2.75;
+    if (t < 1 / d1) return n1 * t * t;
+    if (t < 2 / d1) return n1 * (t -= 1.5 / d1) * t + 0.75;
+    if (t < 2.5 / d1) return n1 * (t -= 2.25 / d1) * t + 0.9375;
+    return n1 * (t -= 2.625 / d1) * t + 0.984375;
+}
+
+/**
+ * Named easing curves (0 → 0, 1 → 1)
+ */
+export const EASINGS = {
+    linear: t => t,
+
+    // Legacy names used by existing sequence JSON
+    easeIn: t => t * t,
+    easeOut: t => t * (2 - t),
+    easeInOut: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+    exponential: t => t === 0 ? 0 : pow(2, 10 * (t - 1)),
+
+    easeInSine: t => 1 - cos((t * PI) / 2),
+    easeOutSine: t => sin((t * PI) / 2),
+    easeInOutSine: t => -(cos(PI * t) - 1) / 2,
+
+    easeInQuad: t => t * t,
+    easeOutQuad: t => 1 - (1 - t) * (1 - t),
+    easeInOutQuad: t => t < 0.5 ? 2 * t * t : 1 - pow(-2 * t + 2, 2) / 2,
+
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - pow(1 - t, 3),
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - pow(-2 * t + 2, 3) / 2,
+
+    easeInQuart: t => t * t * t * t,
+    easeOutQuart: t => 1 - pow(1 - t, 4),
+    easeInOutQuart: t => t < 0.5 ? 8 * pow(t, 4) : 1 - pow(-2 * t + 2, 4) / 2,
+
+    easeInExpo: t => t === 0 ? 0 : pow(2, 10 * t - 10),
+    easeOutExpo: t => t === 1 ? 1 : 1 - pow(2, -10 * t),
+    easeInOutExpo: t => {
+        if (t === 0 || t === 1) return t;
+        return t < 0.5 ? pow(2, 20 * t - 10) / 2 : (2 - pow(2, -20 * t + 10)) / 2;
+    },
+
+    easeInCirc: t => 1 - sqrt(1 - t * t),
+    easeOutCirc: t => sqrt(1 - pow(t - 1, 2)),
+    easeInOutCirc: t => t < 0.5
+        ? (1 - sqrt(1 - pow(2 * t, 2))) / 2
+        : (sqrt(1 - pow(-2 * t + 2, 2)) + 1) / 2,
+
+    easeInBack: t => (BACK_OVERSHOOT + 1) * t * t * t - BACK_OVERSHOOT * t * t,
+    easeOutBack: t => 1 + (BACK_OVERSHOOT + 1) * pow(t - 1, 3) + BACK_OVERSHOOT * pow(t - 1, 2),
+    easeInOutBack: t => t < 0.5
+        ? (pow(2 * t, 2) * ((BACK_INOUT_OVERSHOOT + 1) * 2 * t - BACK_INOUT_OVERSHOOT)) / 2
+        : (pow(2 * t - 2, 2) * ((BACK_INOUT_OVERSHOOT + 1) * (t * 2 - 2) + BACK_INOUT_OVERSHOOT) + 2) / 2,
+
+    easeInElastic: t => {
+        if (t === 0 || t === 1) return t;
+        return -pow(2, 10 * t - 10) * sin((t * 10 - 10.75) * ELASTIC_PERIOD);
+    },
+    easeOutElastic: t => {
+        if (t === 0 || t === 1) return t;
+        return pow(2, -10 * t) * sin((t * 10 - 0.75) * ELASTIC_PERIOD) + 1;
+    },
+    easeInOutElastic: t => {
+        if (t === 0 || t === 1) return t;
+        return t < 0.5
+            ? -(pow(2, 20 * t - 10) * sin((20 * t - 11.125) * ELASTIC_INOUT_PERIOD)) / 2
+            : (pow(2, -20 * t + 10) * sin((20 * t - 11.125) * ELASTIC_INOUT_PERIOD)) / 2 + 1;
+    },
+
+    easeInBounce: t => 1 - bounceOut(1 - t),
+    easeOutBounce: bounceOut,
+    easeInOutBounce: t => t < 0.5
+        ? (1 - bounceOut(1 - 2 * t)) / 2
+        : (1 + bounceOut(2 * t - 1)) / 2
+};
+
+export const EASING_NAMES = Object.keys(EASINGS);
+
+/**
+ * CSS-style cubic-bezier curve (x1/x2 must be within 0-1)
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+    if (![x1, y1, x2, y2].every(Number.isFinite)) {
+        throw new Error('cubic-bezier() expects four numbers');
+    }
+    if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) {
+        throw new Error('cubic-bezier() x values must be between 0 and 1');
+    }
+
+    // Polynomial coefficients for x(s) and y(s)
+    const cx = 3 * x1;
+    const bx = 3 * (x2 - x1) - cx;
+    const ax = 1 - cx - bx;
+    const cy = 3 * y1;
+    const by = 3 * (y2 - y1) - cy;
+    const ay = 1 - cy - by;
+
+    const sampleX = s => ((ax * s + bx) * s + cx) * s;
+    const sampleY = s => ((ay * s + by) * s + cy) * s;
+    const slopeX = s => (3 * ax * s + 2 * bx) * s + cx;
+
+    const solveX = (x) => {
+        // Newton-Raphson first, bisection if the slope is too flat
+        let s = x;
+        for (let i = 0; i < 8; i++) {
+            const error = sampleX(s) - x;
+            if (Math.abs(error) < 1e-6) return s;
+            const slope = slopeX(s);
+            if (Math.abs(slope) < 1e-6) break;
+            s -= error / slope;
+        }
+
+        let lo = 0;
+        let hi = 1;
+        s = x;
+        while (lo < hi) {
+            const value = sampleX(s);
+            if (Math.abs(value - x) < 1e-6) return s;
+            if (x > value) lo = s; else hi = s;
+            const next = (lo + hi) / 2;
+            if (next === s) break;
+            s = next;
+        }
+        return s;
+    };
+
+    return t => {
+        if (t <= 0) return 0;
+        if (t >= 1) return 1;
+        return sampleY(solveX(t));
+    };
+}
+
+/**
+ * Staircase with n jumps; 'end' jumps at the end of each step, 'start' at its beginning
+ */
+export function steps(count, position = 'end') {
+    const n = Math.floor(count);
+    if (!Number.isFinite(n) || n < 1) {
+        throw new Error('steps() expects a positive step count');
+    }
+    if (position !== 'start' && position !== 'end') {
+        throw new Error('steps() position must be "start" or "end"');
+    }
+
+    return t => {
+        if (t >= 1) return 1;
+        if (t <= 0) return position === 'start' ? 1 / n : 0;
+        const step = Math.floor(t * n) + (position === 'start' ? 1 : 0);
+        return Math.min(1, step / n);
+    };
+}
+
+/**
+ * Number of subdivisions across the eased span (at least one)
+ */
+function subdivisionCount(subdivisionBeats, context) {
+    const beats = context?.beats > 0 ? context.beats : 1;
+    return Math.max(1, Math.round(beats / subdivisionBeats));
+}
+
+/**
+ * Beat-synced staircase: each subdivision eases from one step to the next
+ */
+export function subdivide(subdivisionBeats, inner = EASINGS.easeOutCubic) {
+    if (!(subdivisionBeats > 0)) {
+        throw new Error('subdivide() expects a positive subdivision');
+    }
+
+    return (t, context) => {
+        if (t <= 0) return 0;
+        if (t >= 1) return 1;
+        const count = subdivisionCount(subdivisionBeats, context);
+        const position = t * count;
+        const step = Math.floor(position);
+        return (step + inner(position - step, context)) / count;
+    };
+}
+
+/**
+ * Beat-synced accent: jumps to 1 on every subdivision and decays toward 0
+ */
+export function pulse(subdivisionBeats, decay = EASINGS.easeOutQuad) {
+    if (!(subdivisionBeats > 0)) {
+        throw new Error('pulse() expects a positive subdivision');
+    }
+
+    return (t, context) => {
+        const count = subdivisionCount(subdivisionBeats, context);
+        const phase = (Math.min(Math.max(t, 0), 1) * count) % 1;
+        return 1 - decay(phase, context);
+    };
+}
+
+/**
+ * Parse a subdivision argument: "1/8", "1/16t", "1/4.", "2b" or a bare beat count
+ */
+function parseSubdivision(text) {
+    const invalid = () => new Error(`Invalid subdivision "${text}" (use a note value like 1/8 or a beat count)`);
+    let spec;
+    try {
+        // A bare number is a beat count here, not milliseconds
+        spec = parseTimeValue(/^\d*\.?\d+$/.test(text) ? `${text}b` : text);
+    } catch (error) {
+        throw invalid();
+    }
+    if (spec.unit !== 'beats') {
+        throw invalid();
+    }
+    return timeToBeats(spec);
+}
+
+/**
+ * Split call arguments on top-level commas so easings can nest
+ */
+function splitArguments(text) {
+    const args = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            args.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim().length > 0 || args.length > 0) {
+        args.push(current.trim());
+    }
+    return args;
+}
+
+const PARAMETRIC_EASINGS = {
+    'cubic-bezier': (args) => {
+        if (args.length !== 4) throw new Error('cubic-bezier() expects four numbers');
+        return cubicBezier(...args.map(Number));
+    },
+    steps: (args) => {
+        if (args.length < 1 || args.length > 2) throw new Error('steps() expects (count) or (count, start|end)');
+        return steps(Number(args[0]), args[1] || 'end');
+    },
+    subdivide: (args) => {
+        if (args.length < 1 || args.length > 2) throw new Error('subdivide() expects (subdivision) or (subdivision, easing)');
+        return subdivide(parseSubdivision(args[0]), args[1] ? parseEasing(args[1]) : undefined);
+    },
+    pulse: (args) => {
+        if (args.length < 1 || args.length > 2) throw new Error('pulse() expects (subdivision) or (subdivision, easing)');
+        return pulse(parseSubdivision(args[0]), args[1] ? parseEasing(args[1]) : undefined);
+    }
+};
+
+export const PARAMETRIC_EASING_NAMES = Object.keys(PARAMETRIC_EASINGS);
+
+const cache = new Map();
+
+/**
+ * Resolve an easing spec (name, parametric string or function) to a function.
+ * Throws on unknown names or malformed arguments.
+ */
+export function parseEasing(spec) {
+    if (typeof spec === 'function') return spec;
+    if (spec === undefined || spec === null) return EASINGS.linear;
+    if (typeof spec !== 'string') {
+        throw new Error(`Easing must be a name or function, got ${JSON.stringify(spec)}`);
+    }
+
+    const key = spec.trim();
+    if (cache.has(key)) return cache.get(key);
+
+    let easing = EASINGS[key];
+    if (!easing) {
+        const call = /^([a-z-]+)\s*\((.*)\)$/i.exec(key);
+        if (!call || !PARAMETRIC_EASINGS[call[1]]) {
+            throw new Error(`Unknown easing "${spec}"`);
+        }
+        const args = splitArguments(call[2]);
+        easing = PARAMETRIC_EASINGS[call[1]](args);
+    }
+
+    cache.set(key, easing);
+    return easing;
+}
+
+/**
+ * Resolve an easing spec, returning the fallback instead of throwing
+ */
+export function getEasing(spec, fallback = EASINGS.linear) {
+    try {
+        return parseEasing(spec);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * True for names/specs parseEasing accepts
+ */
+export function isValidEasing(spec) {
+    try {
+        parseEasing(spec);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
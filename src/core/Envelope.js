@@ -0,0 +1,157 @@
+/**
+ * Envelope - ADSR envelopes added on top of a parameter's base value
+ *
+ * { amount, attack, decay, sustain, release, hold }
+ * - attack / decay / release / hold: ms, beats, bars or note values ("1/16")
+ * - sustain: level (0-1) held while the gate is open
+ * - amount: offset at full level (negative amounts dip below base)
+ *
+ * Used by the "envelope" stage change and by retriggerable engine envelopes
+ * that fire on onsets, beats, downbeats or named events.
+ *
+ * A Paul Phillips Manifestation
+ */
+
+import { parseTimeValue, timeToMs } from './MusicalTime.js';
+
+export const ENVELOPE_KEYS = ['amount', 'attack', 'decay', 'sustain', 'release', 'hold'];
+
+/**
+ * Level (0-1) of an ADSR at `elapsed` ms after the gate opened.
+ * The gate stays open for `gate` ms; `startLevel` lets retriggers continue from
+ * the current level instead of clicking back to zero.
+ */
+export function adsrLevel(elapsed, gate, { attack, decay, sustain, release }, startLevel = 0) {
+    if (elapsed < 0) return startLevel;
+
+    const gated = (t) => {
+        if (t < attack) {
+            return startLevel + (1 - startLevel) * (t / attack);
+        }
+        if (t < attack + decay) {
+            return 1 - (1 - sustain) * ((t - attack) / decay);
+        }
+        return sustain;
+    };
+
+    if (elapsed < gate) {
+        return gated(elapsed);
+    }
+
+    const releaseElapsed = elapsed - gate;
+    if (release <= 0 || releaseElapsed >= release) return 0;
+    return gated(gate) * (1 - releaseElapsed / release);
+}
+
+/**
+ * Parse an envelope config into ms-free specs (resolved against the tempo at trigger time)
+ */
+export function parseEnvelope(config = {}) {
+    if (config === null || typeof config !== 'object') {
+        throw new Error('envelope must be an object');
+    }
+
+    const amount = config.amount ?? 1;
+    const sustain = config.sustain ?? 0;
+    if (!Number.isFinite(amount)) {
+        throw new Error('envelope amount must be a number');
+    }
+    if (!Number.isFinite(sustain) || sustain < 0 || sustain > 1) {
+        throw new Error('envelope sustain must be between 0 and 1');
+    }
+
+    const times = {};
+    ['attack', 'decay', 'release', 'hold'].forEach(key => {
+        try {
+            times[key] = parseTimeValue(config[key] ?? 0);
+        } catch (error) {
+            throw new Error(`envelope ${key}: ${error.message}`);
+        }
+        if (times[key].value < 0) {
+            throw new Error(`envelope ${key} must not be negative`);
+        }
+    });
+
+    return { amount, sustain, times };
+}
+
+/**
+ * Resolve parsed envelope times to milliseconds at the given tempo
+ */
+export function resolveEnvelopeTimes(spec, beatDuration, beatsPerMeasure = 4) {
+    const ms = (key) => timeToMs(spec.times[key], beatDuration, beatsPerMeasure);
+    return {
+        attack: ms('attack'),
+        decay: ms('decay'),
+        sustain: spec.sustain,
+        release: ms('release'),
+        hold: ms('hold')
+    };
+}
+
+/**
+ * Retriggerable envelope: trigger() opens the gate, it closes after attack + decay + hold
+ * (or on gateOff()), then the release fades the offset back to zero.
+ */
+export class Envelope {
+    constructor(config = {}) {
+        this.spec = parseEnvelope(config);
+        this.amount = this.spec.amount;
+        this.times = null;       // ms, resolved at trigger time
+        this.triggerTime = null;
+        this.gate = 0;           // ms the gate stays open
+        this.startLevel = 0;
+        this.velocity = 1;
+    }
+
+    /**
+     * Fire the envelope; retriggers continue from the current level
+     */
+    trigger(time, { velocity = 1, beatDuration = 500, beatsPerMeasure = 4, sustainUntilOff = false } = {}) {
+        const current = this.triggerTime === null ? 0 : this.levelAt(time);
+
+        this.times = resolveEnvelopeTimes(this.spec, beatDuration, beatsPerMeasure);
+        this.startLevel = Math.min(1, current);
+        this.triggerTime = time;
+        this.velocity = Math.max(0, velocity);
+        this.gate = sustainUntilOff
+            ? Infinity
+            : this.times.attack + this.times.decay + this.times.hold;
+    }
+
+    /**
+     * Close the gate now and enter the release
+     */
+    gateOff(time) {
+        if (this.triggerTime === null) return;
+        this.gate = Math.min(this.gate, Math.max(0, time - this.triggerTime));
+    }
+
+    /**
+     * Envelope level (0-1) at a time
+     */
+    levelAt(time) {
+        if (this.triggerTime === null) return 0;
+        return adsrLevel(time - this.triggerTime, this.gate, this.times, this.startLevel);
+    }
+
+    /**
+     * Offset to add to the base value at a time
+     */
+    valueAt(time) {
+        return this.levelAt(time) * this.amount * this.velocity;
+    }
+
+    /**
+     * True while the envelope still produces output
+     */
+    isActive(time) {
+        if (this.triggerTime === null) return false;
+        return time - this.triggerTime < this.gate + this.times.release;
+    }
+
+    reset() {
+        this.triggerTime = null;
+        this.startLevel = 0;
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * EventBus - Typed event emitter for engine events
+ *
+ * - on / off / once, each on() returns an unsubscribe function
+ * - '*' wildcard listeners receive every event
+ * - Known event types are enforced so typos fail loudly (addType() for custom events)
+ * - A throwing listener is logged and never breaks the frame loop
+ *
+ * A Paul Phillips Manifestation
+ */
+
+import { createLogger } from './Logger.js';
+
+const logger = createLogger('engine:events');
+
+/**
+ * Engine event types and their payloads (every payload also carries { type, time })
+ */
+export const ENGINE_EVENTS = {
+    beat: 'beat, measure, beatInMeasure',
+    downbeat: 'beat, measure, beatInMeasure',
+    backbeat: 'beat, measure, beatInMeasure',
+    measure: 'measure, beat',
+    onset: 'strength, event',
+    kick: 'strength, event',
+    snare: 'strength, event',
+    hat: 'strength, event',
+    sequenceStart: 'name, trigger, priority, group',
+    sequenceEnd: "name, reason ('complete' | 'stopped' | 'preempted'), by",
+    sequenceQueued: 'id, name, quantize, launchTime',
+    energyTrendChange: "from, to ('building' | 'releasing' | 'stable')",
+    sectionChange: "from, to ('intro' | 'buildup' | 'drop' | 'breakdown' | 'outro'), bar, confidence, dropPredictedAt",
+    bpmChange: "bpm, previous, source ('manual' | 'tap' | 'follow' | ...)",
+    tempoEstimate: 'bpm, previous (analyzer estimate; the engine tempo is unchanged)',
+    bassPrediction: 'predictedAt, interval',
+    keyChange: "from, to (e.g. 'A minor'), confidence, position (circle of fifths 0-1)",
+    chordChange: "from, to (e.g. 'Am'), strength"
+};
+
+export const WILDCARD = '*';
+
+export class EventBus {
+    constructor(types = null) {
+        this.types = types ? new Set(types) : null; // null = accept any type
+        this.listeners = new Map();                  // type -> Set(listener)
+    }
+
+    /**
+     * Allow an additional (custom) event type
+     */
+    addType(type) {
+        this.types?.add(type);
+    }
+
+    assertType(type) {
+        if (type === WILDCARD || !this.types || this.types.has(type)) return;
+        throw new Error(`Unknown event type "${type}" (known: ${[...this.types].join(', ')})`);
+    }
+
+    /**
+     * Subscribe; returns an unsubscribe function
+     */
+    on(type, listener) {
+        this.assertType(type);
+        if (typeof listener !== 'function') {
+            throw new TypeError('Event listener must be a function');
+        }
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Subscribe for a single event
+     */
+    once(type, listener) {
+        const wrapper = (payload) => {
+            this.off(type, wrapper);
+            listener(payload);
+        };
+        wrapper.listener = listener;
+        return this.on(type, wrapper);
+    }
+
+    /**
+     * Unsubscribe a listener (also removes once() wrappers); no listener removes all for the type
+     */
+    off(type, listener = null) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return false;
+
+        if (!listener) {
+            return this.listeners.delete(type);
+        }
+
+        let removed = listeners.delete(listener);
+        listeners.forEach(entry => {
+            if (entry.listener === listener) {
+                listeners.delete(entry);
+                removed = true;
+            }
+        });
+        if (listeners.size === 0) {
+            this.listeners.delete(type);
+        }
+        return removed;
+    }
+
+    /**
+     * Emit an event to its listeners, then to wildcard listeners
+     */
+    emit(type, payload = {}) {
+        this.assertType(type);
+        const event = { type, ...payload };
+
+        [type, WILDCARD].forEach(key => {
+            const listeners = this.listeners.get(key);
+            if (!listeners) return;
+
+            // Copy so listeners can unsubscribe while being called
+            [...listeners].forEach(listener => {
+                try {
+                    listener(event);
+                } catch (error) {
+                    logger.error(`❌ Listener for "${type}" failed:`, error);
+                }
+            });
+        });
+
+        return event;
+    }
+
+    listenerCount(type) {
+        return this.listeners.get(type)?.size ?? 0;
+    }
+
+    clear() {
+        this.listeners.clear();
+    }
+}
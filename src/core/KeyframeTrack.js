@@ -0,0 +1,157 @@
+/**
+ * KeyframeTrack - Multi-point parameter curves for sequences
+ *
+ * A track is either an array of keyframes or { interpolation, keys: [...] }:
+ *   "hue": [
+ *     { "t": 0, "value": "current" },
+ *     { "t": "1b", "value": 300, "easing": "easeOutCubic" },
+ *     { "t": "2b", "value": 60, "interpolation": "hold" }
+ *   ]
+ *
+ * - t is relative to the sequence start (ms, beats, bars or note values)
+ * - easing / interpolation / handles describe the segment leading INTO a keyframe
+ * - Interpolation: linear, catmullRom, bezier (value-space handles), hold
+ * - Before the first key the first value holds, after the last key the last value holds
+ *
+ * A Paul Phillips Manifestation
+ */
+
+import { parseTimeValue, isMusicalTime } from './MusicalTime.js';
+import { parseEasing } from './Easing.js';
+
+export const INTERPOLATIONS = ['linear', 'catmullRom', 'bezier', 'hold'];
+
+function cubicBezierValue(p0, c1, c2, p1, u) {
+    const v = 1 - u;
+    return v * v * v * p0 + 3 * v * v * u * c1 + 3 * v * u * u * c2 + u * u * u * p1;
+}
+
+export class KeyframeTrack {
+    constructor(param, spec) {
+        const keys = Array.isArray(spec) ? spec : spec?.keys;
+        if (!Array.isArray(keys) || keys.length === 0) {
+            throw new Error(`track "${param}" needs at least one keyframe`);
+        }
+
+        const interpolation = Array.isArray(spec) ? 'linear' : spec.interpolation || 'linear';
+        if (!INTERPOLATIONS.includes(interpolation)) {
+            throw new Error(`track "${param}": unknown interpolation "${interpolation}"`);
+        }
+
+        this.param = param;
+        this.keys = keys.map((key, index) => this.parseKey(key, index, interpolation));
+
+        // Keys must be in time order (only comparable when they share a unit)
+        this.keys.forEach((key, index) => {
+            const previous = this.keys[index - 1];
+            if (previous && previous.time.unit === key.time.unit && key.time.value < previous.time.value) {
+                throw new Error(`track "${param}" key ${index}: keyframes must be in time order`);
+            }
+        });
+
+        // Musical keys put the whole track on the beat grid so it follows tempo changes
+        this.unit = this.keys.some(key => isMusicalTime(key.time)) ? 'beats' : 'ms';
+        this.usesCurrent = this.keys.some(key => key.value === 'current');
+    }
+
+    parseKey(key, index, defaultInterpolation) {
+        const label = `track "${this.param}" key ${index}`;
+        if (!key || typeof key !== 'object') {
+            throw new Error(`${label}: keyframe must be an object`);
+        }
+        if (key.t === undefined) {
+            throw new Error(`${label}: missing "t"`);
+        }
+        if (key.value !== 'current' && !Number.isFinite(key.value)) {
+            throw new Error(`${label}: value must be a number or "current"`);
+        }
+
+        const interpolation = key.interpolation || defaultInterpolation;
+        if (!INTERPOLATIONS.includes(interpolation)) {
+            throw new Error(`${label}: unknown interpolation "${interpolation}"`);
+        }
+        if (key.handles !== undefined &&
+            (!Array.isArray(key.handles) || key.handles.length !== 2 || !key.handles.every(Number.isFinite))) {
+            throw new Error(`${label}: handles must be [number, number]`);
+        }
+
+        let time;
+        let easing;
+        try {
+            time = parseTimeValue(key.t);
+            easing = parseEasing(key.easing || 'linear');
+        } catch (error) {
+            throw new Error(`${label}: ${error.message}`);
+        }
+
+        return {
+            time,
+            value: key.value,
+            easing,
+            interpolation,
+            handles: key.handles || null
+        };
+    }
+
+    /**
+     * Evaluate the track.
+     * - elapsed: sequence time in this.unit
+     * - convert(spec): converts a parsed time value to this.unit at the live tempo
+     * - beatsPerUnit: beats in one unit (for beat-synced easings)
+     * - current: value used for "current" keyframes
+     */
+    evaluate(elapsed, { convert, beatsPerUnit = 1, current = 0 }) {
+        const times = this.keys.map(key => convert(key.time));
+        const values = this.keys.map(key => key.value === 'current' ? current : key.value);
+        const last = this.keys.length - 1;
+
+        if (elapsed <= times[0]) return values[0];
+        if (elapsed >= times[last]) return values[last];
+
+        // Segment (index - 1 → index) containing elapsed
+        let index = 1;
+        while (index < last && elapsed >= times[index]) {
+            index++;
+        }
+
+        const key = this.keys[index];
+        const span = times[index] - times[index - 1];
+        if (span <= 0) return values[index];
+
+        const progress = (elapsed - times[index - 1]) / span;
+        const u = key.easing(progress, { beats: span * beatsPerUnit });
+
+        const p1 = values[index - 1];
+        const p2 = values[index];
+
+        switch (key.interpolation) {
+            case 'hold':
+                return p1;
+
+            case 'catmullRom':
+            case 'bezier': {
+                const p0 = index > 1 ? values[index - 2] : p1;
+                const p3 = index < last ? values[index + 1] : p2;
+
+                // Explicit bezier handles, otherwise Catmull-Rom tangents as handles
+                const [c1, c2] = key.interpolation === 'bezier' && key.handles
+                    ? key.handles
+                    : [p1 + (p2 - p0) / 6, p2 - (p3 - p1) / 6];
+                return cubicBezierValue(p1, c1, c2, p2, u);
+            }
+
+            default:
+                return p1 + (p2 - p1) * u;
+        }
+    }
+}
+
+/**
+ * Parse a sequence's { param: track } map
+ */
+export function parseTracks(tracks = {}) {
+    if (tracks === null || typeof tracks !== 'object' || Array.isArray(tracks)) {
+        throw new Error('tracks must be an object of { param: keyframes }');
+    }
+    return Object.entries(tracks).map(([param, spec]) => new KeyframeTrack(param, spec));
+}
@@ -0,0 +1,264 @@
+/**
+ * Logger - Levelled, namespaced logging shared by every subsystem
+ *
+ * - Levels: trace < debug < info < warn < error < silent
+ * - Namespaces (engine, audio, quantum, holographic, faceted, ...) with their own levels
+ * - Ring buffer of recent records that can be dumped for bug reports (info and up by default;
+ *   configureLogBuffer({ level: 'debug' }) also keeps per-frame debug records, at a serialization cost)
+ * - Pluggable sinks: console by default, FlutterBridge forwarding for the mobile WebView
+ * - Messages may be functions so per-frame logs cost nothing while disabled
+ *
+ * A Paul Phillips Manifestation
+ */
+
+export const LOG_LEVELS = {
+    trace: 0,
+    debug: 1,
+    info: 2,
+    warn: 3,
+    error: 4,
+    silent: 5
+};
+
+const CONSOLE_METHODS = {
+    trace: 'debug',
+    debug: 'debug',
+    info: 'log',
+    warn: 'warn',
+    error: 'error'
+};
+
+function levelValue(level) {
+    if (typeof level === 'number') return level;
+    if (!(level in LOG_LEVELS)) {
+        throw new Error(`Unknown log level "${level}" (expected ${Object.keys(LOG_LEVELS).join(', ')})`);
+    }
+    return LOG_LEVELS[level];
+}
+
+/**
+ * Make log arguments safe to keep in the buffer / send across the bridge
+ */
+function serializeArg(arg) {
+    if (arg instanceof Error) {
+        return { name: arg.name, message: arg.message, stack: arg.stack };
+    }
+    if (arg === null || typeof arg !== 'object') {
+        return arg;
+    }
+    try {
+        return JSON.parse(JSON.stringify(arg));
+    } catch (error) {
+        return String(arg);
+    }
+}
+
+/**
+ * Console sink - prints "[namespace] message" with the matching console method
+ */
+export function consoleSink(record, args) {
+    const method = CONSOLE_METHODS[record.level] || 'log';
+    console[method](`[${record.namespace}] ${record.message}`, ...args);
+}
+
+/**
+ * Sink that forwards records to Flutter through window.FlutterBridge.postMessage
+ * (same { event, data } envelope the WebGL bridge uses)
+ */
+export function createFlutterBridgeSink({ minLevel = 'info', target = globalThis } = {}) {
+    const threshold = levelValue(minLevel);
+    return (record) => {
+        if (LOG_LEVELS[record.level] < threshold) return;
+        const bridge = target?.FlutterBridge;
+        if (!bridge?.postMessage) return;
+        try {
+            bridge.postMessage(JSON.stringify({ event: 'log', data: record }));
+        } catch (error) {
+            // Never let the bridge take the logger down
+        }
+    };
+}
+
+class LogRegistry {
+    constructor() {
+        this.defaultLevel = LOG_LEVELS.info;
+        this.namespaceLevels = new Map();
+        this.bufferLevel = LOG_LEVELS.info;
+        this.capacity = 500;
+        this.buffer = [];
+        this.sinks = new Set([consoleSink]);
+        this.now = () => Date.now();
+    }
+
+    /**
+     * Effective level for a namespace ("engine" also matches "engine:sequences")
+     */
+    levelFor(namespace) {
+        if (this.namespaceLevels.has(namespace)) {
+            return this.namespaceLevels.get(namespace);
+        }
+        const root = namespace.split(':')[0];
+        return this.namespaceLevels.get(root) ?? this.defaultLevel;
+    }
+
+    isEnabled(namespace, level) {
+        const value = LOG_LEVELS[level];
+        return value >= this.levelFor(namespace) || value >= this.bufferLevel;
+    }
+
+    write(namespace, level, message, args) {
+        const value = LOG_LEVELS[level];
+        const toSinks = value >= this.levelFor(namespace);
+        const toBuffer = value >= this.bufferLevel;
+        if (!toSinks && !toBuffer) return;
+
+        const text = typeof message === 'function' ? message() : String(message);
+        const record = {
+            time: this.now(),
+            level,
+            namespace,
+            message: text,
+            args: args.length > 0 ? args.map(serializeArg) : undefined
+        };
+
+        if (toBuffer) {
+            this.buffer.push(record);
+            if (this.buffer.length > this.capacity) {
+                this.buffer.splice(0, this.buffer.length - this.capacity);
+            }
+        }
+
+        if (toSinks) {
+            this.sinks.forEach(sink => {
+                try {
+                    sink(record, args);
+                } catch (error) {
+                    // A broken sink must not break the frame loop
+                }
+            });
+        }
+    }
+}
+
+const registry = new LogRegistry();
+
+export class Logger {
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    /**
+     * True when a level would reach a sink or the buffer (guard for expensive arguments)
+     */
+    isEnabled(level) {
+        return registry.isEnabled(this.namespace, level);
+    }
+
+    trace(message, ...args) {
+        registry.write(this.namespace, 'trace', message, args);
+    }
+
+    debug(message, ...args) {
+        registry.write(this.namespace, 'debug', message, args);
+    }
+
+    info(message, ...args) {
+        registry.write(this.namespace, 'info', message, args);
+    }
+
+    warn(message, ...args) {
+        registry.write(this.namespace, 'warn', message, args);
+    }
+
+    error(message, ...args) {
+        registry.write(this.namespace, 'error', message, args);
+    }
+
+    /**
+     * Child logger, e.g. engine → engine:sequences
+     */
+    child(name) {
+        return new Logger(`${this.namespace}:${name}`);
+    }
+}
+
+const loggers = new Map();
+
+/**
+ * Get (or create) the logger for a namespace
+ */
+export function createLogger(namespace) {
+    if (!loggers.has(namespace)) {
+        loggers.set(namespace, new Logger(namespace));
+    }
+    return loggers.get(namespace);
+}
+
+/**
+ * Set the sink level globally (one argument) or for a namespace
+ * setLogLevel('warn') / setLogLevel('holographic', 'debug')
+ */
+export function setLogLevel(namespaceOrLevel, level) {
+    if (level === undefined) {
+        registry.defaultLevel = levelValue(namespaceOrLevel);
+        return;
+    }
+    registry.namespaceLevels.set(namespaceOrLevel, levelValue(level));
+}
+
+/**
+ * Configure the ring buffer: { level, capacity }
+ */
+export function configureLogBuffer({ level, capacity } = {}) {
+    if (level !== undefined) registry.bufferLevel = levelValue(level);
+    if (capacity !== undefined) {
+        registry.capacity = Math.max(0, Math.floor(capacity));
+        if (registry.buffer.length > registry.capacity) {
+            registry.buffer.splice(0, registry.buffer.length - registry.capacity);
+        }
+    }
+}
+
+/**
+ * Add / remove sinks: (record, rawArgs) => void
+ */
+export function addLogSink(sink) {
+    registry.sinks.add(sink);
+    return () => registry.sinks.delete(sink);
+}
+
+export function removeLogSink(sink) {
+    return registry.sinks.delete(sink);
+}
+
+/**
+ * Use a custom clock for record timestamps (e.g. the engine's timeProvider)
+ */
+export function setLogClock(now) {
+    registry.now = typeof now === 'function' ? now : () => Date.now();
+}
+
+/**
+ * Copy of the buffered records, optionally filtered: { namespace, level }
+ */
+export function dumpLogs({ namespace = null, level = 'trace' } = {}) {
+    const threshold = levelValue(level);
+    return registry.buffer.filter(record =>
+        LOG_LEVELS[record.level] >= threshold &&
+        (!namespace || record.namespace === namespace || record.namespace.startsWith(`${namespace}:`))
+    );
+}
+
+/**
+ * Buffered records as plain text for bug reports
+ */
+export function formatLogs(options = {}) {
+    return dumpLogs(options).map(record => {
+        const args = record.args ? ` ${JSON.stringify(record.args)}` : '';
+        return `${new Date(record.time).toISOString()} ${record.level.toUpperCase().padEnd(5)} [${record.namespace}] ${record.message}${args}`;
+    }).join('\n');
+}
+
+export function clearLogs() {
+    registry.buffer = [];
+}
@@ -0,0 +1,92 @@
+/**
+ * MusicalTime - Tempo-relative time values for sequence JSON
+ *
+ * Accepted forms:
+ * - 500, "500ms", "1.5s"      → milliseconds
+ * - "2b", "2beats"            → beats
+ * - "1bar", "2bars"           → bars (beatsPerMeasure beats each)
+ * - "1/8", "1/16t", "1/4."    → note values (quarter note = 1 beat, t = triplet, . = dotted)
+ *
+ * A Paul Phillips Manifestation
+ */
+
+const TIME_PATTERN = /^(\d*\.?\d+)\s*(ms|s|b|beats?|bars?)?$/i;
+const NOTE_PATTERN = /^(\d+)\s*\/\s*(\d+)\s*(t|\.)?$/i;
+
+/**
+ * Parse a time value into { value, unit } where unit is 'ms', 'beats' or 'bars'.
+ * Throws on malformed input so sequences fail at definition time.
+ */
+export function parseTimeValue(input) {
+    if (input && typeof input === 'object' && 'unit' in input && 'value' in input) {
+        return input;
+    }
+
+    if (typeof input === 'number') {
+        if (!Number.isFinite(input)) {
+            throw new Error(`Invalid time value: ${input}`);
+        }
+        return { value: input, unit: 'ms' };
+    }
+
+    if (typeof input !== 'string') {
+        throw new Error(`Invalid time value: ${JSON.stringify(input)}`);
+    }
+
+    const text = input.trim();
+
+    const note = NOTE_PATTERN.exec(text);
+    if (note) {
+        const numerator = parseInt(note[1], 10);
+        const denominator = parseInt(note[2], 10);
+        if (denominator === 0) {
+            throw new Error(`Invalid note value: "${input}"`);
+        }
+        let beats = 4 * numerator / denominator;
+        if (note[3] === 't' || note[3] === 'T') beats *= 2 / 3;
+        if (note[3] === '.') beats *= 1.5;
+        return { value: beats, unit: 'beats' };
+    }
+
+    const match = TIME_PATTERN.exec(text);
+    if (!match) {
+        throw new Error(`Invalid time value: "${input}" (use ms, s, b, bar or a note value like 1/8)`);
+    }
+
+    const value = parseFloat(match[1]);
+    const unit = (match[2] || 'ms').toLowerCase();
+
+    if (unit === 'ms') return { value, unit: 'ms' };
+    if (unit === 's') return { value: value * 1000, unit: 'ms' };
+    if (unit.startsWith('bar')) return { value, unit: 'bars' };
+    return { value, unit: 'beats' };
+}
+
+/**
+ * True when a parsed value depends on tempo
+ */
+export function isMusicalTime(spec) {
+    return spec.unit === 'beats' || spec.unit === 'bars';
+}
+
+/**
+ * Convert a parsed value to beats at the given tempo
+ */
+export function timeToBeats(spec, beatDuration, beatsPerMeasure = 4) {
+    switch (spec.unit) {
+        case 'beats':
+            return spec.value;
+        case 'bars':
+            return spec.value * beatsPerMeasure;
+        default:
+            return spec.value / beatDuration;
+    }
+}
+
+/**
+ * Convert a parsed value to milliseconds at the given tempo
+ */
+export function timeToMs(spec, beatDuration, beatsPerMeasure = 4) {
+    if (spec.unit === 'ms') return spec.value;
+    return timeToBeats(spec, beatDuration, beatsPerMeasure) * beatDuration;
+}
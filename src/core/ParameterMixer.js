@@ -0,0 +1,275 @@
+/**
+ * ParameterMixer - Three-layer parameter mixing
+ *
+ * Final Value = Base + Choreography Offset + Audio Reaction Offset
+ * - Base values from manual controls / gestures
+ * - Per-sequence choreography contributions
+ * - Per-source audio reaction contributions
+ * - Master mix amounts and per-parameter clamp ranges
+ * - Breakdown snapshots for UI meters
+ *
+ * A Paul Phillips Manifestation
+ */
+
+import { GeometryLibrary } from '../geometry/GeometryLibrary.js';
+
+/**
+ * Global parameter table: defaults match the visualizers, ranges match the control sliders
+ */
+export const PARAMETER_DEFINITIONS = {
+    geometry: { min: 0, max: GeometryLibrary.getGeometryNames().length - 1, default: 0, integer: true },
+    gridDensity: { min: 5, max: 120, default: 15 },
+    morphFactor: { min: 0, max: 3, default: 1.0 },
+    chaos: { min: 0, max: 1, default: 0.2 },
+    speed: { min: 0.1, max: 3, default: 1.0 },
+    hue: { min: 0, max: 360, default: 200, wrap: true },
+    intensity: { min: 0, max: 2, default: 0.5 },
+    saturation: { min: 0, max: 1, default: 0.8 },
+    dimension: { min: 2, max: 5, default: 3.5 },
+    rot4dXW: { min: -6.28, max: 6.28, default: 0, wrap: true },
+    rot4dYW: { min: -6.28, max: 6.28, default: 0, wrap: true },
+    rot4dZW: { min: -6.28, max: 6.28, default: 0, wrap: true }
+};
+
+export class ParameterMixer {
+    constructor(config = {}) {
+        this.visualizers = config.visualizers || [];
+
+        // Per-parameter range definitions (min, max, default, wrap, integer)
+        this.definitions = {};
+        Object.entries({ ...PARAMETER_DEFINITIONS, ...(config.definitions || {}) }).forEach(([param, def]) => {
+            this.definitions[param] = { ...def };
+        });
+
+        // Master mix amounts (0 = layer muted, 1 = full contribution)
+        this.mix = {
+            choreography: 1.0,
+            reaction: 1.0,
+            ...(config.mix || {})
+        };
+
+        // Layers
+        this.base = new Map();          // param -> value
+        this.choreography = new Map();  // param -> Map(sourceId -> { value, mode })
+        this.reaction = new Map();      // param -> Map(sourceId -> offset)
+
+        // Every parameter that has ever been mixed keeps being pushed so it can return to base
+        this.activeParams = new Set();
+        this.lastOutput = {};
+    }
+
+    /**
+     * Set a base (manual) value
+     */
+    setBase(param, value) {
+        if (!Number.isFinite(value)) return;
+        this.base.set(param, value);
+        this.activeParams.add(param);
+    }
+
+    /**
+     * Set several base values at once
+     */
+    setBaseValues(values = {}) {
+        Object.entries(values).forEach(([param, value]) => this.setBase(param, value));
+    }
+
+    /**
+     * Get the base value, falling back to the parameter default
+     */
+    getBase(param) {
+        if (this.base.has(param)) {
+            return this.base.get(param);
+        }
+        return this.definitions[param]?.default ?? 0;
+    }
+
+    /**
+     * Set a choreography contribution.
+     * mode 'absolute' stores a target value (offset = value - base),
+     * mode 'offset' stores a relative offset.
+     */
+    setChoreography(sourceId, param, value, mode = 'absolute') {
+        if (!Number.isFinite(value)) return;
+        if (!this.choreography.has(param)) {
+            this.choreography.set(param, new Map());
+        }
+        this.choreography.get(param).set(sourceId, { value, mode });
+        this.activeParams.add(param);
+    }
+
+    /**
+     * Get one source's choreography contribution expressed as an offset from base
+     */
+    getChoreographyContribution(sourceId, param) {
+        const entry = this.choreography.get(param)?.get(sourceId);
+        if (!entry) return null;
+        return entry.mode === 'offset' ? entry.value : entry.value - this.getBase(param);
+    }
+
+    /**
+     * Remove choreography contributions for a source (optionally a single parameter)
+     */
+    clearChoreography(sourceId, param = null) {
+        this.clearSource(this.choreography, sourceId, param);
+    }
+
+    /**
+     * Set an audio reaction offset
+     */
+    setReaction(sourceId, param, offset) {
+        if (!Number.isFinite(offset)) return;
+        if (!this.reaction.has(param)) {
+            this.reaction.set(param, new Map());
+        }
+        this.reaction.get(param).set(sourceId, offset);
+        this.activeParams.add(param);
+    }
+
+    /**
+     * Remove reaction contributions for a source (optionally a single parameter)
+     */
+    clearReaction(sourceId, param = null) {
+        this.clearSource(this.reaction, sourceId, param);
+    }
+
+    clearSource(layer, sourceId, param) {
+        const params = param ? [param] : [...layer.keys()];
+        params.forEach(name => {
+            const sources = layer.get(name);
+            if (!sources) return;
+            sources.delete(sourceId);
+            if (sources.size === 0) {
+                layer.delete(name);
+            }
+        });
+    }
+
+    /**
+     * Set master mix amounts, e.g. { choreography: 0.5, reaction: 1 }
+     */
+    setMix(amounts = {}) {
+        Object.entries(amounts).forEach(([layer, amount]) => {
+            if (layer in this.mix && Number.isFinite(amount)) {
+                this.mix[layer] = Math.max(0, amount);
+            }
+        });
+    }
+
+    /**
+     * Configure the clamp range (and optional wrap/integer flags) for a parameter
+     */
+    setRange(param, min, max, options = {}) {
+        this.definitions[param] = {
+            ...(this.definitions[param] || { default: min }),
+            ...options,
+            min,
+            max
+        };
+    }
+
+    /**
+     * Sum the choreography offset for a parameter
+     */
+    getChoreographyOffset(param) {
+        const sources = this.choreography.get(param);
+        if (!sources) return 0;
+
+        const base = this.getBase(param);
+        let offset = 0;
+        sources.forEach(({ value, mode }) => {
+            offset += mode === 'offset' ? value : value - base;
+        });
+        return offset;
+    }
+
+    /**
+     * Sum the audio reaction offset for a parameter
+     */
+    getReactionOffset(param) {
+        const sources = this.reaction.get(param);
+        if (!sources) return 0;
+
+        let offset = 0;
+        sources.forEach(value => {
+            offset += value;
+        });
+        return offset;
+    }
+
+    /**
+     * Clamp (or wrap) a value into the parameter's range
+     */
+    constrain(param, value) {
+        const def = this.definitions[param];
+        if (!def) return value;
+
+        let result = value;
+        if (def.wrap) {
+            const span = def.max - def.min;
+            result = ((((result - def.min) % span) + span) % span) + def.min;
+        } else {
+            result = Math.min(def.max, Math.max(def.min, result));
+        }
+
+        return def.integer ? Math.round(result) : result;
+    }
+
+    /**
+     * Resolve the final mixed value for a parameter
+     */
+    resolve(param) {
+        return this.getBreakdown(param).final;
+    }
+
+    /**
+     * Per-layer breakdown for UI meters
+     */
+    getBreakdown(param) {
+        const base = this.getBase(param);
+        const choreography = this.getChoreographyOffset(param) * this.mix.choreography;
+        const reaction = this.getReactionOffset(param) * this.mix.reaction;
+        const def = this.definitions[param] || {};
+
+        return {
+            base,
+            choreography,
+            reaction,
+            final: this.constrain(param, base + choreography + reaction),
+            min: def.min,
+            max: def.max
+        };
+    }
+
+    /**
+     * Breakdown for every active parameter
+     */
+    getAllBreakdowns() {
+        const result = {};
+        this.activeParams.forEach(param => {
+            result[param] = this.getBreakdown(param);
+        });
+        return result;
+    }
+
+    /**
+     * Push final values to visualizers (call once per frame)
+     */
+    apply(visualizers = this.visualizers) {
+        const output = {};
+        this.activeParams.forEach(param => {
+            output[param] = this.resolve(param);
+        });
+
+        visualizers.forEach(viz => {
+            if (viz.updateParameter) {
+                Object.entries(output).forEach(([param, value]) => viz.updateParameter(param, value));
+            } else if (viz.updateParameters) {
+                viz.updateParameters(output);
+            }
+        });
+
+        this.lastOutput = output;
+        return output;
+    }
+}
@@ -0,0 +1,340 @@
+/**
+ * SectionDetector - Classifies song structure bar by bar
+ *
+ * - Frames are summarized per bar of the engine's beat grid (raw bands,
+ *   not AGC output, so long-term dynamics survive)
+ * - Long-window energy: each bar's energy relative to the 10th-90th
+ *   percentile span of the recent song, but never to a span narrower than
+ *   minEnergySpan / minLowSpan (absolute), so a quiet intro does not make
+ *   the first bars of a buildup look like a drop
+ * - Spectral novelty: distance of the bar to the mean of the previous bars
+ * - Bar-aligned self-similarity: distance to the bar one phrase earlier
+ * - Sections: intro, buildup, drop, breakdown, outro. A change needs
+ *   minSectionBars consistent bars unless a novelty boundary confirms it
+ * - A drop lands on a jump from the previous bar or when a buildup stops
+ *   rising; loud bars that are still climbing are buildup
+ * - A breakdown that stays low for outroBars turns out to be the outro and
+ *   is reported from its first bar
+ * - During a buildup the drop is predicted on the next phrase boundary the
+ *   energy slope can reach (phrases counted from the last drop, or bar 0)
+ *
+ * The detector only classifies; ChoreographyEngine stores the result in memory.
+ *
+ * A Paul Phillips Manifestation
+ */
+
+export const SECTION_NAMES = ['intro', 'buildup', 'drop', 'breakdown', 'outro'];
+
+export const SECTION_DETECTION_DEFAULTS = {
+    historyBars: 64,        // bars of history for energy percentiles
+    warmupBars: 4,          // bars before the first classification
+    minRange: 0.5,          // smallest percentile span as a fraction of the ceiling
+    minEnergySpan: 0.1,     // smallest rms span, absolute
+    minLowSpan: 0.15,       // smallest low-band span, absolute
+    noveltyBars: 4,         // previous bars the novelty is measured against
+    phraseBars: 8,          // phrase length for self-similarity and drop prediction
+    minSectionBars: 2,      // consistent bars needed for a change without a boundary
+    boundaryNovelty: 0.3,   // novelty that confirms a change on the first bar
+    dropLevel: 0.7,         // relative energy of a drop...
+    dropLowLevel: 0.6,      // ...with the low end back in
+    lowLevel: 0.35,         // relative energy of intros / breakdowns / outros
+    buildSlope: 0.04,       // relative energy gained per bar in a buildup
+    outroBars: 8,           // low-energy bars after a drop that become the outro
+    silenceRms: 0.01        // a bar this quiet after a drop is the outro
+};
+
+const FEATURE_KEYS = ['low', 'mid', 'high', 'energy', 'kickRate'];
+
+const clamp01 = (value) => Math.min(1, Math.max(0, Number.isFinite(value) ? value : 0));
+
+function percentile(values, p) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * (sorted.length - 1) + 0.5))];
+}
+
+export class SectionDetector {
+    constructor(options = {}) {
+        this.options = { ...SECTION_DETECTION_DEFAULTS, ...options };
+        this.reset();
+    }
+
+    reset() {
+        this.bars = [];            // finished bar summaries, oldest first
+        this.accumulator = null;   // running sums of the bar in progress
+        this.section = 'intro';
+        this.confidence = 0;
+        this.sectionStartBar = 0;
+        this.sectionStartTime = null;
+        this.candidate = null;     // { section, since (bar), count }
+        this.dropsSeen = 0;
+        this.lastDropBar = null;
+        this.lastDropStartBar = null;
+        this.dropPredictedBar = null;
+        this.lastFrame = null;
+    }
+
+    /**
+     * Feed one frame.
+     * frame: { time, beatPosition, beatsPerMeasure, beatDuration, rms, bands, kick }
+     * Returns { section, confidence, changed, from, startBar, startTime, bars, dropPredictedAt }
+     */
+    update(frame) {
+        const bar = Math.floor(frame.beatPosition / frame.beatsPerMeasure);
+        let changed = false;
+        let from = this.section;
+
+        this.sectionStartTime ??= frame.time;
+
+        // Grid renumbered backwards (meter change, resync) - start the bar over
+        if (this.accumulator && bar < this.accumulator.bar) {
+            this.accumulator = null;
+        }
+
+        if (this.accumulator && bar > this.accumulator.bar) {
+            const summary = this.finishBar(this.accumulator);
+            if (summary) {
+                from = this.section;
+                changed = this.classify(summary);
+            }
+            this.accumulator = null;
+        }
+
+        this.accumulate(bar, frame);
+        this.lastFrame = frame;
+
+        return {
+            section: this.section,
+            confidence: this.confidence,
+            changed,
+            from: changed ? from : null,
+            startBar: this.sectionStartBar,
+            startTime: this.sectionStartTime,
+            bars: bar - this.sectionStartBar,
+            dropPredictedAt: this.getDropPredictedAt(frame)
+        };
+    }
+
+    accumulate(bar, frame) {
+        const bands = frame.bands || {};
+        const acc = this.accumulator ??= {
+            bar,
+            startTime: frame.time,
+            frames: 0,
+            low: 0,
+            mid: 0,
+            high: 0,
+            energy: 0,
+            kicks: 0,
+            beatsPerMeasure: frame.beatsPerMeasure
+        };
+
+        acc.frames++;
+        acc.low += ((bands.subBass || 0) + (bands.bass || 0)) / 2;
+        acc.mid += ((bands.lowMid || 0) + (bands.mid || 0)) / 2;
+        acc.high += ((bands.highMid || 0) + (bands.high || 0) + (bands.air || 0)) / 3;
+        acc.energy += frame.rms || 0;
+        if (frame.kick) acc.kicks++;
+    }
+
+    /**
+     * Close a bar: mean features, relative levels, novelty and self-similarity
+     */
+    finishBar(acc) {
+        if (acc.frames === 0) return null;
+        const options = this.options;
+
+        const summary = {
+            bar: acc.bar,
+            startTime: acc.startTime,
+            low: acc.low / acc.frames,
+            mid: acc.mid / acc.frames,
+            high: acc.high / acc.frames,
+            energy: acc.energy / acc.frames,
+            kickRate: acc.kicks / acc.beatsPerMeasure
+        };
+
+        this.bars.push(summary);
+        if (this.bars.length > options.historyBars) {
+            this.bars.shift();
+        }
+
+        // Relative energy within the recent song (10th-90th percentile span)
+        const levelOf = (key, minSpan) => {
+            const values = this.bars.map(entry => entry[key]);
+            const floor = percentile(values, 0.1);
+            const ceiling = percentile(values, 0.9);
+            return (summary[key] - floor) / Math.max(ceiling - floor, ceiling * options.minRange, minSpan, 1e-6);
+        };
+        summary.rawLevel = levelOf('energy', options.minEnergySpan); // unclamped, keeps the slope of a ramp past 1
+        summary.level = clamp01(summary.rawLevel);
+        summary.lowLevel = clamp01(levelOf('low', options.minLowSpan));
+
+        // Feature vector scaled by each feature's recent ceiling
+        const scales = {};
+        FEATURE_KEYS.forEach(key => {
+            scales[key] = Math.max(percentile(this.bars.map(entry => entry[key]), 0.9), 1e-6);
+        });
+        const vector = (entry) => FEATURE_KEYS.map(key => Math.min(1.5, entry[key] / scales[key]));
+        const distance = (a, b) => Math.sqrt(a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0) / a.length);
+
+        const current = vector(summary);
+        const previous = this.bars.slice(-1 - options.noveltyBars, -1).map(vector);
+        if (previous.length > 0) {
+            const mean = current.map((_, i) => previous.reduce((sum, entry) => sum + entry[i], 0) / previous.length);
+            summary.novelty = clamp01(distance(current, mean));
+        } else {
+            summary.novelty = 0;
+        }
+
+        // Change from the bar before: large on a drop, small inside a ramp that moves every bar
+        const before = this.bars[this.bars.length - 2];
+        summary.jump = before ? clamp01(distance(current, vector(before))) : 0;
+
+        const phraseAgo = this.bars[this.bars.length - 1 - options.phraseBars];
+        summary.repetition = phraseAgo ? clamp01(1 - distance(current, vector(phraseAgo))) : 0;
+
+        // Energy slope over the last few bars (relative level per bar)
+        const recent = this.bars.slice(-options.noveltyBars);
+        summary.slope = recent.length >= 2
+            ? (summary.rawLevel - recent[0].rawLevel) / (recent.length - 1)
+            : 0;
+
+        return summary;
+    }
+
+    /**
+     * Candidate section for a finished bar: { section, score } or null (keep current)
+     */
+    candidateFor(summary) {
+        const options = this.options;
+        if (this.bars.length < options.warmupBars) return null;
+
+        const rising = summary.slope >= options.buildSlope;
+        const buildup = { section: 'buildup', score: summary.slope / (options.buildSlope * 3) };
+
+        if (summary.level >= options.dropLevel && summary.lowLevel >= options.dropLowLevel) {
+            // Drops arrive with a jump from the bar before or once a buildup stops climbing,
+            // never straight out of a ramp
+            const jump = summary.jump >= options.boundaryNovelty;
+            if (this.section === 'drop' || jump || (this.section === 'buildup' && !rising)) {
+                return { section: 'drop', score: (summary.level - options.dropLevel) / (1 - options.dropLevel) };
+            }
+            return rising ? buildup : null;
+        }
+
+        if (rising && summary.level < options.dropLevel + 0.15 && summary.lowLevel < options.dropLowLevel + 0.1) {
+            return buildup;
+        }
+
+        if (summary.level <= options.lowLevel) {
+            const score = 1 - summary.level / options.lowLevel;
+            if (this.dropsSeen === 0) {
+                return { section: 'intro', score };
+            }
+            const barsSinceDrop = summary.bar - (this.lastDropBar ?? summary.bar);
+            if (summary.energy <= options.silenceRms || (barsSinceDrop >= options.outroBars && summary.slope <= 0)) {
+                return { section: 'outro', score };
+            }
+            return { section: this.section === 'outro' ? 'outro' : 'breakdown', score };
+        }
+
+        return null;
+    }
+
+    /**
+     * Apply a finished bar; returns true when the section changed
+     */
+    classify(summary) {
+        const options = this.options;
+        const candidate = this.candidateFor(summary);
+
+        if (this.section === 'drop' && (candidate?.section ?? 'drop') === 'drop') {
+            this.lastDropBar = summary.bar;
+        }
+
+        if (!candidate || candidate.section === this.section) {
+            this.candidate = null;
+            if (candidate) this.confidence = clamp01(0.5 + 0.5 * candidate.score);
+            this.updateDropPrediction(summary);
+            return false;
+        }
+
+        if (this.candidate?.section === candidate.section) {
+            this.candidate.count++;
+        } else {
+            this.candidate = { section: candidate.section, since: summary.bar, startTime: summary.startTime, count: 1 };
+        }
+
+        const boundary = summary.novelty >= options.boundaryNovelty;
+        if (!boundary && this.candidate.count < options.minSectionBars) {
+            this.updateDropPrediction(summary);
+            return false;
+        }
+
+        // The breakdown that never came back was the outro all along
+        if (candidate.section === 'outro' && this.section === 'breakdown') {
+            this.candidate.since = this.sectionStartBar;
+            this.candidate.startTime = this.sectionStartTime;
+        }
+
+        this.section = candidate.section;
+        this.sectionStartBar = this.candidate.since;
+        this.sectionStartTime = this.candidate.startTime;
+        this.confidence = clamp01(0.5 + 0.25 * candidate.score + 0.5 * summary.novelty + 0.25 * (1 - summary.repetition));
+        this.candidate = null;
+
+        if (this.section === 'drop') {
+            this.dropsSeen++;
+            this.lastDropBar = summary.bar;
+            this.lastDropStartBar = this.sectionStartBar;
+        }
+        this.updateDropPrediction(summary);
+        return true;
+    }
+
+    /**
+     * Buildups resolve on a phrase boundary: take the next one the energy slope can
+     * reach. Phrases count from the last drop's first bar - buildups are only
+     * detected once the energy is already rising, drops on their first bar.
+     */
+    updateDropPrediction(summary) {
+        if (this.section !== 'buildup') {
+            this.dropPredictedBar = null;
+            return;
+        }
+
+        const { phraseBars, dropLevel } = this.options;
+        const anchor = this.lastDropStartBar ?? 0;
+        const nextBar = summary.bar + 1;
+        let predicted = anchor + phraseBars * Math.ceil((nextBar - anchor) / phraseBars);
+
+        if (summary.slope > 0) {
+            const barsToDrop = Math.max(0, (dropLevel - summary.level) / summary.slope);
+            while (summary.bar + 1 + barsToDrop > predicted + phraseBars / 2) {
+                predicted += phraseBars;
+            }
+        }
+        this.dropPredictedBar = predicted;
+    }
+
+    /**
+     * Predicted drop time (ms) on the frame's beat grid, null outside buildups
+     */
+    getDropPredictedAt(frame = this.lastFrame) {
+        if (this.dropPredictedBar === null || !frame) return null;
+        const beat = this.dropPredictedBar * frame.beatsPerMeasure;
+        return frame.time + (beat - frame.beatPosition) * frame.beatDuration;
+    }
+
+    getState() {
+        return {
+            section: this.section,
+            confidence: this.confidence,
+            startBar: this.sectionStartBar,
+            dropsSeen: this.dropsSeen,
+            dropPredictedBar: this.dropPredictedBar,
+            lastBar: this.bars[this.bars.length - 1] || null
+        };
+    }
+}
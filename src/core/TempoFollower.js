@@ -0,0 +1,112 @@
+/**
+ * TempoFollower - Locks the engine's beat grid to the analyzed music
+ *
+ * - Tempo: retunes towards the detected BPM once it is confident enough and
+ *   further away than the hysteresis band, then glides there (no jumps)
+ * - Phase: a second-order phase-locked loop nudges the grid towards onsets
+ *   that land near a beat (phase term) and trims the tempo when they are
+ *   consistently early or late (frequency term)
+ * - Octave errors (half / double tempo detections) fold onto the current tempo
+ *
+ * The follower only computes corrections; ChoreographyEngine applies them.
+ *
+ * A Paul Phillips Manifestation
+ */
+
+export const TEMPO_FOLLOW_DEFAULTS = {
+    minConfidence: 0.6,     // detected BPM below this confidence is ignored
+    hysteresis: 2,          // BPM the detection must drift before a retune starts
+    retuneTime: 1500,       // ms time constant of the glide towards the detected BPM
+    foldOctaves: true,      // treat x/2 and x2 detections as the current tempo
+    phaseGain: 0.2,         // fraction of the phase error corrected per onset
+    frequencyGain: 0.02,    // fraction of the phase error fed back into the tempo
+    onsetWindow: 0.25,      // only onsets within ±window beats of a beat are used
+    maxPhaseStep: 0.1,      // largest phase correction per onset (beats)
+    minOnsetStrength: 0     // ignore weaker onsets
+};
+
+export class TempoFollower {
+    constructor(options = {}) {
+        this.options = { ...TEMPO_FOLLOW_DEFAULTS, ...options };
+        this.reset();
+    }
+
+    reset() {
+        this.targetBpm = null;
+        this.confidence = 0;
+        this.retuning = false;
+        this.phaseError = 0;     // last measured onset phase error (beats, + = onset after the beat)
+        this.lastTime = null;
+    }
+
+    /**
+     * Fold a detected tempo onto the octave closest to the current tempo
+     */
+    foldTempo(detected, current) {
+        if (!this.options.foldOctaves) return detected;
+        return [detected / 2, detected, detected * 2].reduce((best, candidate) =>
+            Math.abs(candidate - current) < Math.abs(best - current) ? candidate : best
+        );
+    }
+
+    /**
+     * Compute this frame's corrections.
+     * frame: { time, bpm (current), beatPosition, detectedBpm, confidence, onset, onsetStrength }
+     * Returns { bpm, phaseShift } - bpm is null when the tempo stays, phaseShift is in beats
+     */
+    update(frame) {
+        const options = this.options;
+        const deltaTime = this.lastTime === null ? 0 : Math.max(0, frame.time - this.lastTime);
+        this.lastTime = frame.time;
+
+        let bpm = frame.bpm;
+        let changed = false;
+
+        // Tempo: confidence gate + hysteresis, then an exponential glide
+        this.confidence = frame.confidence ?? 0;
+        if (Number.isFinite(frame.detectedBpm) && frame.detectedBpm > 0 && this.confidence >= options.minConfidence) {
+            this.targetBpm = this.foldTempo(frame.detectedBpm, bpm);
+            const error = this.targetBpm - bpm;
+
+            if (!this.retuning && Math.abs(error) > options.hysteresis) {
+                this.retuning = true;
+            }
+            if (this.retuning) {
+                const alpha = 1 - Math.exp(-deltaTime / options.retuneTime);
+                bpm += error * alpha;
+                changed = alpha > 0;
+                if (Math.abs(this.targetBpm - bpm) < options.hysteresis / 4) {
+                    this.retuning = false;
+                }
+            }
+        }
+
+        // Phase: PLL on onsets near a beat
+        let phaseShift = 0;
+        if (frame.onset && (frame.onsetStrength ?? 1) >= options.minOnsetStrength) {
+            const error = frame.beatPosition - Math.round(frame.beatPosition);
+            if (Math.abs(error) <= options.onsetWindow) {
+                this.phaseError = error;
+                phaseShift = -Math.max(-options.maxPhaseStep, Math.min(options.maxPhaseStep, error * options.phaseGain));
+
+                // Onsets consistently after the beat mean the grid runs fast
+                if (!this.retuning && options.frequencyGain > 0) {
+                    bpm *= 1 - error * options.frequencyGain;
+                    changed = true;
+                }
+            }
+        }
+
+        return { bpm: changed ? bpm : null, phaseShift };
+    }
+
+    getState() {
+        return {
+            targetBpm: this.targetBpm,
+            confidence: this.confidence,
+            retuning: this.retuning,
+            locked: this.targetBpm !== null && !this.retuning,
+            phaseError: this.phaseError
+        };
+    }
+}
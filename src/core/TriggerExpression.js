@@ -0,0 +1,421 @@
+/**
+ * TriggerExpression - Safe trigger language for sequence triggers
+ *
+ * Replaces eval() with a small parser + closure compiler
+ * - Comparison, boolean and arithmetic operators
+ * - Dotted identifiers (bands, spectral features, rhythm, memory)
+ * - Stateless helpers: abs, min, max, clamp, sqrt, pow
+ * - Windowed helpers: avg/peak/trough/delta(expr, 500ms); call sample() every
+ *   frame so windows see each frame even when && / || skip them or the
+ *   trigger itself is not evaluated
+ *
+ * A Paul Phillips Manifestation
+ */
+
+export class TriggerSyntaxError extends Error {
+    constructor(message, source, position) {
+        super(`${message} at column ${position + 1} in trigger "${source}"`);
+        this.name = 'TriggerSyntaxError';
+        this.source = source;
+        this.position = position;
+    }
+}
+
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!', '(', ')', ',', '.'];
+
+const DURATION_UNITS = { ms: 1, s: 1000 };
+
+const STATELESS_FUNCTIONS = {
+    abs: { arity: [1, 1], fn: (a) => Math.abs(a) },
+    min: { arity: [2, Infinity], fn: (...args) => Math.min(...args) },
+    max: { arity: [2, Infinity], fn: (...args) => Math.max(...args) },
+    clamp: { arity: [3, 3], fn: (v, lo, hi) => Math.min(hi, Math.max(lo, v)) },
+    sqrt: { arity: [1, 1], fn: (a) => Math.sqrt(Math.max(0, a)) },
+    pow: { arity: [2, 2], fn: (a, b) => Math.pow(a, b) }
+};
+
+// Windowed helpers reduce the samples an expression produced over the last N ms
+const WINDOWED_FUNCTIONS = {
+    avg: (samples) => samples.reduce((sum, s) => sum + s.value, 0) / samples.length,
+    peak: (samples) => samples.reduce((best, s) => Math.max(best, s.value), -Infinity),
+    trough: (samples) => samples.reduce((best, s) => Math.min(best, s.value), Infinity),
+    delta: (samples) => samples[samples.length - 1].value - samples[0].value
+};
+
+/**
+ * Split a trigger string into tokens
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        // Numbers with optional duration unit (500ms, 0.5s)
+        if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+            const match = /^(\d*\.?\d+(?:e[+-]?\d+)?)(ms|s)?(?![A-Za-z0-9_])/i.exec(source.slice(i));
+            if (!match) {
+                throw new TriggerSyntaxError('Malformed number', source, i);
+            }
+            const unit = match[2] ? match[2].toLowerCase() : null;
+            tokens.push({
+                type: 'number',
+                value: parseFloat(match[1]) * (unit ? DURATION_UNITS[unit] : 1),
+                unit,
+                position: i
+            });
+            i += match[0].length;
+            continue;
+        }
+
+        if (/[A-Za-z_]/.test(char)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+            tokens.push({ type: 'identifier', value: match[0], position: i });
+            i += match[0].length;
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            const end = source.indexOf(char, i + 1);
+            if (end === -1) {
+                throw new TriggerSyntaxError('Unterminated string', source, i);
+            }
+            tokens.push({ type: 'string', value: source.slice(i + 1, end), position: i });
+            i = end + 1;
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => source.startsWith(op, i));
+        if (operator) {
+            tokens.push({ type: 'operator', value: operator, position: i });
+            i += operator.length;
+            continue;
+        }
+
+        throw new TriggerSyntaxError(`Unexpected character "${char}"`, source, i);
+    }
+
+    tokens.push({ type: 'end', value: null, position: source.length });
+    return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a small AST
+ */
+class Parser {
+    constructor(source) {
+        this.source = source;
+        this.tokens = tokenize(source);
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    matchOperator(...ops) {
+        const token = this.peek();
+        if (token.type === 'operator' && ops.includes(token.value)) {
+            this.index++;
+            return token.value;
+        }
+        return null;
+    }
+
+    expectOperator(op) {
+        const token = this.peek();
+        if (token.type !== 'operator' || token.value !== op) {
+            this.fail(`Expected "${op}"`, token);
+        }
+        return this.next();
+    }
+
+    fail(message, token = this.peek()) {
+        const found = token.type === 'end' ? 'end of expression' : `"${token.value}"`;
+        throw new TriggerSyntaxError(`${message}, found ${found}`, this.source, token.position);
+    }
+
+    parse() {
+        if (this.peek().type === 'end') {
+            this.fail('Empty trigger expression');
+        }
+        const ast = this.parseOr();
+        if (this.peek().type !== 'end') {
+            this.fail('Unexpected token');
+        }
+        return ast;
+    }
+
+    parseBinary(parseOperand, operators) {
+        let left = parseOperand();
+        let op;
+        while ((op = this.matchOperator(...operators))) {
+            left = { type: 'binary', op, left, right: parseOperand() };
+        }
+        return left;
+    }
+
+    parseOr() {
+        return this.parseBinary(() => this.parseAnd(), ['||']);
+    }
+
+    parseAnd() {
+        return this.parseBinary(() => this.parseEquality(), ['&&']);
+    }
+
+    parseEquality() {
+        return this.parseBinary(() => this.parseComparison(), ['===', '!==', '==', '!=']);
+    }
+
+    parseComparison() {
+        return this.parseBinary(() => this.parseAdditive(), ['<=', '>=', '<', '>']);
+    }
+
+    parseAdditive() {
+        return this.parseBinary(() => this.parseMultiplicative(), ['+', '-']);
+    }
+
+    parseMultiplicative() {
+        return this.parseBinary(() => this.parseUnary(), ['*', '/', '%']);
+    }
+
+    parseUnary() {
+        const op = this.matchOperator('!', '-');
+        if (op) {
+            return { type: 'unary', op, operand: this.parseUnary() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token.type === 'number') {
+            this.next();
+            return { type: 'literal', value: token.value, unit: token.unit, position: token.position };
+        }
+
+        if (token.type === 'string') {
+            this.next();
+            return { type: 'literal', value: token.value, position: token.position };
+        }
+
+        if (token.type === 'identifier') {
+            this.next();
+
+            if (token.value === 'true' || token.value === 'false') {
+                return { type: 'literal', value: token.value === 'true', position: token.position };
+            }
+
+            if (this.matchOperator('(')) {
+                return this.parseCall(token);
+            }
+
+            const path = [token.value];
+            while (this.matchOperator('.')) {
+                const part = this.next();
+                if (part.type !== 'identifier') {
+                    this.fail('Expected property name after "."', part);
+                }
+                path.push(part.value);
+            }
+            return { type: 'identifier', path, position: token.position };
+        }
+
+        if (this.matchOperator('(')) {
+            const inner = this.parseOr();
+            this.expectOperator(')');
+            return inner;
+        }
+
+        this.fail('Expected a value');
+    }
+
+    parseCall(nameToken) {
+        const name = nameToken.value;
+        const args = [];
+
+        if (!this.matchOperator(')')) {
+            do {
+                args.push(this.parseOr());
+            } while (this.matchOperator(','));
+            this.expectOperator(')');
+        }
+
+        if (WINDOWED_FUNCTIONS[name]) {
+            const windowArg = args[1];
+            if (args.length !== 2 || windowArg.type !== 'literal' || typeof windowArg.value !== 'number') {
+                throw new TriggerSyntaxError(
+                    `${name}() expects (expression, duration) with a literal duration like 500ms`,
+                    this.source,
+                    nameToken.position
+                );
+            }
+            if (windowArg.value <= 0) {
+                throw new TriggerSyntaxError(`${name}() window must be positive`, this.source, windowArg.position);
+            }
+            return { type: 'window', name, operand: args[0], windowMs: windowArg.value, position: nameToken.position };
+        }
+
+        const definition = STATELESS_FUNCTIONS[name];
+        if (!definition) {
+            const known = [...Object.keys(STATELESS_FUNCTIONS), ...Object.keys(WINDOWED_FUNCTIONS)].join(', ');
+            throw new TriggerSyntaxError(`Unknown function "${name}" (known: ${known})`, this.source, nameToken.position);
+        }
+
+        const [minArgs, maxArgs] = definition.arity;
+        if (args.length < minArgs || args.length > maxArgs) {
+            throw new TriggerSyntaxError(`Wrong number of arguments to ${name}()`, this.source, nameToken.position);
+        }
+
+        return { type: 'call', name, args, position: nameToken.position };
+    }
+}
+
+/**
+ * Resolve a dotted identifier path against the evaluation scope
+ */
+function resolvePath(scope, path) {
+    let value = scope;
+    for (const key of path) {
+        if (value === null || value === undefined) return 0;
+        value = value[key];
+    }
+    if (value === undefined || value === null) return 0;
+    if (typeof value === 'object' && typeof value.value === 'number') return value.value;
+    return value;
+}
+
+const BINARY_OPERATIONS = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => (b === 0 ? 0 : a / b),
+    '%': (a, b) => (b === 0 ? 0 : a % b),
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '==': (a, b) => a === b,
+    '===': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '!==': (a, b) => a !== b
+};
+
+export class TriggerExpression {
+    constructor(source) {
+        if (typeof source !== 'string') {
+            throw new TypeError('Trigger expression must be a string');
+        }
+
+        this.source = source;
+        this.ast = new Parser(source).parse();
+        this.identifiers = new Set();
+        this.windows = [];
+        this.evaluator = this.compileNode(this.ast);
+    }
+
+    /**
+     * Parse and compile a trigger string (throws TriggerSyntaxError)
+     */
+    static compile(source) {
+        return new TriggerExpression(source);
+    }
+
+    /**
+     * Feed every windowed helper one sample for this frame without evaluating
+     * the expression (idempotent per time value)
+     */
+    sample(scope = {}, time = scope.time ?? 0) {
+        this.windows.forEach(window => window.sample(scope, time));
+    }
+
+    /**
+     * Evaluate against a scope object; `time` feeds windowed functions
+     */
+    evaluate(scope = {}, time = scope.time ?? 0) {
+        return this.evaluator(scope, time);
+    }
+
+    /**
+     * Evaluate and coerce to a boolean trigger decision
+     */
+    test(scope = {}, time = scope.time ?? 0) {
+        return Boolean(this.evaluate(scope, time));
+    }
+
+    compileNode(node) {
+        switch (node.type) {
+            case 'literal': {
+                const value = node.value;
+                return () => value;
+            }
+
+            case 'identifier': {
+                const path = node.path;
+                this.identifiers.add(path.join('.'));
+                return (scope) => resolvePath(scope, path);
+            }
+
+            case 'unary': {
+                const operand = this.compileNode(node.operand);
+                return node.op === '!'
+                    ? (scope, time) => !operand(scope, time)
+                    : (scope, time) => -operand(scope, time);
+            }
+
+            case 'binary': {
+                const left = this.compileNode(node.left);
+                const right = this.compileNode(node.right);
+                if (node.op === '&&') {
+                    return (scope, time) => left(scope, time) && right(scope, time);
+                }
+                if (node.op === '||') {
+                    return (scope, time) => left(scope, time) || right(scope, time);
+                }
+                const operation = BINARY_OPERATIONS[node.op];
+                return (scope, time) => operation(left(scope, time), right(scope, time));
+            }
+
+            case 'call': {
+                const fn = STATELESS_FUNCTIONS[node.name].fn;
+                const args = node.args.map(arg => this.compileNode(arg));
+                return (scope, time) => fn(...args.map(arg => Number(arg(scope, time)) || 0));
+            }
+
+            case 'window': {
+                const operand = this.compileNode(node.operand);
+                const reduce = WINDOWED_FUNCTIONS[node.name];
+                const windowMs = node.windowMs;
+                const samples = [];
+                const window = {
+                    sample: (scope, time) => {
+                        if (samples.length > 0 && samples[samples.length - 1].time === time) return;
+                        samples.push({ time, value: Number(operand(scope, time)) || 0 });
+                        while (samples.length > 1 && samples[0].time < time - windowMs) {
+                            samples.shift();
+                        }
+                    }
+                };
+                this.windows.push(window);
+                return (scope, time) => {
+                    window.sample(scope, time);
+                    return reduce(samples);
+                };
+            }
+
+            default:
+                throw new TriggerSyntaxError(`Unsupported node "${node.type}"`, this.source, node.position || 0);
+        }
+    }
+}
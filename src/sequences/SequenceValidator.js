@@ -0,0 +1,517 @@
+/**
+ * SequenceValidator - Lint sequence libraries against the library schema
+ *
+ * Mirrors sequence-library.schema.json with choreography-aware checks
+ * - Errors: malformed structure, bad time values, unparsable triggers
+ * - Warnings: unknown parameter names, unknown easings, unknown keys
+ * - Every issue carries a path, the offending value and a suggestion
+ *
+ * A Paul Phillips Manifestation
+ */
+
+import { TriggerExpression } from '../core/TriggerExpression.js';
+import { PARAMETER_DEFINITIONS } from '../core/ParameterMixer.js';
+import { parseTimeValue } from '../core/MusicalTime.js';
+import { RESPONSE_CURVES } from '../audio/AudioRoutingMatrix.js';
+import { EASING_NAMES, PARAMETRIC_EASING_NAMES, parseEasing } from '../core/Easing.js';
+import { INTERPOLATIONS } from '../core/KeyframeTrack.js';
+import { ENVELOPE_KEYS } from '../core/Envelope.js';
+
+export const KNOWN_PARAMETERS = [
+    ...Object.keys(PARAMETER_DEFINITIONS),
+    'colorStyle',
+    'colorProfile',
+    'colorVibrance',
+    'glitchMoire'
+];
+
+export const KNOWN_EASINGS = EASING_NAMES;
+
+const EASING_HINT = 'Use a named easing (e.g. easeOutCubic), cubic-bezier(x1,y1,x2,y2), steps(n), subdivide(1/8) or pulse(1/16)';
+
+const SEQUENCE_KEYS = [
+    'name', 'description', 'trigger', 'duration', 'stages', 'release', 'priority', 'weight',
+    'group', 'cooldown', 'owns', 'conflict', 'quantize', 'tracks'
+];
+const STAGE_KEYS = ['start', 'duration'];
+const CHANGE_KEYS = ['from', 'to', 'easing', 'spike', 'decay', 'jump', 'envelope'];
+const KEYFRAME_KEYS = ['t', 'value', 'easing', 'interpolation', 'handles'];
+const RELEASE_MODES = ['snap', 'hold', 'ease'];
+const CONFLICT_MODES = ['preempt', 'blend'];
+const QUANTIZE_PATTERN = /^(none|beat|\d*bar)$/;
+
+/**
+ * Levenshtein distance for "did you mean" suggestions
+ */
+function editDistance(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const table = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+    for (let j = 1; j < cols; j++) table[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1;
+            table[i][j] = Math.min(table[i - 1][j] + 1, table[i][j - 1] + 1, table[i - 1][j - 1] + cost);
+        }
+    }
+    return table[a.length][b.length];
+}
+
+function closestMatch(value, candidates) {
+    if (typeof value !== 'string') return null;
+    let best = null;
+    let bestDistance = Infinity;
+    candidates.forEach(candidate => {
+        const distance = editDistance(value, candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+    return bestDistance <= Math.max(2, Math.floor(value.length / 3)) ? best : null;
+}
+
+function didYouMean(value, candidates, fallback) {
+    const match = closestMatch(value, candidates);
+    return match ? `Did you mean "${match}"?` : fallback;
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+class ValidationReport {
+    constructor() {
+        this.errors = [];
+        this.warnings = [];
+    }
+
+    error(path, value, message, suggestion = null, sequenceIndex = null) {
+        this.errors.push({ severity: 'error', path, value, message, suggestion, sequenceIndex });
+    }
+
+    warning(path, value, message, suggestion = null, sequenceIndex = null) {
+        this.warnings.push({ severity: 'warning', path, value, message, suggestion, sequenceIndex });
+    }
+
+    get valid() {
+        return this.errors.length === 0;
+    }
+
+    toJSON() {
+        return { valid: this.valid, errors: this.errors, warnings: this.warnings };
+    }
+}
+
+function checkTimeValue(report, path, value, index, required = false) {
+    if (value === undefined) {
+        if (required) {
+            report.error(path, value, 'Missing time value', 'Use milliseconds (500), "2b", "1bar" or "1/8"', index);
+        }
+        return;
+    }
+    try {
+        const spec = parseTimeValue(value);
+        if (spec.value < 0) {
+            report.error(path, value, 'Time value must not be negative', 'Use a value >= 0', index);
+        }
+    } catch (error) {
+        report.error(path, value, error.message, 'Use milliseconds (500), "2b", "1bar" or "1/8"', index);
+    }
+}
+
+function checkNumber(report, path, value, index, { min = -Infinity, max = Infinity } = {}) {
+    if (value === undefined) return;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        report.error(path, value, 'Expected a number', null, index);
+    } else if (value < min || value > max) {
+        report.error(path, value, `Expected a number between ${min} and ${max}`, null, index);
+    }
+}
+
+function checkEasing(report, path, value, index) {
+    if (value === undefined) return;
+    if (typeof value !== 'string') {
+        report.error(path, value, 'Easing must be a string', EASING_HINT, index);
+        return;
+    }
+    try {
+        parseEasing(value);
+    } catch (error) {
+        const name = value.split('(')[0].trim();
+        const candidates = value.includes('(') ? PARAMETRIC_EASING_NAMES : KNOWN_EASINGS;
+        report.warning(path, value, `${error.message} (falls back to linear)`,
+            candidates.includes(name) ? EASING_HINT : didYouMean(name, candidates, EASING_HINT), index);
+    }
+}
+
+function validateEnvelope(report, path, envelope, index, extraKeys = []) {
+    if (!isPlainObject(envelope)) {
+        report.error(path, envelope, 'Envelope must be an object',
+            'e.g. { "amount": 1, "attack": "1/32", "decay": "1/8", "sustain": 0, "release": "1/8" }', index);
+        return;
+    }
+
+    checkNumber(report, `${path}.amount`, envelope.amount, index);
+    checkNumber(report, `${path}.sustain`, envelope.sustain, index, { min: 0, max: 1 });
+    ['attack', 'decay', 'release', 'hold'].forEach(key => checkTimeValue(report, `${path}.${key}`, envelope[key], index));
+
+    const allowed = [...ENVELOPE_KEYS, ...extraKeys];
+    Object.keys(envelope).forEach(key => {
+        if (!allowed.includes(key)) {
+            report.warning(`${path}.${key}`, envelope[key], `Unknown envelope property "${key}"`,
+                didYouMean(key, allowed, 'Remove it'), index);
+        }
+    });
+}
+
+function validateChange(report, path, change, index) {
+    if (!isPlainObject(change)) {
+        report.error(path, change, 'Parameter change must be an object',
+            'Use { "from", "to", "easing" }, { "spike", "decay" } or { "jump" }', index);
+        return;
+    }
+
+    const hasInterpolation = change.from !== undefined || change.to !== undefined;
+    const kinds = [hasInterpolation, change.envelope !== undefined, change.spike !== undefined, change.jump !== undefined]
+        .filter(Boolean).length;
+
+    if (kinds === 0) {
+        report.error(path, change, 'Parameter change has no from/to, envelope, spike or jump',
+            'Add { "from": ..., "to": ... }, { "envelope": { ... } }, { "spike": ... } or { "jump": ... }', index);
+    } else if (kinds > 1) {
+        report.warning(path, change, 'Parameter change mixes from/to, envelope, spike and jump (only the first applies)',
+            'Split the change into separate stages', index);
+    }
+
+    if (change.envelope !== undefined) {
+        validateEnvelope(report, `${path}.envelope`, change.envelope, index);
+    }
+
+    if (hasInterpolation) {
+        ['from', 'to'].forEach(key => {
+            const value = change[key];
+            if (value === undefined) {
+                report.error(`${path}.${key}`, value, `Interpolation is missing "${key}"`, 'Use a number or "current"', index);
+            } else if (value !== 'current' && (typeof value !== 'number' || !Number.isFinite(value))) {
+                report.error(`${path}.${key}`, value, 'Expected a number or "current"',
+                    typeof value === 'string' ? didYouMean(value, ['current'], null) : null, index);
+            }
+        });
+        checkEasing(report, `${path}.easing`, change.easing, index);
+    }
+
+    checkNumber(report, `${path}.spike`, change.spike, index);
+    checkNumber(report, `${path}.decay`, change.decay, index, { min: 0, max: 1 });
+    checkNumber(report, `${path}.jump`, change.jump, index);
+
+    Object.keys(change).forEach(key => {
+        if (!CHANGE_KEYS.includes(key)) {
+            report.warning(`${path}.${key}`, change[key], `Unknown change property "${key}"`,
+                didYouMean(key, CHANGE_KEYS, 'Remove it'), index);
+        }
+    });
+}
+
+function validateStage(report, path, stage, index) {
+    if (!isPlainObject(stage)) {
+        report.error(path, stage, 'Stage must be an object', null, index);
+        return;
+    }
+
+    checkTimeValue(report, `${path}.start`, stage.start, index);
+    checkTimeValue(report, `${path}.duration`, stage.duration, index, true);
+
+    Object.keys(stage).forEach(key => {
+        if (STAGE_KEYS.includes(key)) return;
+
+        if (!KNOWN_PARAMETERS.includes(key)) {
+            report.warning(`${path}.${key}`, key, `Unknown parameter "${key}"`,
+                didYouMean(key, KNOWN_PARAMETERS, 'Visualizers may ignore it'), index);
+        }
+        validateChange(report, `${path}.${key}`, stage[key], index);
+    });
+}
+
+function checkInterpolation(report, path, value, index) {
+    if (value === undefined || INTERPOLATIONS.includes(value)) return;
+    report.error(path, value, `Unknown interpolation "${value}"`,
+        didYouMean(value, INTERPOLATIONS, `Use one of ${INTERPOLATIONS.join(', ')}`), index);
+}
+
+function validateKeyframe(report, path, key, index) {
+    if (!isPlainObject(key)) {
+        report.error(path, key, 'Keyframe must be an object', 'e.g. { "t": "1b", "value": 300 }', index);
+        return;
+    }
+
+    checkTimeValue(report, `${path}.t`, key.t, index, true);
+    if (key.value !== 'current' && (typeof key.value !== 'number' || !Number.isFinite(key.value))) {
+        report.error(`${path}.value`, key.value, 'Keyframe value must be a number or "current"',
+            typeof key.value === 'string' ? didYouMean(key.value, ['current'], null) : null, index);
+    }
+    checkEasing(report, `${path}.easing`, key.easing, index);
+    checkInterpolation(report, `${path}.interpolation`, key.interpolation, index);
+    if (key.handles !== undefined &&
+        (!Array.isArray(key.handles) || key.handles.length !== 2 || !key.handles.every(Number.isFinite))) {
+        report.error(`${path}.handles`, key.handles, 'handles must be two numbers', 'e.g. [0.2, 0.9]', index);
+    }
+
+    Object.keys(key).forEach(name => {
+        if (!KEYFRAME_KEYS.includes(name)) {
+            report.warning(`${path}.${name}`, key[name], `Unknown keyframe property "${name}"`,
+                didYouMean(name, KEYFRAME_KEYS, 'Remove it'), index);
+        }
+    });
+}
+
+function validateTracks(report, path, tracks, index) {
+    if (!isPlainObject(tracks)) {
+        report.error(path, tracks, 'tracks must be an object of { param: keyframes }',
+            'e.g. { "hue": [ { "t": 0, "value": 200 }, { "t": "1b", "value": 300 } ] }', index);
+        return;
+    }
+
+    Object.entries(tracks).forEach(([param, track]) => {
+        const trackPath = `${path}.${param}`;
+        if (!KNOWN_PARAMETERS.includes(param)) {
+            report.warning(trackPath, param, `Unknown parameter "${param}"`,
+                didYouMean(param, KNOWN_PARAMETERS, 'Visualizers may ignore it'), index);
+        }
+
+        let keys = track;
+        let keysPath = trackPath;
+        if (isPlainObject(track)) {
+            checkInterpolation(report, `${trackPath}.interpolation`, track.interpolation, index);
+            keys = track.keys;
+            keysPath = `${trackPath}.keys`;
+        }
+
+        if (!Array.isArray(keys) || keys.length === 0) {
+            report.error(keysPath, keys, 'Track needs a non-empty keyframe array',
+                'Use [ { "t": 0, "value": ... }, ... ] or { "interpolation": "catmullRom", "keys": [...] }', index);
+            return;
+        }
+        let previous = null;
+        keys.forEach((key, keyIndex) => {
+            const keyPath = `${keysPath}[${keyIndex}]`;
+            validateKeyframe(report, keyPath, key, index);
+
+            let time = null;
+            try {
+                time = parseTimeValue(key?.t);
+            } catch (error) {
+                return;
+            }
+            if (previous && previous.unit === time.unit && time.value < previous.value) {
+                report.error(`${keyPath}.t`, key.t, 'Keyframes must be in time order', 'Sort the keys by "t"', index);
+            }
+            previous = time;
+        });
+    });
+}
+
+function validateRelease(report, path, release, index) {
+    if (release === undefined) return;
+
+    if (typeof release === 'string') {
+        if (!RELEASE_MODES.includes(release)) {
+            report.error(path, release, `Unknown release mode "${release}"`,
+                didYouMean(release, RELEASE_MODES, `Use one of ${RELEASE_MODES.join(', ')}`), index);
+        }
+        return;
+    }
+
+    if (!isPlainObject(release)) {
+        report.error(path, release, 'Release must be a mode string or an object', 'e.g. { "mode": "ease", "beats": 1 }', index);
+        return;
+    }
+
+    if (release.mode !== undefined && !RELEASE_MODES.includes(release.mode)) {
+        report.error(`${path}.mode`, release.mode, `Unknown release mode "${release.mode}"`,
+            didYouMean(release.mode, RELEASE_MODES, `Use one of ${RELEASE_MODES.join(', ')}`), index);
+    }
+    checkTimeValue(report, `${path}.duration`, release.duration, index);
+    checkNumber(report, `${path}.beats`, release.beats, index, { min: 0 });
+    checkEasing(report, `${path}.easing`, release.easing, index);
+}
+
+/**
+ * Validate a single sequence definition
+ */
+export function validateSequence(sequence, path = 'sequence', index = null, report = new ValidationReport()) {
+    if (!isPlainObject(sequence)) {
+        report.error(path, sequence, 'Sequence must be an object', null, index);
+        return report;
+    }
+
+    if (typeof sequence.name !== 'string' || sequence.name.length === 0) {
+        report.error(`${path}.name`, sequence.name, 'Sequence must have a non-empty name', 'Add "name": "my_sequence"', index);
+    }
+
+    if (sequence.trigger !== undefined) {
+        if (typeof sequence.trigger !== 'string') {
+            report.error(`${path}.trigger`, sequence.trigger, 'Trigger must be an expression string', 'e.g. "bass > 0.8"', index);
+        } else {
+            try {
+                TriggerExpression.compile(sequence.trigger);
+            } catch (error) {
+                report.error(`${path}.trigger`, sequence.trigger, error.message, 'Check operators, parentheses and function names', index);
+            }
+        }
+    }
+
+    checkTimeValue(report, `${path}.duration`, sequence.duration, index, true);
+    checkNumber(report, `${path}.priority`, sequence.priority, index);
+    checkNumber(report, `${path}.weight`, sequence.weight, index, { min: 0 });
+    checkNumber(report, `${path}.cooldown`, sequence.cooldown, index, { min: 0 });
+    validateRelease(report, `${path}.release`, sequence.release, index);
+
+    if (sequence.group !== undefined && typeof sequence.group !== 'string') {
+        report.error(`${path}.group`, sequence.group, 'Group must be a string', null, index);
+    }
+    if (sequence.conflict !== undefined && !CONFLICT_MODES.includes(sequence.conflict)) {
+        report.error(`${path}.conflict`, sequence.conflict, `Unknown conflict mode "${sequence.conflict}"`,
+            didYouMean(sequence.conflict, CONFLICT_MODES, `Use one of ${CONFLICT_MODES.join(', ')}`), index);
+    }
+    if (sequence.quantize !== undefined &&
+        (typeof sequence.quantize !== 'string' || !QUANTIZE_PATTERN.test(sequence.quantize))) {
+        report.error(`${path}.quantize`, sequence.quantize, 'Invalid quantize value', 'Use "none", "beat", "bar", "2bar" or "4bar"', index);
+    }
+    if (sequence.owns !== undefined) {
+        if (!Array.isArray(sequence.owns) || sequence.owns.some(param => typeof param !== 'string')) {
+            report.error(`${path}.owns`, sequence.owns, 'owns must be an array of parameter names', null, index);
+        }
+    }
+
+    if (sequence.tracks !== undefined) {
+        validateTracks(report, `${path}.tracks`, sequence.tracks, index);
+    }
+
+    if (sequence.stages === undefined && sequence.tracks !== undefined) {
+        // Track-only sequence
+    } else if (!Array.isArray(sequence.stages)) {
+        report.error(`${path}.stages`, sequence.stages, 'Sequence must have a stages array (or tracks)',
+            'Add "stages": [ { "duration": 1000, ... } ]', index);
+    } else {
+        sequence.stages.forEach((stage, stageIndex) => {
+            validateStage(report, `${path}.stages[${stageIndex}]`, stage, index);
+        });
+    }
+
+    Object.keys(sequence).forEach(key => {
+        if (!SEQUENCE_KEYS.includes(key)) {
+            report.warning(`${path}.${key}`, sequence[key], `Unknown sequence property "${key}"`,
+                didYouMean(key, SEQUENCE_KEYS, 'It will be ignored'), index);
+        }
+    });
+
+    return report;
+}
+
+/**
+ * Validate a full library ({ name, description, sequences, routing, envelopes })
+ */
+export function validateSequenceLibrary(library) {
+    const report = new ValidationReport();
+
+    if (!isPlainObject(library)) {
+        report.error('$', library, 'Library must be a JSON object', 'Wrap sequences in { "sequences": [...] }');
+        return report;
+    }
+
+    if (library.name !== undefined && typeof library.name !== 'string') {
+        report.error('$.name', library.name, 'Library name must be a string');
+    }
+
+    if (!Array.isArray(library.sequences)) {
+        report.error('$.sequences', library.sequences, 'Library must have a sequences array', 'Add "sequences": []');
+        return report;
+    }
+
+    const seen = new Map();
+    library.sequences.forEach((sequence, index) => {
+        const path = `$.sequences[${index}]`;
+        validateSequence(sequence, path, index, report);
+
+        if (sequence?.name) {
+            if (seen.has(sequence.name)) {
+                report.warning(`${path}.name`, sequence.name,
+                    `Duplicate sequence name (also at sequences[${seen.get(sequence.name)}]); the later one wins`,
+                    'Rename one of them', index);
+            } else {
+                seen.set(sequence.name, index);
+            }
+        }
+    });
+
+    if (library.routing !== undefined) {
+        if (!Array.isArray(library.routing)) {
+            report.error('$.routing', library.routing, 'routing must be an array of routes');
+        } else {
+            const curves = Object.keys(RESPONSE_CURVES);
+            library.routing.forEach((route, index) => {
+                const path = `$.routing[${index}]`;
+                if (!isPlainObject(route)) {
+                    report.error(path, route, 'Route must be an object', 'e.g. { "param": "hue", "source": "high", "amount": 120 }');
+                    return;
+                }
+                if (typeof route.param !== 'string') {
+                    report.error(`${path}.param`, route.param, 'Route needs a target param');
+                } else if (!KNOWN_PARAMETERS.includes(route.param)) {
+                    report.warning(`${path}.param`, route.param, `Unknown parameter "${route.param}"`,
+                        didYouMean(route.param, KNOWN_PARAMETERS, 'Visualizers may ignore it'));
+                }
+                if (typeof route.source !== 'string') {
+                    report.error(`${path}.source`, route.source, 'Route needs a source', 'e.g. "bass", "rms", "spectralFlux"');
+                }
+                if (route.curve !== undefined && !curves.includes(route.curve)) {
+                    report.error(`${path}.curve`, route.curve, `Unknown routing curve "${route.curve}"`,
+                        didYouMean(route.curve, curves, `Use one of ${curves.join(', ')}`));
+                }
+                ['amount', 'offset'].forEach(key => checkNumber(report, `${path}.${key}`, route[key], null));
+                ['attack', 'release'].forEach(key => checkNumber(report, `${path}.${key}`, route[key], null, { min: 0 }));
+            });
+        }
+    }
+
+    if (library.envelopes !== undefined) {
+        if (!Array.isArray(library.envelopes)) {
+            report.error('$.envelopes', library.envelopes, 'envelopes must be an array');
+        } else {
+            library.envelopes.forEach((envelope, index) => {
+                const path = `$.envelopes[${index}]`;
+                validateEnvelope(report, path, envelope, null, ['name', 'param', 'on']);
+                if (!isPlainObject(envelope)) return;
+
+                if (typeof envelope.name !== 'string' || envelope.name.length === 0) {
+                    report.error(`${path}.name`, envelope.name, 'Envelope needs a name', null);
+                }
+                if (typeof envelope.param !== 'string') {
+                    report.error(`${path}.param`, envelope.param, 'Envelope needs a target param');
+                } else if (!KNOWN_PARAMETERS.includes(envelope.param)) {
+                    report.warning(`${path}.param`, envelope.param, `Unknown parameter "${envelope.param}"`,
+                        didYouMean(envelope.param, KNOWN_PARAMETERS, 'Visualizers may ignore it'));
+                }
+                const events = [].concat(envelope.on ?? []);
+                if (events.some(event => typeof event !== 'string')) {
+                    report.error(`${path}.on`, envelope.on, 'on must be an event name or an array of names',
+                        'e.g. "onset", "kick", "snare", "hat", "beat", "downbeat", "chordChange"');
+                }
+            });
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Format an issue as a single readable line
+ */
+export function formatIssue(issue) {
+    let value = issue.value === undefined ? 'undefined' : JSON.stringify(issue.value);
+    if (value.length > 60) {
+        value = `${value.slice(0, 57)}...`;
+    }
+    const suggestion = issue.suggestion ? ` — ${issue.suggestion}` : '';
+    return `${issue.severity.toUpperCase()} ${issue.path}: ${issue.message} (got ${value})${suggestion}`;
+}
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * lint-sequences - Validate sequence library JSON from the command line
+ *
+ * Usage:
+ *   node src/sequences/lint-sequences.mjs                  # lints src/sequences/presets/*.json
+ *   node src/sequences/lint-sequences.mjs path/to/lib.json  # lints specific files
+ *   node src/sequences/lint-sequences.mjs --json ...        # machine-readable report
+ *
+ * Exits 1 when any file has errors (warnings alone pass).
+ * Runs on Node 20.19+ (the engine sources are ES modules without a package.json;
+ * older releases do not detect module syntax in .js files).
+ *
+ * A Paul Phillips Manifestation
+ */
+
+import { readFile, readdir } from 'node:fs/promises';
+import { join, dirname, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateSequenceLibrary, formatIssue } from './SequenceValidator.js';
+
+const PRESETS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'presets');
+
+async function defaultFiles() {
+    const entries = await readdir(PRESETS_DIR);
+    return entries.filter(name => name.endsWith('.json')).sort().map(name => join(PRESETS_DIR, name));
+}
+
+async function lintFile(file) {
+    let library;
+    try {
+        library = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        return {
+            valid: false,
+            errors: [{ severity: 'error', path: '$', value: undefined, message: `Cannot read JSON: ${error.message}`, suggestion: null }],
+            warnings: []
+        };
+    }
+    return validateSequenceLibrary(library).toJSON();
+}
+
+async function main(argv) {
+    const asJson = argv.includes('--json');
+    const args = argv.filter(arg => arg !== '--json');
+    const files = args.length > 0 ? args : await defaultFiles();
+
+    const results = {};
+    let errorCount = 0;
+    let warningCount = 0;
+
+    for (const file of files) {
+        const report = await lintFile(file);
+        results[file] = report;
+        errorCount += report.errors.length;
+        warningCount += report.warnings.length;
+
+        if (asJson) continue;
+
+        const label = relative(process.cwd(), file) || file;
+        if (report.errors.length === 0 && report.warnings.length === 0) {
+            console.log(`✅ ${label}`);
+            continue;
+        }
+        console.log(`${report.errors.length > 0 ? '❌' : '⚠️'} ${label}`);
+        [...report.errors, ...report.warnings].forEach(issue => console.log(`   ${formatIssue(issue)}`));
+    }
+
+    if (asJson) {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        console.log(`\n${files.length} file(s): ${errorCount} error(s), ${warningCount} warning(s)`);
+    }
+
+    return errorCount > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
@@ -5,6 +5,9 @@
 
 import { GeometryLibrary } from '../../geometry/GeometryLibrary.js';
 import { getUniformPalette, lerpColor, applyVibrance, clampColor } from '../../color/UniformPaletteLibrary.js';
+import { createLogger } from '../../core/Logger.js';
+
+const logger = createLogger('faceted');
 
 const clamp01 = (value) => Math.min(1, Math.max(0, Number.isFinite(value) ? value : 0));
 
@@ -50,7 +53,7 @@ export class IntegratedHolographicVisualizer {
         this.variant = variant;
         
         if (!this.canvas) {
-            console.error(`Canvas ${canvasId} not found`);
+            logger.error(`Canvas ${canvasId} not found`);
             return;
         }
         let rect = this.canvas.getBoundingClientRect();
@@ -183,7 +186,7 @@ export class IntegratedHolographicVisualizer {
                              this.canvas.getContext('experimental-webgl');
         
         if (existingContext && !existingContext.isContextLost()) {
-            console.log(`🔄 Reusing existing WebGL context for ${this.canvas.id}`);
+            logger.info(`🔄 Reusing existing WebGL context for ${this.canvas.id}`);
             this.gl = existingContext;
             return;
         }
@@ -194,7 +197,7 @@ export class IntegratedHolographicVisualizer {
                   this.canvas.getContext('experimental-webgl', this.contextOptions);
         
         if (!this.gl) {
-            console.error(`WebGL not supported for ${this.canvas.id}`);
+            logger.error(`WebGL not supported for ${this.canvas.id}`);
             if (window.mobileDebug) {
                 window.mobileDebug.log(`❌ WebGL context failed for ${this.canvas.id} (size: ${this.canvas.width}x${this.canvas.height})`);
             }
@@ -432,7 +435,7 @@ void main() {
         this.gl.linkProgram(program);
         
         if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
-            console.error('Program linking failed:', this.gl.getProgramInfoLog(program));
+            logger.error('Program linking failed:', this.gl.getProgramInfoLog(program));
             return null;
         }
         
@@ -445,12 +448,12 @@ void main() {
     createShader(type, source) {
         // CRITICAL FIX: Check WebGL context state before shader operations
         if (!this.gl) {
-            console.error('❌ Cannot create shader: WebGL context is null');
+            logger.error('❌ Cannot create shader: WebGL context is null');
             return null;
         }
         
         if (this.gl.isContextLost()) {
-            console.error('❌ Cannot create shader: WebGL context is lost');
+            logger.error('❌ Cannot create shader: WebGL context is lost');
             return null;
         }
         
@@ -458,7 +461,7 @@ void main() {
             const shader = this.gl.createShader(type);
             
             if (!shader) {
-                console.error('❌ Failed to create shader object - WebGL context may be invalid');
+                logger.error('❌ Failed to create shader object - WebGL context may be invalid');
                 return null;
             }
             
@@ -471,19 +474,19 @@ void main() {
                 
                 // CRITICAL FIX: Show actual error instead of null
                 if (error) {
-                    console.error(`❌ ${shaderType} shader compilation failed:`, error);
+                    logger.error(`❌ ${shaderType} shader compilation failed:`, error);
                 } else {
-                    console.error(`❌ ${shaderType} shader compilation failed: WebGL returned no error info (context may be invalid)`);
+                    logger.error(`❌ ${shaderType} shader compilation failed: WebGL returned no error info (context may be invalid)`);
                 }
                 
-                console.error('Shader source:', source);
+                logger.error('Shader source:', source);
                 this.gl.deleteShader(shader);
                 return null;
             }
             
             return shader;
         } catch (error) {
-            console.error('❌ Exception during shader creation:', error);
+            logger.error('❌ Exception during shader creation:', error);
             return null;
         }
     }
@@ -619,6 +622,13 @@ void main() {
         this.params[name] = value;
     }
 
+    /**
+     * Read a single parameter
+     */
+    getParameter(name) {
+        return this.params?.[name];
+    }
+
     setParameters(params) {
         this.updateParameters(params);
     }
@@ -728,7 +738,10 @@ void main() {
      */
     render() {
         if (!this.program) {
-            console.error(`❌ FACETED RENDER BLOCKED: No WebGL program! Canvas: ${this.canvas?.id}`);
+            if (!this._renderBlockedLogged) {
+                logger.error(`❌ FACETED RENDER BLOCKED: No WebGL program! Canvas: ${this.canvas?.id}`);
+                this._renderBlockedLogged = true;
+            }
             if (window.mobileDebug) {
                 window.mobileDebug.log(`❌ ${this.canvas?.id}: No WebGL program compiled`);
             }
@@ -736,7 +749,10 @@ void main() {
         }
 
         if (!this.gl) {
-            console.error(`❌ FACETED RENDER BLOCKED: No WebGL context! Canvas: ${this.canvas?.id}`);
+            if (!this._renderBlockedLogged) {
+                logger.error(`❌ FACETED RENDER BLOCKED: No WebGL context! Canvas: ${this.canvas?.id}`);
+                this._renderBlockedLogged = true;
+            }
             if (window.mobileDebug) {
                 window.mobileDebug.log(`❌ ${this.canvas?.id}: No WebGL context`);
             }
@@ -744,7 +760,7 @@ void main() {
         }
 
         if (!this._renderStartLogged) {
-            console.log(`✅ FACETED RENDER STARTED: Canvas ${this.canvas?.id}, program exists, gl context exists`);
+            logger.info(`✅ FACETED RENDER STARTED: Canvas ${this.canvas?.id}, program exists, gl context exists`);
             this._renderStartLogged = true;
         }
         
@@ -876,7 +892,7 @@ void main() {
      * CRITICAL FIX: Reinitialize WebGL program after context recreation
      */
     reinitializeContext() {
-        console.log(`🔄 Reinitializing WebGL context for ${this.canvas?.id}`);
+        logger.info(`🔄 Reinitializing WebGL context for ${this.canvas?.id}`);
         
         // Clear ALL old WebGL references
         this.program = null;
@@ -891,22 +907,22 @@ void main() {
                   this.canvas.getContext('experimental-webgl');
         
         if (!this.gl) {
-            console.error(`❌ No WebGL context available for ${this.canvas?.id} - CanvasManager should have created one`);
+            logger.error(`❌ No WebGL context available for ${this.canvas?.id} - CanvasManager should have created one`);
             return false;
         }
         
         if (this.gl.isContextLost()) {
-            console.error(`❌ WebGL context is lost for ${this.canvas?.id}`);
+            logger.error(`❌ WebGL context is lost for ${this.canvas?.id}`);
             return false;
         }
         
         // Reinitialize shaders and buffers if context is valid
         try {
             this.init();
-            console.log(`✅ ${this.canvas?.id}: Context reinitialized successfully`);
+            logger.info(`✅ ${this.canvas?.id}: Context reinitialized successfully`);
             return true;
         } catch (error) {
-            console.error(`❌ Failed to reinitialize WebGL resources for ${this.canvas?.id}:`, error);
+            logger.error(`❌ Failed to reinitialize WebGL resources for ${this.canvas?.id}:`, error);
             return false;
         }
     }
@@ -1,4 +1,7 @@
 import { getUniformPalette, lerpColor, applyVibrance, clampColor } from '../../color/UniformPaletteLibrary.js';
+import { createLogger } from '../../core/Logger.js';
+
+const logger = createLogger('holographic');
 
 /**
  * Core Holographic Visualizer - Clean WebGL rendering engine
@@ -29,7 +32,7 @@ export class HolographicVisualizer {
                              this.canvas.getContext('experimental-webgl');
         
         if (existingContext && !existingContext.isContextLost()) {
-            console.log(`🔄 Reusing existing WebGL context for ${canvasId}`);
+            logger.info(`🔄 Reusing existing WebGL context for ${canvasId}`);
             this.gl = existingContext;
         } else {
             // Try WebGL2 first (better mobile support), then WebGL1
@@ -39,7 +42,7 @@ export class HolographicVisualizer {
         }
         
         if (!this.gl) {
-            console.error(`WebGL not supported for ${canvasId}`);
+            logger.error(`WebGL not supported for ${canvasId}`);
             this.showWebGLError();
             throw new Error(`WebGL not supported for ${canvasId}`);
         }
@@ -831,12 +834,12 @@ export class HolographicVisualizer {
     createShader(type, source) {
         // CRITICAL FIX: Check WebGL context state before shader operations
         if (!this.gl) {
-            console.error('❌ Cannot create shader: WebGL context is null');
+            logger.error('❌ Cannot create shader: WebGL context is null');
             throw new Error('WebGL context is null');
         }
         
         if (this.gl.isContextLost()) {
-            console.error('❌ Cannot create shader: WebGL context is lost');
+            logger.error('❌ Cannot create shader: WebGL context is lost');
             throw new Error('WebGL context is lost');
         }
         
@@ -844,7 +847,7 @@ export class HolographicVisualizer {
             const shader = this.gl.createShader(type);
             
             if (!shader) {
-                console.error('❌ Failed to create shader object - WebGL context may be invalid');
+                logger.error('❌ Failed to create shader object - WebGL context may be invalid');
                 throw new Error('Failed to create shader object - WebGL context may be invalid');
             }
             
@@ -857,17 +860,17 @@ export class HolographicVisualizer {
                 
                 // CRITICAL FIX: Show actual error instead of null
                 if (error) {
-                    console.error(`❌ ${shaderType} shader compilation failed:`, error);
+                    logger.error(`❌ ${shaderType} shader compilation failed:`, error);
                     throw new Error(`${shaderType} shader compilation failed: ${error}`);
                 } else {
-                    console.error(`❌ ${shaderType} shader compilation failed: WebGL returned no error info (context may be invalid)`);
+                    logger.error(`❌ ${shaderType} shader compilation failed: WebGL returned no error info (context may be invalid)`);
                     throw new Error(`${shaderType} shader compilation failed: WebGL returned no error info (context may be invalid)`);
                 }
             }
             
             return shader;
         } catch (error) {
-            console.error('❌ Exception during shader creation:', error);
+            logger.error('❌ Exception during shader creation:', error);
             throw error;
         }
     }
@@ -1101,12 +1104,15 @@ export class HolographicVisualizer {
     
     render() {
         if (!this.program) {
-            console.error(`❌ HOLOGRAPHIC RENDER BLOCKED: No WebGL program! Canvas: ${this.canvas?.id}`);
+            if (!this._renderBlockedLogged) {
+                logger.error(`❌ HOLOGRAPHIC RENDER BLOCKED: No WebGL program! Canvas: ${this.canvas?.id}`);
+                this._renderBlockedLogged = true;
+            }
             return;
         }
 
         if (!this._renderStartLogged) {
-            console.log(`✅ HOLOGRAPHIC RENDER STARTED: Canvas ${this.canvas?.id}, program exists, gl context: ${!!this.gl}`);
+            logger.info(`✅ HOLOGRAPHIC RENDER STARTED: Canvas ${this.canvas?.id}, program exists, gl context: ${!!this.gl}`);
             this._renderStartLogged = true;
         }
         
@@ -1308,7 +1314,7 @@ export class HolographicVisualizer {
      * CRITICAL FIX: Reinitialize WebGL context and resources after SmartCanvasPool context recreation
      */
     reinitializeContext() {
-        console.log(`🔄 Reinitializing WebGL context for ${this.canvas?.id}`);
+        logger.info(`🔄 Reinitializing WebGL context for ${this.canvas?.id}`);
         
         // Clear ALL old WebGL references
         this.program = null;
@@ -1323,12 +1329,12 @@ export class HolographicVisualizer {
                   this.canvas.getContext('experimental-webgl');
         
         if (!this.gl) {
-            console.error(`❌ No WebGL context available for ${this.canvas?.id} - SmartCanvasPool should have created one`);
+            logger.error(`❌ No WebGL context available for ${this.canvas?.id} - SmartCanvasPool should have created one`);
             return false;
         }
         
         if (this.gl.isContextLost()) {
-            console.error(`❌ WebGL context is lost for ${this.canvas?.id}`);
+            logger.error(`❌ WebGL context is lost for ${this.canvas?.id}`);
             return false;
         }
         
@@ -1338,10 +1344,10 @@ export class HolographicVisualizer {
             this.initBuffers();
             this.resize();
             
-            console.log(`✅ ${this.canvas?.id}: Holographic context reinitialized successfully`);
+            logger.info(`✅ ${this.canvas?.id}: Holographic context reinitialized successfully`);
             return true;
         } catch (error) {
-            console.error(`❌ Failed to reinitialize holographic WebGL resources for ${this.canvas?.id}:`, error);
+            logger.error(`❌ Failed to reinitialize holographic WebGL resources for ${this.canvas?.id}:`, error);
             return false;
         }
     }
@@ -1376,7 +1382,7 @@ export class HolographicVisualizer {
                         // Convert gridDensity (5-100) to holographic density (0.3-2.5) - reasonable range
                         // Formula: density = 0.3 + (gridDensity - 5) / (100 - 5) * (2.5 - 0.3)
                         scaledValue = 0.3 + (parseFloat(params[param]) - 5) / 95 * 2.2;
-                        console.log(`🔧 Density scaling: gridDensity=${params[param]} → density=${scaledValue.toFixed(3)} (normal range)`);
+                        logger.trace(() => `🔧 Density scaling: gridDensity=${params[param]} → density=${scaledValue.toFixed(3)} (normal range)`);
                     }
 
                     this.variantParams[mappedParam] = scaledValue;
@@ -1427,6 +1433,27 @@ export class HolographicVisualizer {
         }
     }
 
+    /**
+     * Read a parameter back in global naming (inverse of updateParameter's scaling)
+     */
+    getParameter(name) {
+        if (name === 'colorStyle') return this.colorStyle;
+        if (name === 'colorProfile') return this.colorProfile;
+        if (name === 'colorVibrance') return this.colorVibrance;
+
+        const mappedParam = this.mapParameterName(name);
+        if (mappedParam === null || !this.variantParams) return undefined;
+
+        const value = this.variantParams[mappedParam];
+        if (typeof value !== 'number') return undefined;
+
+        // Invert the gridDensity (5-100) → density (0.3-2.5) scaling
+        if (name === 'gridDensity') {
+            return 5 + (value - 0.3) / 2.2 * 95;
+        }
+        return value;
+    }
+
     /**
      * Map global parameter names to holographic system parameter names
      */
@@ -5,6 +5,9 @@
  */
 
 import { GeometryLibrary } from '../../geometry/GeometryLibrary.js';
+import { createLogger } from '../../core/Logger.js';
+
+const logger = createLogger('quantum');
 
 export class QuantumHolographicVisualizer {
     constructor(canvasId, role, reactivity, variant) {
@@ -32,7 +35,7 @@ export class QuantumHolographicVisualizer {
                   this.canvas.getContext('experimental-webgl', this.contextOptions);
         
         if (!this.gl) {
-            console.error(`WebGL not supported for ${canvasId}`);
+            logger.error(`WebGL not supported for ${canvasId}`);
             if (window.mobileDebug) {
                 window.mobileDebug.log(`❌ ${canvasId}: WebGL context creation failed`);
             }
@@ -195,7 +198,7 @@ export class QuantumHolographicVisualizer {
                              this.canvas.getContext('experimental-webgl');
         
         if (existingContext && !existingContext.isContextLost()) {
-            console.log(`🔄 Reusing existing WebGL context for ${this.canvas.id}`);
+            logger.info(`🔄 Reusing existing WebGL context for ${this.canvas.id}`);
             this.gl = existingContext;
             return;
         }
@@ -206,7 +209,7 @@ export class QuantumHolographicVisualizer {
                   this.canvas.getContext('experimental-webgl', this.contextOptions);
         
         if (!this.gl) {
-            console.error(`WebGL not supported for ${this.canvas.id}`);
+            logger.error(`WebGL not supported for ${this.canvas.id}`);
             if (window.mobileDebug) {
                 window.mobileDebug.log(`❌ Quantum ${this.canvas.id}: WebGL context creation failed (size: ${this.canvas.width}x${this.canvas.height})`);
             }
@@ -239,7 +242,7 @@ export class QuantumHolographicVisualizer {
      * Reinitialize WebGL context and resources after SmartCanvasPool context recreation
      */
     reinitializeContext() {
-        console.log(`🔄 Reinitializing WebGL context for ${this.canvas.id}`);
+        logger.info(`🔄 Reinitializing WebGL context for ${this.canvas.id}`);
         
         // CRITICAL FIX: Clear old WebGL references first
         this.program = null;
@@ -254,12 +257,12 @@ export class QuantumHolographicVisualizer {
                   this.canvas.getContext('experimental-webgl');
         
         if (!this.gl) {
-            console.error(`❌ No WebGL context available for ${this.canvas.id} - SmartCanvasPool should have created one`);
+            logger.error(`❌ No WebGL context available for ${this.canvas.id} - SmartCanvasPool should have created one`);
             return false;
         }
         
         if (this.gl.isContextLost()) {
-            console.error(`❌ WebGL context is lost for ${this.canvas.id}`);
+            logger.error(`❌ WebGL context is lost for ${this.canvas.id}`);
             return false;
         }
         
@@ -269,10 +272,10 @@ export class QuantumHolographicVisualizer {
             this.initBuffers();
             this.resize();
             
-            console.log(`✅ WebGL context reinitialized for ${this.canvas.id}`);
+            logger.info(`✅ WebGL context reinitialized for ${this.canvas.id}`);
             return true;
         } catch (error) {
-            console.error(`❌ Failed to reinitialize WebGL resources for ${this.canvas.id}:`, error);
+            logger.error(`❌ Failed to reinitialize WebGL resources for ${this.canvas.id}:`, error);
             return false;
         }
     }
@@ -1292,7 +1295,7 @@ void main() {
         
         if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
             const error = this.gl.getProgramInfoLog(program);
-            console.error('Program linking failed:', error);
+            logger.error('Program linking failed:', error);
             if (window.mobileDebug) {
                 window.mobileDebug.log(`❌ ${this.canvas?.id}: Shader program link failed - ${error}`);
             }
@@ -1312,7 +1315,7 @@ void main() {
     createShader(type, source) {
         // CRITICAL FIX: Check WebGL context state before shader operations
         if (!this.gl) {
-            console.error('❌ Cannot create shader: WebGL context is null');
+            logger.error('❌ Cannot create shader: WebGL context is null');
             if (window.mobileDebug) {
                 window.mobileDebug.log(`❌ ${this.canvas?.id}: Cannot create shader - WebGL context is null`);
             }
@@ -1320,7 +1323,7 @@ void main() {
         }
         
         if (this.gl.isContextLost()) {
-            console.error('❌ Cannot create shader: WebGL context is lost');
+            logger.error('❌ Cannot create shader: WebGL context is lost');
             if (window.mobileDebug) {
                 window.mobileDebug.log(`❌ ${this.canvas?.id}: Cannot create shader - WebGL context is lost`);
             }
@@ -1331,7 +1334,7 @@ void main() {
             const shader = this.gl.createShader(type);
             
             if (!shader) {
-                console.error('❌ Failed to create shader object - WebGL context may be invalid');
+                logger.error('❌ Failed to create shader object - WebGL context may be invalid');
                 if (window.mobileDebug) {
                     window.mobileDebug.log(`❌ ${this.canvas?.id}: Failed to create shader object`);
                 }
@@ -1347,12 +1350,12 @@ void main() {
                 
                 // CRITICAL FIX: Show actual error instead of null
                 if (error) {
-                    console.error(`❌ ${shaderType} shader compilation failed:`, error);
+                    logger.error(`❌ ${shaderType} shader compilation failed:`, error);
                 } else {
-                    console.error(`❌ ${shaderType} shader compilation failed: WebGL returned no error info (context may be invalid)`);
+                    logger.error(`❌ ${shaderType} shader compilation failed: WebGL returned no error info (context may be invalid)`);
                 }
                 
-                console.error('Shader source:', source);
+                logger.error('Shader source:', source);
                 
                 if (window.mobileDebug) {
                     const errorMsg = error || 'No error info (context may be invalid)';
@@ -1373,7 +1376,7 @@ void main() {
             
             return shader;
         } catch (error) {
-            console.error('❌ Exception during shader creation:', error);
+            logger.error('❌ Exception during shader creation:', error);
             if (window.mobileDebug) {
                 window.mobileDebug.log(`❌ ${this.canvas?.id}: Exception during shader creation - ${error.message}`);
             }
@@ -1459,6 +1462,13 @@ void main() {
     updateParameter(name, value) {
         this.params[name] = value;
     }
+
+    /**
+     * Read a single parameter
+     */
+    getParameter(name) {
+        return this.params[name];
+    }
     
     /**
      * Update mouse interaction state
@@ -1500,7 +1510,10 @@ void main() {
      */
     render() {
         if (!this.program) {
-            console.error(`❌ QUANTUM RENDER BLOCKED: No WebGL program! Canvas: ${this.canvas?.id}`);
+            if (!this._renderBlockedLogged) {
+                logger.error(`❌ QUANTUM RENDER BLOCKED: No WebGL program! Canvas: ${this.canvas?.id}`);
+                this._renderBlockedLogged = true;
+            }
             if (window.mobileDebug && !this._noProgramWarned) {
                 window.mobileDebug.log(`❌ ${this.canvas?.id}: No WebGL program for render`);
                 this._noProgramWarned = true;
@@ -1509,7 +1522,7 @@ void main() {
         }
 
         if (!this._renderStartLogged) {
-            console.log(`✅ QUANTUM RENDER STARTED: Canvas ${this.canvas?.id}, program exists, gl context: ${!!this.gl}`);
+            logger.info(`✅ QUANTUM RENDER STARTED: Canvas ${this.canvas?.id}, program exists, gl context: ${!!this.gl}`);
             this._renderStartLogged = true;
         }
         
@@ -1522,7 +1535,7 @@ void main() {
         
         // Mobile optimization: Log render parameters once per canvas (console only)
         if (!this._renderParamsLogged) {
-            console.log(`[Mobile] ${this.canvas?.id}: Render params - geometry=${this.params.geometry}, gridDensity=${this.params.gridDensity}, intensity=${this.params.intensity}`);
+            logger.debug(`[Mobile] ${this.canvas?.id}: Render params - geometry=${this.params.geometry}, gridDensity=${this.params.gridDensity}, intensity=${this.params.intensity}`);
             this._renderParamsLogged = true;
         }
         
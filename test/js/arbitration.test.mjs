@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine } from './helpers.mjs';
+
+function startBoth(engine, first, second) {
+    engine.mixer.setBase('hue', 100);
+    [first, second].forEach(sequence => engine.defineSequence({ trigger: 'manual', duration: 1000, ...sequence }));
+    engine.step(0);
+    engine.startSequence(first.name, 0);
+    engine.startSequence(second.name, 0);
+    engine.step(100);
+    return engine.mixer.lastOutput.hue;
+}
+
+test('params a sequence writes but does not own are still arbitrated', () => {
+    const hue = startBoth(createEngine(),
+        { name: 'a', owns: ['chaos'], stages: [{ start: 0, duration: 1000, hue: { jump: 200 }, chaos: { jump: 1 } }] },
+        { name: 'b', owns: ['intensity'], stages: [{ start: 0, duration: 1000, hue: { jump: 200 } }] }
+    );
+    // Both target 200 from a base of 100: one of them writes it, they do not add up to 300
+    assert.equal(hue, 200);
+});
+
+test('preempt gives the param to the higher priority sequence', () => {
+    const hue = startBoth(createEngine(),
+        { name: 'low', stages: [{ start: 0, duration: 1000, hue: { jump: 300 } }] },
+        { name: 'high', priority: 2, stages: [{ start: 0, duration: 1000, hue: { jump: 200 } }] }
+    );
+    assert.equal(hue, 200);
+});
+
+test('blend mode weights the claimants', () => {
+    const hue = startBoth(createEngine({ conflictMode: 'blend' }),
+        { name: 'a', weight: 3, stages: [{ start: 0, duration: 1000, hue: { jump: 200 } }] },
+        { name: 'b', stages: [{ start: 0, duration: 1000, hue: { jump: 300 } }] }
+    );
+    // 100 + 0.75 * 100 + 0.25 * 200
+    assert.equal(hue, 225);
+});
+
+test('owns outranks priority for the owned params only', () => {
+    const engine = createEngine();
+    engine.mixer.setBase('chaos', 0.2);
+    const hue = startBoth(engine,
+        { name: 'owner', owns: ['hue'], stages: [{ start: 0, duration: 1000, hue: { jump: 300 }, chaos: { jump: 0.4 } }] },
+        { name: 'loud', priority: 5, stages: [{ start: 0, duration: 1000, hue: { jump: 200 }, chaos: { jump: 0.9 } }] }
+    );
+    assert.equal(hue, 300);
+    assert.ok(Math.abs(engine.mixer.lastOutput.chaos - 0.9) < 1e-9);
+});
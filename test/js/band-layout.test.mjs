@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createBandLayout } from '../../src/audio/BandLayout.js';
+import { resolveAudioSource } from '../../src/audio/AudioRoutingMatrix.js';
+import { TriggerExpression } from '../../src/core/TriggerExpression.js';
+import { createEngine, createFrame } from './helpers.mjs';
+
+test('band layouts reject names of built-in sources', () => {
+    ['rms', 'energy', 'onset', 'kick', 'key', 'chord', 'time', 'bands', 'flux', 'spectralFlux', 'memory'].forEach(name => {
+        assert.throws(
+            () => createBandLayout([{ name: 'low', low: 20, high: 200 }, { name, low: 200, high: 2000 }]),
+            new RegExp(`Band name "${name}" is reserved`)
+        );
+    });
+    assert.deepEqual(createBandLayout([{ name: 'riser', low: 2000, high: 8000 }]).map(band => band.name), ['riser']);
+});
+
+test('custom bands read the same in routing and triggers', () => {
+    const engine = createEngine();
+    const frame = createFrame({ rms: 0.2, bands: { riser: 0.7 } });
+    const audioData = engine.step(0, frame);
+    const scope = engine.buildTriggerScope(audioData, 0);
+
+    assert.equal(resolveAudioSource(audioData, 'riser'), 0.7);
+    assert.equal(TriggerExpression.compile('riser').evaluate(scope), 0.7);
+    assert.equal(resolveAudioSource(audioData, 'rms'), TriggerExpression.compile('rms').evaluate(scope));
+});
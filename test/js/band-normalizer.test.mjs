@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BandNormalizer } from '../../src/audio/BandNormalizer.js';
+import { AudioAnalyzer } from '../../src/audio/AudioAnalyzer.js';
+import { OfflineAnalyserNode, analyzeOffline } from '../../src/audio/OfflineAnalyzer.js';
+
+const SAMPLE_RATE = 22050;
+
+/**
+ * 60Hz bass pulse every 500ms from `from` seconds over faint white noise, times `gain`
+ */
+function bassLoop(gain, { seconds = 12, from = 0 } = {}) {
+    const samples = new Float32Array(SAMPLE_RATE * seconds);
+    let seed = 3;
+    const noise = () => ((seed = (seed * 16807) % 2147483647) / 2147483647) * 2 - 1;
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / SAMPLE_RATE;
+        const bass = t >= from ? 0.6 * Math.sin(2 * Math.PI * 60 * t) * Math.exp(-(t % 0.5) * 8) : 0;
+        samples[i] = gain * (bass + 0.01 * noise());
+    }
+    return samples;
+}
+
+const peak = (frames, read) => Math.max(...frames.map(read));
+
+test('quiet and loud renderings of the same material reach comparable normalized peaks', () => {
+    const settled = (gain) => [...analyzeOffline(bassLoop(gain), { sampleRate: SAMPLE_RATE }).frames()]
+        .filter(frame => frame.time > 8000);
+    const loud = settled(1);
+    const quiet = settled(0.1);
+
+    // 20dB apart raw, within 0.1 of each other normalized
+    assert.ok(peak(quiet, frame => frame.bands.bass) < 0.5 * peak(loud, frame => frame.bands.bass));
+    const loudPeak = peak(loud, frame => frame.normalizedBands.bass);
+    const quietPeak = peak(quiet, frame => frame.normalizedBands.bass);
+    assert.ok(quietPeak > 0.9, `quiet peak ${quietPeak}`);
+    assert.ok(Math.abs(loudPeak - quietPeak) < 0.1, `loud ${loudPeak}, quiet ${quietPeak}`);
+});
+
+test('the ceiling attacks quickly and releases slowly', () => {
+    const normalizer = new BandNormalizer({ window: 1000 });
+    const level = (time) => (time >= 2000 && time < 3000 ? 0.6 : 0.2);
+    const levels = {};
+    const output = {};
+    for (let time = 0; time <= 6000; time += 10) {
+        output[time] = normalizer.process({ bass: level(time) }, time).bass;
+        levels[time] = normalizer.getLevels().bass;
+    }
+
+    // 100ms attack: most of the way to 0.6 within 300ms
+    assert.ok(levels[2300].ceiling > 0.55, `ceiling ${levels[2300].ceiling}`);
+
+    // 4s release: a second after the loud part left the 1s window the ceiling is still high,
+    // so the quiet part reads low instead of jumping back to full scale
+    assert.ok(levels[5000].ceiling > 0.5, `ceiling ${levels[5000].ceiling}`);
+    assert.ok(levels[6000].ceiling < levels[5000].ceiling);
+    assert.ok(output[3500] < 0.25, `output ${output[3500]}`);
+});
+
+test('minRange keeps near-silence from being amplified to full scale', () => {
+    const normalizer = new BandNormalizer();
+    let maximum = 0;
+    for (let time = 0; time <= 5000; time += 10) {
+        const jitter = time % 20 === 0 ? 0.001 : 0;
+        maximum = Math.max(maximum, normalizer.process({ bass: jitter }, time).bass);
+    }
+    assert.ok(maximum < 0.05, `maximum ${maximum}`);
+});
+
+test('calibrated noise stays at 0 while the music still reaches full scale', async () => {
+    // Room noise alone for 6s, then bass pulses on top
+    const samples = bassLoop(1, { from: 6 });
+    const node = new OfflineAnalyserNode(samples, SAMPLE_RATE);
+    let time = 0;
+    const analyzer = new AudioAnalyzer(node, { timeProvider: () => time });
+    const calibration = analyzer.calibrateNoiseFloor(2000);
+
+    const frames = [];
+    for (let position = 512; position <= samples.length; position += 512) {
+        time = position / SAMPLE_RATE * 1000;
+        node.seek(position);
+        frames.push({ time, ...analyzer.analyze() });
+    }
+
+    const noiseFloor = await calibration;
+    assert.ok(noiseFloor.bass > 0, `bass floor ${noiseFloor.bass}`);
+    assert.deepEqual(analyzer.normalizer.getNoiseFloor(), noiseFloor);
+    assert.equal(analyzer.normalizer.isCalibrating(), false);
+
+    const noise = frames.filter(frame => frame.time > 2500 && frame.time < 5900);
+    Object.keys(noise[0].normalizedBands).forEach(name => {
+        assert.equal(peak(noise, frame => frame.normalizedBands[name]), 0, name);
+    });
+
+    const music = frames.filter(frame => frame.time > 9000);
+    assert.equal(peak(music, frame => frame.normalizedBands.bass), 1);
+    assert.equal(peak(music, frame => frame.normalizedBands.high), 0);
+});
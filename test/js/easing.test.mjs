@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EASINGS, EASING_NAMES, cubicBezier, steps, subdivide, pulse, parseEasing } from '../../src/core/Easing.js';
+import { createEngine } from './helpers.mjs';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message ?? ''} ${actual} ≠ ${expected}`);
+
+// Back and Elastic overshoot by design, Bounce rebounds
+const OVERSHOOTING = /Back|Elastic|Bounce/;
+
+test('named easings start at 0 and end at 1', () => {
+    EASING_NAMES.forEach(name => {
+        close(EASINGS[name](0), 0, name);
+        close(EASINGS[name](1), 1, name);
+    });
+});
+
+test('non-overshooting easings are monotonic and stay within 0-1', () => {
+    EASING_NAMES.filter(name => !OVERSHOOTING.test(name)).forEach(name => {
+        let previous = 0;
+        for (let i = 1; i <= 200; i++) {
+            const value = EASINGS[name](i / 200);
+            assert.ok(value >= previous - 1e-9, `${name} falls at t=${i / 200}`);
+            assert.ok(value <= 1 + 1e-9, `${name} exceeds 1 at t=${i / 200}`);
+            previous = value;
+        }
+    });
+});
+
+test('cubicBezier matches the CSS curves', () => {
+    const ease = cubicBezier(0.25, 0.1, 0.25, 1);
+    close(ease(0), 0);
+    close(ease(1), 1);
+    assert.ok(Math.abs(ease(0.5) - 0.8024) < 1e-3);
+
+    const linear = cubicBezier(0, 0, 1, 1);
+    [0.1, 0.37, 0.5, 0.9].forEach(t => assert.ok(Math.abs(linear(t) - t) < 1e-4));
+
+    // y may overshoot, x may not
+    assert.ok(cubicBezier(0.3, -0.5, 0.7, 1.5)(0.1) < 0);
+    assert.throws(() => cubicBezier(1.2, 0, 0.5, 1), /x values must be between 0 and 1/);
+    assert.throws(() => cubicBezier(0, 0, NaN, 1), /expects four numbers/);
+});
+
+test('steps() jumps at the end or start of each step', () => {
+    const end = steps(4);
+    assert.deepEqual([0, 0.24, 0.25, 0.6, 0.99, 1].map(end), [0, 0, 0.25, 0.5, 0.75, 1]);
+
+    const start = steps(4, 'start');
+    assert.deepEqual([0, 0.24, 0.25, 0.6, 0.99, 1].map(start), [0.25, 0.25, 0.5, 0.75, 1, 1]);
+
+    assert.throws(() => steps(0), /positive step count/);
+    assert.throws(() => steps(2, 'middle'), /"start" or "end"/);
+});
+
+test('subdivide() lands on every subdivision of the eased span', () => {
+    const eighths = subdivide(0.5);
+    const context = { beats: 2 };
+
+    // Two beats of eighths: four steps, each eased with easeOutCubic
+    [0.25, 0.5, 0.75].forEach(t => close(eighths(t, context), t));
+    close(eighths(0.125, context), EASINGS.easeOutCubic(0.5) / 4);
+    close(eighths(1, context), 1);
+
+    // Without a beat count the span is one beat
+    close(eighths(0.5, {}), 0.5);
+
+    const linearSteps = subdivide(1, EASINGS.linear);
+    [0.1, 0.3, 0.8].forEach(t => close(linearSteps(t, { beats: 4 }), t));
+});
+
+test('pulse() re-attacks on every subdivision and decays', () => {
+    const quarters = pulse(1);
+    const context = { beats: 4 };
+
+    [0, 0.25, 0.5, 0.75].forEach(t => close(quarters(t, context), 1));
+    close(quarters(0.125, context), 1 - EASINGS.easeOutQuad(0.5));
+    assert.ok(quarters(0.2499, context) < 0.01);
+});
+
+test('parseEasing resolves names, parametric specs and nesting', () => {
+    assert.equal(parseEasing('easeOutBack'), EASINGS.easeOutBack);
+    assert.equal(parseEasing(undefined), EASINGS.linear);
+    const custom = t => t;
+    assert.equal(parseEasing(custom), custom);
+
+    // Parsed specs are cached
+    assert.equal(parseEasing('steps(3)'), parseEasing(' steps(3) '));
+
+    close(parseEasing('cubic-bezier(0.25, 0.1, 0.25, 1)')(1), 1);
+    close(parseEasing('steps(2, start)')(0.1), 0.5);
+
+    // Note values, triplets, dotted notes and bare beat counts
+    const context = { beats: 4 };
+    close(parseEasing('subdivide(1/8t)')(0.1, context), (1 + EASINGS.easeOutCubic(0.2)) / 12);
+    close(parseEasing('subdivide(1/4., linear)')(0.1, context), 0.1);
+    close(parseEasing('subdivide(2)')(0.1, context), parseEasing('subdivide(2b)')(0.1, context));
+    close(parseEasing('subdivide(1/4, steps(2))')(0.4, context), 1 / 4 + 1 / 8);
+    close(parseEasing('pulse(1/16)')(0.25, context), 1);
+});
+
+test('parseEasing rejects unknown names and malformed arguments', () => {
+    const cases = [
+        ['easeInOutQuadd', /Unknown easing "easeInOutQuadd"/],
+        ['wobble(2)', /Unknown easing "wobble\(2\)"/],
+        ['cubic-bezier(0, 0, 1)', /expects four numbers/],
+        ['cubic-bezier(2, 0, 0, 1)', /x values must be between 0 and 1/],
+        ['steps(0)', /positive step count/],
+        ['subdivide(500ms)', /Invalid subdivision "500ms"/],
+        ['subdivide(0)', /positive subdivision/],
+        ['pulse()', /expects \(subdivision\)/],
+        ['subdivide(1/8, easeNowhere)', /Unknown easing "easeNowhere"/]
+    ];
+    cases.forEach(([spec, message]) => assert.throws(() => parseEasing(spec), message, spec));
+    assert.throws(() => parseEasing(42), /must be a name or function/);
+});
+
+test('engine falls back to linear for unknown easings', () => {
+    const engine = createEngine();
+    assert.equal(engine.getEasingFunction('easeInOutQuadd'), EASINGS.linear);
+    assert.equal(engine.getEasingFunction('steps(0)'), EASINGS.linear);
+    assert.equal(engine.getEasingFunction('easeInQuad'), EASINGS.easeInQuad);
+});
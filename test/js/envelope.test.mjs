@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine, createFrame, run, valueAt } from './helpers.mjs';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≈ ${expected}`);
+
+test('onset envelopes run attack, decay, sustain and release on top of base', () => {
+    const engine = createEngine();
+    engine.mixer.setBase('intensity', 0.5);
+    engine.addEnvelope('flash', {
+        param: 'intensity',
+        on: 'onset',
+        amount: 1,
+        attack: 100,
+        decay: 100,
+        sustain: 0.5,
+        hold: 100,
+        release: 200
+    });
+
+    const samples = run(engine, {
+        to: 900,
+        interval: 50,
+        frameAt: (time) => createFrame({ onset: time === 100 ? 0.8 : 0 })
+    });
+
+    // Onset at 100ms with strength 0.8 scales the amount
+    close(valueAt(samples, 'intensity', 150), 0.5 + 0.8 * 0.5);  // attack half way
+    close(valueAt(samples, 'intensity', 200), 0.5 + 0.8);        // peak
+    close(valueAt(samples, 'intensity', 250), 0.5 + 0.8 * 0.75); // decaying toward sustain
+    close(valueAt(samples, 'intensity', 350), 0.5 + 0.8 * 0.5);  // holding sustain
+    close(valueAt(samples, 'intensity', 500), 0.5 + 0.8 * 0.25); // release half way
+    close(valueAt(samples, 'intensity', 700), 0.5);
+});
+
+test('envelope stages shorten the release to fit the stage', () => {
+    const engine = createEngine({ bpm: 120 });
+    engine.mixer.setBase('chaos', 0);
+    engine.defineSequence({
+        name: 'swell',
+        trigger: 'manual',
+        duration: '1b',
+        stages: [{
+            start: 0,
+            duration: '1b',
+            chaos: { envelope: { amount: 1, attack: '1/16', decay: 0, sustain: 1, release: '1b' } }
+        }]
+    });
+
+    engine.step(0);
+    engine.startSequence('swell', 0);
+    const samples = run(engine, { to: 500, interval: 25 });
+
+    // 1/16 = 125ms attack at 120 BPM; the release gets the remaining 375ms of the 500ms stage
+    close(valueAt(samples, 'chaos', 125), 1);
+    close(valueAt(samples, 'chaos', 125 + 375 / 3), 2 / 3);
+    close(valueAt(samples, 'chaos', 475), 1 / 15);
+});
@@ -0,0 +1,147 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FeatureTrackPlayer } from '../../src/audio/FeatureTrackPlayer.js';
+import { FeatureTrackRecorder } from '../../src/audio/FeatureTrackRecorder.js';
+import { createFrame } from './helpers.mjs';
+
+/**
+ * Record `seconds` of 10ms frames starting at engine time 1000: bass ramps 0 → 1,
+ * 120 BPM, kicks (0.8) at the given track times
+ */
+function recordTrack({ seconds = 4, kicks = [], recorder = new FeatureTrackRecorder() } = {}) {
+    recorder.start(1000);
+    const duration = seconds * 1000;
+    for (let time = 0; time <= duration; time += 10) {
+        const frame = createFrame({
+            bands: { bass: time / duration },
+            kick: kicks.includes(time) ? 0.8 : 0,
+            bpm: 120,
+            bpmConfidence: 0.9
+        });
+        recorder.record(frame, 1000 + time);
+    }
+    return recorder;
+}
+
+/**
+ * Player on a scripted clock; `clock.now` moves it
+ */
+function createPlayer(track, options = {}) {
+    const clock = { now: 0 };
+    const player = new FeatureTrackPlayer(track, { timeProvider: () => clock.now, autoplay: true, ...options });
+    return { clock, player };
+}
+
+test('the recorder stores times relative to the start and stops on request', () => {
+    const recorder = recordTrack({ seconds: 1 });
+    assert.equal(recorder.isRecording(), true);
+
+    const snapshot = recorder.getTrack();
+    assert.equal(snapshot.length, 101);
+    assert.equal(snapshot.value(0, 'time'), 0);
+    assert.equal(snapshot.duration, 1000);
+    assert.equal(snapshot.meta.source, 'live');
+
+    const track = recorder.stop();
+    recorder.record(createFrame(), 2500);
+    assert.equal(recorder.isRecording(), false);
+    assert.equal(track.length, 101);
+    assert.equal(recorder.getTrack().length, 101);
+});
+
+test('a rolling recorder keeps only the last maxDuration (trimmed in chunks)', () => {
+    const recorder = recordTrack({ seconds: 10, recorder: new FeatureTrackRecorder({ maxDuration: 2000 }) });
+    const track = recorder.getTrack();
+
+    assert.equal(track.duration, 10000);
+    assert.ok(track.value(0, 'time') >= 7000, `oldest row ${track.value(0, 'time')}`);
+    assert.ok(recorder.getDuration() >= 2000 && recorder.getDuration() <= 3000, `kept ${recorder.getDuration()}ms`);
+});
+
+test('playback follows the injected clock; seek, pause and rate move the position', () => {
+    const { clock, player } = createPlayer(recordTrack().stop());
+
+    clock.now = 500;
+    let frame = player.analyze();
+    assert.equal(frame.time, 500);
+    assert.equal(frame.trackTime, 500);
+    assert.ok(Math.abs(frame.bands.bass - 0.125) < 1e-6);
+
+    player.seek(2000);
+    clock.now = 600;
+    assert.equal(player.analyze().trackTime, 2100);
+
+    player.pause();
+    clock.now = 900;
+    assert.equal(player.analyze().trackTime, 2100);
+    player.play();
+
+    // Double rate: 200ms of clock covers 400ms of track, and the tempo doubles with it
+    player.setRate(2);
+    clock.now = 1100;
+    frame = player.analyze();
+    assert.equal(frame.trackTime, 2500);
+    assert.equal(frame.bpm, 240);
+    assert.equal(frame.tempo.bpm, 240);
+
+    assert.throws(() => player.seek(NaN), /expects a time in ms/);
+    assert.throws(() => player.setRate(0), /positive number/);
+});
+
+test('loop regions wrap playback and never end', () => {
+    const { clock, player } = createPlayer(recordTrack().stop());
+
+    // Outside the region: jump to its start
+    player.setLoop(1000, 2000);
+    assert.equal(player.getPosition(), 1000);
+
+    clock.now = 1500;
+    assert.equal(player.analyze().trackTime, 1500);
+    clock.now = 2500;
+    assert.equal(player.analyze().trackTime, 1500);
+    clock.now = 10000;
+    assert.equal(player.isPlaying(), true);
+
+    // Without the loop playback runs past the end into silence
+    player.clearLoop();
+    clock.now = 15000;
+    const frame = player.analyze();
+    assert.equal(player.isPlaying(), false);
+    assert.equal(frame.bands.bass, 0);
+    assert.equal(frame.onsets.kick.detected, false);
+
+    // play() after the end starts over
+    player.play();
+    clock.now = 15100;
+    assert.equal(player.analyze().trackTime, 100);
+
+    assert.throws(() => player.setLoop(2000, 1000), /start < end/);
+});
+
+test('onsets in rows skipped between analyze() calls are merged into the next frame', () => {
+    const { clock, player } = createPlayer(recordTrack({ kicks: [1000, 1020, 3000] }).stop());
+
+    clock.now = 990;
+    assert.equal(player.analyze().onsets.kick.detected, false);
+
+    // 1000 and 1020 both fall between the calls
+    clock.now = 1050;
+    const merged = player.analyze();
+    assert.equal(merged.onsets.kick.detected, true);
+    assert.ok(Math.abs(merged.onsets.kick.strength - 0.8) < 1e-6);
+    assert.equal(merged.onsets.kick.time, 1050);
+
+    // The same row twice, or the next row, brings no new onset
+    assert.equal(player.analyze().onsets.kick.detected, false);
+    clock.now = 1060;
+    assert.equal(player.analyze().onsets.kick.detected, false);
+
+    // A fast rate skips many rows at once and still reports the kick
+    player.setRate(8);
+    clock.now = 1060 + 250;
+    assert.equal(player.analyze().onsets.kick.detected, true);
+
+    // Seeking back starts fresh: only the row at the new position counts
+    player.seek(900);
+    assert.equal(player.analyze().onsets.kick.detected, false);
+});
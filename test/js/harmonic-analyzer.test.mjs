@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeOffline } from '../../src/audio/OfflineAnalyzer.js';
+import { createEngine } from './helpers.mjs';
+
+const SAMPLE_RATE = 22050;
+
+// MIDI notes: triad plus the root an octave down
+const TRIADS = { C: [60, 64, 67, 48], Am: [57, 60, 64, 45], F: [53, 57, 60, 41], G: [55, 59, 62, 43] };
+
+/**
+ * Sine triads, 2s each (the last one 4s), followed by 2s of silence
+ */
+function progression(chords) {
+    const lengths = chords.map((_, i) => (i === chords.length - 1 ? 4 : 2));
+    const total = lengths.reduce((sum, seconds) => sum + seconds, 0) + 2;
+    const samples = new Float32Array(SAMPLE_RATE * total);
+    let offset = 0;
+    chords.forEach((name, i) => {
+        const frequencies = TRIADS[name].map(note => 440 * 2 ** ((note - 69) / 12));
+        for (let n = 0; n < lengths[i] * SAMPLE_RATE; n++) {
+            const t = n / SAMPLE_RATE;
+            const value = frequencies.reduce((sum, frequency) => sum + 0.15 * Math.sin(2 * Math.PI * frequency * t), 0);
+            samples[offset + n] = value * Math.min(1, t * 50);
+        }
+        offset += lengths[i] * SAMPLE_RATE;
+    });
+    return { samples, end: offset / SAMPLE_RATE * 1000 };
+}
+
+const CHORDS = ['C', 'Am', 'F', 'G', 'C', 'Am', 'F', 'G', 'C'];
+
+test('sine triads are named, and each change reports from / to', () => {
+    const { samples } = progression(CHORDS);
+    const frames = [...analyzeOffline(samples, { sampleRate: SAMPLE_RATE }).frames()];
+    const at = (time) => frames.find(frame => frame.time >= time);
+
+    // Middle of each 2s chord
+    CHORDS.forEach((name, i) => assert.equal(at(i * 2000 + 1000).chord?.name, name, `chord ${i}`));
+
+    const changes = frames.filter(frame => frame.chordChange.detected).map(frame => frame.chordChange);
+    assert.deepEqual(changes.map(change => `${change.from}→${change.to}`), CHORDS.slice(1).map((name, i) => `${CHORDS[i]}→${name}`));
+
+    // Triads sharing two notes (C→Am, Am→F) change less than unrelated ones (F→G)
+    assert.ok(changes[0].strength < changes[2].strength);
+    assert.equal(changes[2].strength, 1);
+});
+
+test('the key stays at C major or its relative minor and settles on C major after the cadence', () => {
+    const { samples, end } = progression(CHORDS);
+    const frames = [...analyzeOffline(samples, { sampleRate: SAMPLE_RATE }).frames()];
+
+    const keyed = frames.filter(frame => frame.key);
+    assert.ok(keyed[0].time < 3000, `first key at ${keyed[0].time}`);
+    keyed.forEach(frame => assert.equal(frame.key.position, 0, `${frame.key.name} at ${frame.time}`));
+    assert.equal(frames.find(frame => frame.time >= end - 100).key.name, 'C major');
+});
+
+test('silence clears the chord, keeps the key, and the engine memory follows', () => {
+    const { samples, end } = progression(['C', 'F', 'G', 'C']);
+    const track = analyzeOffline(samples, { sampleRate: SAMPLE_RATE });
+    const engine = createEngine();
+
+    const chords = [];
+    for (const frame of track.frames()) {
+        engine.step(frame.time, frame);
+        chords.push([frame.time, frame.chord?.name ?? null, engine.memory.chord, engine.memory.key]);
+    }
+
+    const playing = chords.find(([time]) => time >= end - 500);
+    assert.deepEqual(playing.slice(1), ['C', 'C', 'C major']);
+
+    const silent = chords[chords.length - 1];
+    assert.deepEqual(silent.slice(1), [null, null, 'C major']);
+});
@@ -0,0 +1,78 @@
+/**
+ * Headless test helpers: an engine on a scripted clock and synthetic analyzer frames
+ *
+ * Run the JS specs with: node --test test/js/*.test.mjs
+ *
+ * A Paul Phillips Manifestation
+ */
+
+import { ChoreographyEngine } from '../../src/core/ChoreographyEngine.js';
+import { setLogLevel } from '../../src/core/Logger.js';
+
+setLogLevel('silent');
+
+/**
+ * Engine without visualizers, animation loop or section detection; the clock
+ * only moves through step(t, frame)
+ */
+export function createEngine(config = {}) {
+    let now = 0;
+    const engine = new ChoreographyEngine({
+        visualizers: [],
+        timeProvider: () => now,
+        scheduleFrame: () => {},
+        sectionDetection: false,
+        ...config
+    });
+
+    const step = engine.step.bind(engine);
+    engine.step = (time, audioFrame) => {
+        now = time;
+        return step(time, audioFrame ?? createFrame());
+    };
+    return engine;
+}
+
+/**
+ * Analyzer-shaped frame; every field defaults to silence
+ * overrides: { bands, rms, onset (strength, fires when > 0), kick, snare, hat, bpm, ... }
+ */
+export function createFrame(overrides = {}) {
+    const { bands = {}, onset = 0, kick = 0, snare = 0, hat = 0, ...rest } = overrides;
+    const event = (strength, name) => ({ detected: strength > 0, strength, time: 0, class: name });
+
+    return {
+        bands: {
+            subBass: 0, bass: 0, lowMid: 0, mid: 0, highMid: 0, high: 0, air: 0, ultraHigh: 0,
+            ...bands
+        },
+        rms: 0,
+        onset,
+        onsetEvent: { detected: onset > 0, strength: onset, time: 0 },
+        onsets: { kick: event(kick, 'kick'), snare: event(snare, 'snare'), hat: event(hat, 'hat') },
+        ...rest
+    };
+}
+
+/**
+ * Step the engine from `from` to `to` (inclusive) every `interval` ms;
+ * frameAt(t) supplies the audio. Returns [{ time, output }] of mixed values.
+ */
+export function run(engine, { from = 0, to, interval = 10, frameAt = () => createFrame() }) {
+    const samples = [];
+    for (let time = from; time <= to; time += interval) {
+        engine.step(time, frameAt(time));
+        samples.push({ time, output: { ...engine.mixer.lastOutput } });
+    }
+    return samples;
+}
+
+/**
+ * Mixed value of a parameter at the sample nearest `time`
+ */
+export function valueAt(samples, param, time) {
+    const sample = samples.reduce((best, entry) =>
+        Math.abs(entry.time - time) < Math.abs(best.time - time) ? entry : best
+    );
+    return sample.output[param];
+}
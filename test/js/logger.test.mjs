@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, setLogLevel, configureLogBuffer, dumpLogs, clearLogs } from '../../src/core/Logger.js';
+
+setLogLevel('silent');
+
+test('the log buffer keeps info and up unless debug is asked for', (t) => {
+    t.after(() => {
+        configureLogBuffer({ level: 'info' });
+        clearLogs();
+    });
+    const logger = createLogger('spec');
+    let built = 0;
+    const message = () => `frame ${++built}`;
+
+    logger.debug(message, { frame: 1 });
+    logger.info('started', { bpm: 120 });
+    assert.equal(built, 0);
+    assert.deepEqual(dumpLogs().map(record => record.message), ['started']);
+
+    configureLogBuffer({ level: 'debug' });
+    const state = { frame: 2 };
+    logger.debug(message, state);
+    state.frame = 3;
+    assert.equal(built, 1);
+    assert.deepEqual(dumpLogs({ level: 'debug' }).map(record => record.args), [[{ bpm: 120 }], [{ frame: 2 }]]);
+});
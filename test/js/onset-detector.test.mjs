@@ -0,0 +1,158 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { OnsetDetector, ONSET_CLASS_NAMES } from '../../src/audio/OnsetDetector.js';
+import { analyzeOffline } from '../../src/audio/OfflineAnalyzer.js';
+
+const BANDS = ['subBass', 'bass', 'lowMid', 'mid', 'highMid', 'high', 'air', 'ultraHigh'];
+
+/** Per-band flux of one hit of each class */
+const HITS = {
+    kick: { subBass: 0.3, bass: 0.3, lowMid: 0.05 },
+    snare: { bass: 0.15, lowMid: 0.2, mid: 0.2, highMid: 0.15, high: 0.12, air: 0.1 },
+    hat: { lowMid: 0.01, mid: 0.03, highMid: 0.08, high: 0.2, air: 0.2 }
+};
+
+/**
+ * Per-band flux at `time` for the hits starting exactly then, over a faint seeded bed, times `gain`
+ */
+function bandFluxAt(time, hits, gain, random) {
+    const flux = {};
+    BANDS.forEach(band => { flux[band] = 0.002 * random(); });
+    hits.filter(([start]) => start === time).forEach(([, name]) => {
+        Object.entries(HITS[name]).forEach(([band, value]) => { flux[band] += value; });
+    });
+    BANDS.forEach(band => { flux[band] *= gain; });
+    return flux;
+}
+
+/**
+ * Run a detector over [time, class] hits every 10ms; returns the detected times per class
+ */
+function detect(hits, { gain = 1, duration = 4000, detector = new OnsetDetector() } = {}) {
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const detected = Object.fromEntries(ONSET_CLASS_NAMES.map(name => [name, []]));
+    for (let time = 0; time <= duration; time += 10) {
+        const events = detector.process(bandFluxAt(time, hits, gain, random), time);
+        ONSET_CLASS_NAMES.forEach(name => {
+            if (events[name].detected) detected[name].push(time);
+        });
+    }
+    return detected;
+}
+
+/** 120 BPM from 500ms: kick on every beat, snare on 2/4, hats on the off-beats */
+function groove() {
+    const hits = [];
+    for (let beat = 1; beat < 8; beat++) {
+        hits.push([beat * 500, 'kick']);
+        if (beat % 2 === 0) hits.push([beat * 500, 'snare']);
+        hits.push([beat * 500 + 250, 'hat']);
+    }
+    return hits;
+}
+
+test('kick, snare and hat hits get their own labels', () => {
+    const detected = detect(groove());
+    assert.deepEqual(detected.kick, [500, 1000, 1500, 2000, 2500, 3000, 3500]);
+    assert.deepEqual(detected.snare, [1000, 2000, 3000]);
+
+    // Every off-beat hat fires; the snare's sizzle may fire the hat class too, never the reverse
+    const offBeats = detected.hat.filter(time => time % 500 === 250);
+    assert.deepEqual(offBeats, [750, 1250, 1750, 2250, 2750, 3250, 3750]);
+    assert.ok(detected.hat.every(time => time % 500 === 250 || detected.snare.includes(time)));
+});
+
+test('labels survive a quiet mix', () => {
+    for (const gain of [0.3, 0.05]) {
+        assert.deepEqual(detect(groove(), { gain }), detect(groove()), `gain ${gain}`);
+    }
+});
+
+test('each class has its own refractory window', () => {
+    // Kicks 60ms apart fall inside the 120ms window, 150ms apart do not
+    const kicks = detect([[1000, 'kick'], [1060, 'kick'], [2000, 'kick'], [2150, 'kick']]);
+    assert.deepEqual(kicks.kick, [1000, 2000, 2150]);
+
+    // Hats 60ms apart clear the 50ms hat window
+    const hats = detect([[1000, 'hat'], [1060, 'hat']]);
+    assert.deepEqual(hats.hat, [1000, 1060]);
+
+    const custom = detect([[1000, 'hat'], [1060, 'hat']], {
+        detector: new OnsetDetector({ classes: { hat: { refractory: 100 } } })
+    });
+    assert.deepEqual(custom.hat, [1000]);
+});
+
+test('the threshold is median + k·MAD of the past second, floored by the recent peak', () => {
+    // Kick detection function alternating 0.01 / 0.03: median 0.02, MAD 0.01, threshold 0.05
+    const primed = () => {
+        const detector = new OnsetDetector({ classes: { kick: { relativeFloor: 0 } } });
+        for (let time = 0; time < 1000; time += 10) {
+            const level = time % 20 === 0 ? 0.01 : 0.03;
+            detector.process({ subBass: level, bass: level }, time);
+        }
+        return detector;
+    };
+    // Probe past the kick refractory window of anything the priming itself fired
+    const below = primed().process({ subBass: 0.049, bass: 0.049 }, 1200).kick;
+    assert.ok(Math.abs(below.threshold - 0.05) < 1e-9, `threshold ${below.threshold}`);
+    assert.equal(below.detected, false);
+    const above = primed().process({ subBass: 0.051, bass: 0.051 }, 1200).kick;
+    assert.equal(above.detected, true);
+    assert.ok(Math.abs(above.strength - 0.51) < 1e-9);
+
+    // A loud hit lifts the floor to relativeFloor × its peak for the following seconds
+    const floored = new OnsetDetector();
+    for (let time = 0; time < 100; time += 10) floored.process({ subBass: 0, bass: 0 }, time);
+    assert.equal(floored.process({ subBass: 0.5, bass: 0.5 }, 100).kick.detected, true);
+    const echo = floored.process({ subBass: 0.1, bass: 0.1 }, 500).kick;
+    assert.equal(echo.detected, false);
+    assert.ok(echo.threshold > 0.14, `threshold ${echo.threshold}`);
+});
+
+/**
+ * Kick on every beat, noise snare on 2/4 and high-passed noise hats on the off-beats
+ */
+function drumLoop(sampleRate, gain) {
+    const samples = new Float32Array(sampleRate * 4);
+    let seed = 1;
+    const noise = () => ((seed = (seed * 16807) % 2147483647) / 2147483647) * 2 - 1;
+    const add = (start, length, voice) => {
+        const offset = Math.round(start * sampleRate);
+        for (let i = 0; i < length * sampleRate && offset + i < samples.length; i++) {
+            samples[offset + i] += gain * voice(i / sampleRate);
+        }
+    };
+
+    for (let beat = 0; beat < 8; beat++) {
+        add(beat * 0.5, 0.25, t => 0.8 * Math.sin(2 * Math.PI * (50 * t + 2 * (1 - Math.exp(-t * 30)))) * Math.exp(-t * 12));
+        if (beat % 2 === 1) {
+            add(beat * 0.5, 0.2, t => (0.5 * noise() + 0.3 * Math.sin(2 * Math.PI * 190 * t)) * Math.exp(-t * 18));
+        }
+        let previous = 0;
+        add(beat * 0.5 + 0.25, 0.05, t => {
+            const value = noise();
+            const highPassed = value - previous;
+            previous = value;
+            return 0.5 * highPassed * Math.exp(-t * 80);
+        });
+    }
+    return samples;
+}
+
+test('offline analysis labels off-beat hats as hats at full and low gain', () => {
+    const sampleRate = 22050;
+    for (const gain of [1, 0.05]) {
+        const frames = [...analyzeOffline(drumLoop(sampleRate, gain), { sampleRate }).frames()];
+        const times = (name) => frames.filter(frame => frame.onsets[name].detected).map(frame => frame.time);
+
+        // Frame times trail the hit by up to one analysis window (~93ms)
+        const offBeat = (time) => time % 500 >= 250 && time % 500 < 400;
+        const snares = times('snare');
+        assert.ok(snares.length >= 3, `gain ${gain}: ${snares.length} snares`);
+        assert.ok(snares.every(time => !offBeat(time) && Math.floor(time / 500) % 2 === 1), `gain ${gain}: snares at ${snares}`);
+        assert.ok(times('hat').filter(offBeat).length >= 3, `gain ${gain}: hats at ${times('hat')}`);
+        assert.ok(times('kick').length >= 7, `gain ${gain}: ${times('kick').length} kicks`);
+    }
+});
@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine } from './helpers.mjs';
+
+const libraries = {
+    'a.json': { sequences: [], routing: [{ param: 'hue', source: 'bass', amount: 10 }] },
+    'b.json': { sequences: [], routing: [{ id: 'glow', param: 'intensity', source: 'rms', amount: 0.5 }] }
+};
+
+test('each sequence library keeps its own routes', async (t) => {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (path) => ({ json: async () => structuredClone(libraries[path]) });
+    t.after(() => { globalThis.fetch = originalFetch; });
+
+    const engine = createEngine();
+    const manual = engine.routing.addRoute({ param: 'chaos', source: 'kick' });
+
+    await engine.loadSequenceLibrary('a.json');
+    await engine.loadSequenceLibrary('b.json');
+    await engine.loadSequenceLibrary('a.json');
+
+    const ids = engine.routing.getRoutes().map(route => route.id).sort();
+    assert.deepEqual(ids, ['a.json:route_1', 'b.json:glow', manual].sort());
+});
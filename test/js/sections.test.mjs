@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine, createFrame } from './helpers.mjs';
+
+const BAR_MS = 2000; // 120 BPM, 4/4
+const mix = (from, to, progress) => from + (to - from) * progress;
+
+/**
+ * Intro 0-15, buildup 16-23, drop 24-55, breakdown 56-59, buildup 60-63, drop 64-71, outro 72-87.
+ * lowInBuildup: the low end of the buildups at their peak (filtered out, or already coming back)
+ */
+function songFrame(time, lowInBuildup) {
+    const bars = time / BAR_MS;
+    const bar = Math.floor(bars);
+    let rms, low, mid, high, kick = 0;
+
+    if (bar < 16) {
+        [rms, low, mid, high] = [0.06, 0.15, 0.2, 0.1];
+    } else if (bar < 24 || (bar >= 60 && bar < 64)) {
+        const progress = bar < 24 ? (bars - 16) / 8 : (bars - 60) / 4;
+        [rms, low, mid, high] = [mix(0.06, 0.22, progress), mix(0.15, lowInBuildup, progress), mix(0.2, 0.5, progress), mix(0.1, 0.6, progress)];
+    } else if (bar < 56 || (bar >= 64 && bar < 72)) {
+        [rms, low, mid, high] = [0.3, 0.8, 0.5, 0.5];
+        kick = time % 500 === 0 ? 1 : 0;
+    } else if (bar < 60) {
+        [rms, low, mid, high] = [0.08, 0.1, 0.3, 0.2];
+    } else {
+        const progress = (bars - 72) / 16;
+        [rms, low, mid, high] = [mix(0.06, 0.01, progress), 0.12, mix(0.2, 0.05, progress), 0.08];
+    }
+
+    return createFrame({
+        rms,
+        kick,
+        bands: { subBass: low, bass: low, lowMid: mid, mid, highMid: high, high, air: high }
+    });
+}
+
+function runSong(lowInBuildup) {
+    const engine = createEngine({ bpm: 120, sectionDetection: true });
+    const changes = [];
+    const predictions = new Set();
+    engine.on('sectionChange', ({ from, to, bar, time }) => changes.push({ from, to, bar, seenAt: Math.floor(time / BAR_MS) }));
+
+    for (let time = 0; time < 88 * BAR_MS; time += 50) {
+        engine.step(time, songFrame(time, lowInBuildup));
+        if (engine.memory.dropPredictedAt !== null && time < 24 * BAR_MS) {
+            predictions.add(Math.round(engine.memory.dropPredictedAt));
+        }
+    }
+    return { changes, predictions: [...predictions] };
+}
+
+[['filtered', 0.15], ['rising', 0.7]].forEach(([name, lowInBuildup]) => {
+    test(`scripted song structure with a ${name} low end in the buildups`, () => {
+        const { changes, predictions } = runSong(lowInBuildup);
+        const path = changes.map(change => `${change.from}→${change.to}`);
+
+        assert.deepEqual(path, [
+            'intro→buildup', 'buildup→drop', 'drop→breakdown', 'breakdown→buildup',
+            'buildup→drop', 'drop→breakdown', 'breakdown→outro'
+        ]);
+
+        // The first buildup is recognized while it builds and predicts the drop on bar 24
+        assert.ok(changes[0].bar >= 16 && changes[0].seenAt <= 19, `buildup at bar ${changes[0].bar}`);
+        assert.deepEqual(predictions, [24 * BAR_MS]);
+        assert.equal(changes[1].bar, 24);
+
+        assert.equal(changes[2].bar, 56);
+        assert.equal(changes[4].bar, 64);
+
+        // The outro starts where the energy left for good, and is recognized within outroBars
+        assert.equal(changes[6].bar, 72);
+        assert.ok(changes[6].seenAt <= 82, `outro seen at bar ${changes[6].seenAt}`);
+    });
+});
@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateSequenceLibrary } from '../../src/sequences/SequenceValidator.js';
+import { createEngine } from './helpers.mjs';
+
+const issueAt = (issues, path) => issues.find(issue => issue.path === path);
+
+const validate = (sequence) => validateSequenceLibrary({ sequences: [{ name: 'test', duration: 1000, stages: [], ...sequence }] });
+
+test('bundled presets validate cleanly', () => {
+    const library = JSON.parse(readFileSync(new URL('../../src/sequences/presets/bass-drops.json', import.meta.url)));
+    const report = validateSequenceLibrary(library);
+    assert.deepEqual(report.errors, []);
+    assert.equal(report.valid, true);
+});
+
+test('malformed stages are errors at the stage path', () => {
+    const report = validate({
+        stages: [5, { duration: 500, speed: {} }]
+    });
+    assert.equal(report.valid, false);
+
+    const notObject = issueAt(report.errors, '$.sequences[0].stages[0]');
+    assert.equal(notObject.value, 5);
+    assert.equal(notObject.message, 'Stage must be an object');
+    assert.equal(notObject.sequenceIndex, 0);
+
+    const emptyChange = issueAt(report.errors, '$.sequences[0].stages[1].speed');
+    assert.deepEqual(emptyChange.value, {});
+    assert.match(emptyChange.message, /no from\/to, envelope, spike or jump/);
+    assert.match(emptyChange.suggestion, /"from": \.\.\., "to": \.\.\./);
+});
+
+test('bad time values report the offending value', () => {
+    const report = validate({ duration: '2 bananas', stages: [{ start: '1 bar and a bit', duration: '1b' }] });
+
+    const duration = issueAt(report.errors, '$.sequences[0].duration');
+    assert.equal(duration.value, '2 bananas');
+    assert.match(duration.message, /Invalid time value/);
+    assert.equal(duration.suggestion, 'Use milliseconds (500), "2b", "1bar" or "1/8"');
+
+    const start = issueAt(report.errors, '$.sequences[0].stages[0].start');
+    assert.equal(start.value, '1 bar and a bit');
+});
+
+test('unparsable triggers report the column', () => {
+    const report = validate({ trigger: 'bass >' });
+    const issue = issueAt(report.errors, '$.sequences[0].trigger');
+    assert.equal(issue.value, 'bass >');
+    assert.match(issue.message, /column 7/);
+    assert.equal(issue.suggestion, 'Check operators, parentheses and function names');
+});
+
+test('unknown parameters and easings are warnings with suggestions', () => {
+    const report = validate({
+        stages: [{
+            duration: 1000,
+            intensty: { from: 0, to: 1 },
+            hue: { from: 0, to: 1, easing: 'easeInOutQuadd' },
+            zorblax: { jump: 1 }
+        }]
+    });
+    assert.equal(report.valid, true);
+
+    const parameter = issueAt(report.warnings, '$.sequences[0].stages[0].intensty');
+    assert.equal(parameter.value, 'intensty');
+    assert.equal(parameter.message, 'Unknown parameter "intensty"');
+    assert.equal(parameter.suggestion, 'Did you mean "intensity"?');
+
+    const unrelated = issueAt(report.warnings, '$.sequences[0].stages[0].zorblax');
+    assert.equal(unrelated.suggestion, 'Visualizers may ignore it');
+
+    const easing = issueAt(report.warnings, '$.sequences[0].stages[0].hue.easing');
+    assert.equal(easing.value, 'easeInOutQuadd');
+    assert.match(easing.message, /falls back to linear/);
+    assert.equal(easing.suggestion, 'Did you mean "easeInOutQuad"?');
+});
+
+test('libraries without a sequences array are rejected', () => {
+    const report = validateSequenceLibrary({ name: 'empty' });
+    const issue = issueAt(report.errors, '$.sequences');
+    assert.equal(issue.sequenceIndex, null);
+    assert.equal(issue.suggestion, 'Add "sequences": []');
+});
+
+test('loadSequenceLibrary skips invalid sequences and keeps the rest', async (t) => {
+    const libraries = {
+        'mixed.json': {
+            sequences: [
+                { name: 'broken', trigger: 'bass >', duration: 1000, stages: [] },
+                { name: 'fine', trigger: 'bass > 0.5', duration: '2b', stages: [{ duration: '2b', hue: { jump: 90 } }] },
+                { name: 'timeless', duration: '2 bananas', stages: [] }
+            ]
+        },
+        'bare.json': { name: 'no sequences here' }
+    };
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (path) => ({ json: async () => structuredClone(libraries[path]) });
+    t.after(() => { globalThis.fetch = originalFetch; });
+
+    const engine = createEngine();
+    await engine.loadSequenceLibrary('mixed.json');
+    assert.deepEqual([...engine.sequences.keys()], ['fine']);
+
+    // Library-level errors abort the load without defining anything
+    await engine.loadSequenceLibrary('bare.json');
+    assert.deepEqual([...engine.sequences.keys()], ['fine']);
+});
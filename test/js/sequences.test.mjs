@@ -0,0 +1,134 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ChoreographyEngine } from '../../src/core/ChoreographyEngine.js';
+import { createEngine, createFrame, run, valueAt } from './helpers.mjs';
+
+test('stages interpolate on the scripted clock and snap back on completion', () => {
+    const engine = createEngine();
+    engine.defineSequence({
+        name: 'sweep',
+        trigger: 'manual',
+        duration: 1000,
+        stages: [
+            { start: 0, duration: 500, chaos: { from: 0.2, to: 1, easing: 'linear' } },
+            { start: 500, duration: 500, chaos: { from: 1, to: 0.5, easing: 'linear' } }
+        ]
+    });
+
+    engine.step(0);
+    engine.startSequence('sweep', 0);
+    const samples = run(engine, { from: 0, to: 1200, interval: 50 });
+
+    assert.equal(valueAt(samples, 'chaos', 0), 0.2);
+    assert.ok(Math.abs(valueAt(samples, 'chaos', 250) - 0.6) < 1e-9);
+    assert.ok(Math.abs(valueAt(samples, 'chaos', 750) - 0.75) < 1e-9);
+    // Completed sequences release to base (chaos default 0.2)
+    assert.equal(valueAt(samples, 'chaos', 1200), 0.2);
+});
+
+test('string triggers launch sequences from audio and musical stages follow the tempo', () => {
+    const engine = createEngine({ bpm: 120 });
+    engine.defineSequence({
+        name: 'bassHit',
+        trigger: 'bass > 0.8',
+        duration: '2b',
+        stages: [{ start: 0, duration: '2b', intensity: { from: 0.5, to: 1.5 } }]
+    });
+
+    const samples = run(engine, {
+        to: 1500,
+        interval: 100,
+        frameAt: (time) => createFrame({ bands: { bass: time === 200 ? 0.9 : 0.1 } })
+    });
+
+    // Not triggered before the bass hit
+    assert.equal(valueAt(samples, 'intensity', 100), undefined);
+    // Two beats at 120 BPM = 1000ms: half way through at 700ms
+    assert.ok(Math.abs(valueAt(samples, 'intensity', 700) - 1) < 1e-9);
+    assert.equal(valueAt(samples, 'intensity', 1300), 0.5);
+});
+
+test('keyframe tracks evaluate between keys and hold the last value', () => {
+    const engine = createEngine();
+    engine.defineSequence({
+        name: 'track',
+        trigger: 'manual',
+        duration: 2000,
+        tracks: {
+            hue: [
+                { t: 0, value: 100 },
+                { t: 400, value: 300 },
+                { t: 800, value: 200, interpolation: 'hold' }
+            ]
+        }
+    });
+
+    engine.step(0);
+    engine.startSequence('track', 0);
+    const samples = run(engine, { to: 1000, interval: 100 });
+
+    assert.equal(valueAt(samples, 'hue', 200), 200);
+    assert.equal(valueAt(samples, 'hue', 600), 300);
+    assert.equal(valueAt(samples, 'hue', 1000), 200);
+});
+
+test('quantized launches wait for the next boundary and start on the grid', () => {
+    const engine = createEngine({ bpm: 120 });
+    engine.defineSequence({
+        name: 'fill',
+        trigger: 'snare > 0',
+        quantize: 'beat',
+        duration: '1b',
+        stages: [{ start: 0, duration: '1b', chaos: { from: 0, to: 1 } }]
+    });
+    engine.defineSequence({ name: 'drop', trigger: 'manual', duration: '1bar' });
+
+    const starts = [];
+    engine.on('sequenceStart', (event) => starts.push([event.name, event.time]));
+
+    engine.step(0);
+    run(engine, {
+        from: 100,
+        to: 700,
+        interval: 100,
+        frameAt: (time) => createFrame({ snare: time === 1200 ? 1 : 0 })
+    });
+    assert.equal(typeof engine.launchSequence('drop', { quantize: 'bar' }), 'string');
+
+    // The snare at 1200ms is deferred to the beat at 1500ms, the bar launch to 2000ms
+    const samples = run(engine, {
+        from: 800,
+        to: 2100,
+        interval: 100,
+        frameAt: (time) => createFrame({ snare: time === 1200 ? 1 : 0 })
+    });
+    assert.deepEqual(starts, [['fill', 1500], ['drop', 2000]]);
+    assert.equal(valueAt(samples, 'chaos', 1400), undefined);
+    assert.ok(Math.abs(valueAt(samples, 'chaos', 1700) - 0.4) < 1e-9);
+});
+
+test('sequences without a duration are rejected like in the library validator', () => {
+    const engine = createEngine();
+    assert.throws(
+        () => engine.defineSequence({ name: 'endless', trigger: 'manual', stages: [{ duration: 500, chaos: { jump: 1 } }] }),
+        /Sequence "endless": duration is required/
+    );
+    assert.equal(engine.sequences.has('endless'), false);
+});
+
+test('the mock audio fallback is reproducible', () => {
+    const render = () => {
+        const engine = new ChoreographyEngine({ visualizers: [], timeProvider: () => 0, scheduleFrame: () => {} });
+        engine.defineSequence({ name: 'flash', trigger: 'onset > 0.9', duration: 100, stages: [{ start: 0, duration: 100, chaos: { jump: 1 } }] });
+        const frames = [];
+        for (let time = 0; time <= 20000; time += 16) {
+            const audioData = engine.step(time);
+            frames.push([audioData.onset, audioData.spectralCentroid, audioData.spectralRolloff, engine.mixer.lastOutput.chaos]);
+        }
+        return { frames, starts: engine.sequenceHistory.length };
+    };
+
+    const first = render();
+    assert.ok(first.starts > 0, 'mock onsets trigger sequences');
+    assert.deepEqual(render(), first);
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TempoEstimator } from '../../src/audio/TempoEstimator.js';
+import { analyzeOffline } from '../../src/audio/OfflineAnalyzer.js';
+
+/**
+ * Onset times and strengths for a beat pattern. With `backbeat` beats 1/3 are
+ * weaker (0.6) than 2/4 (1.0); `hats` adds off-beat hits of that strength.
+ */
+function pattern(bpm, { backbeat = false, hats = 0, seconds = 12 } = {}) {
+    const beatMs = 60000 / bpm;
+    const hits = [];
+    for (let beat = 0; beat * beatMs < seconds * 1000; beat++) {
+        hits.push([beat * beatMs, backbeat && beat % 2 === 0 ? 0.6 : 1]);
+        if (hats > 0) hits.push([(beat + 0.5) * beatMs, hats]);
+    }
+    return hits.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Feed a scripted onset envelope (30ms exponential decays) at 60fps
+ */
+function estimate(hits, seconds = 12) {
+    const estimator = new TempoEstimator();
+    for (let time = 0; time <= seconds * 1000; time += 1000 / 60) {
+        let strength = 0;
+        for (const [onset, amount] of hits) {
+            if (onset > time) break;
+            strength += amount * Math.exp(-(time - onset) / 30);
+        }
+        estimator.push(strength, time);
+    }
+    return estimator.getTempo();
+}
+
+const VARIANTS = {
+    plain: {},
+    backbeat: { backbeat: true },
+    hats: { hats: 0.4 },
+    'backbeat + hats': { backbeat: true, hats: 0.4 }
+};
+
+test('backbeats and off-beat hats do not halve, double or 2:3 the tempo', () => {
+    for (const bpm of [100, 120, 128, 174]) {
+        for (const [name, variant] of Object.entries(VARIANTS)) {
+            const tempo = estimate(pattern(bpm, variant));
+            assert.ok(Math.abs(tempo.bpm - bpm) < 1, `${bpm} BPM ${name}: got ${tempo.bpm.toFixed(1)}`);
+        }
+    }
+});
+
+test('confidence reflects the margin over competing metrical levels', () => {
+    const plain = estimate(pattern(120));
+    const backbeat = estimate(pattern(120, { backbeat: true }));
+    const hats = estimate(pattern(100, { hats: 0.4 }));
+
+    assert.ok(plain.confidence > 0.8, `plain ${plain.confidence}`);
+    assert.equal(plain.locked, true);
+
+    // A strong half-tempo (backbeat) or double-tempo (hats at 200 BPM) rival costs confidence
+    assert.ok(backbeat.confidence < plain.confidence, `backbeat ${backbeat.confidence}`);
+    assert.ok(hats.confidence < 0.6, `hats ${hats.confidence}`);
+});
+
+/**
+ * Kick on every beat, noise snare on 2/4 and high-passed noise hats on the off-beats
+ */
+function drumLoop(bpm, sampleRate, seconds) {
+    const samples = new Float32Array(sampleRate * seconds);
+    let seed = 1;
+    const noise = () => ((seed = (seed * 16807) % 2147483647) / 2147483647) * 2 - 1;
+    const add = (start, length, voice) => {
+        const offset = Math.round(start * sampleRate);
+        for (let i = 0; i < length * sampleRate && offset + i < samples.length; i++) {
+            samples[offset + i] += voice(i / sampleRate);
+        }
+    };
+
+    const beat = 60 / bpm;
+    for (let n = 0; n * beat < seconds; n++) {
+        add(n * beat, 0.25, t => 0.8 * Math.sin(2 * Math.PI * (50 * t + 2 * (1 - Math.exp(-t * 30)))) * Math.exp(-t * 12));
+        if (n % 2 === 1) {
+            add(n * beat, 0.2, t => (0.5 * noise() + 0.3 * Math.sin(2 * Math.PI * 190 * t)) * Math.exp(-t * 18));
+        }
+        let previous = 0;
+        add((n + 0.5) * beat, 0.05, t => {
+            const value = noise();
+            const highPassed = value - previous;
+            previous = value;
+            return 0.25 * highPassed * Math.exp(-t * 80);
+        });
+    }
+    return samples;
+}
+
+test('offline analysis of a kick/snare/hat loop reports the played tempo', () => {
+    const sampleRate = 22050;
+    const frames = [...analyzeOffline(drumLoop(120, sampleRate, 10), { sampleRate }).frames()];
+    const last = frames[frames.length - 1];
+    assert.ok(Math.abs(last.bpm - 120) < 1, `got ${last.bpm}`);
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine, createFrame } from './helpers.mjs';
+
+test('analyzer estimates emit tempoEstimate and leave the engine tempo alone', () => {
+    const engine = createEngine({ bpm: 120 });
+    const estimates = [];
+    const changes = [];
+    engine.on('tempoEstimate', ({ bpm, previous }) => estimates.push([bpm, previous]));
+    engine.on('bpmChange', ({ bpm, source }) => changes.push([bpm, source]));
+
+    [120, 128, 128.4, 131].forEach((bpm, index) => engine.step(index * 100, createFrame({ bpm })));
+
+    assert.deepEqual(estimates, [[128, 120], [131, 128]]);
+    assert.deepEqual(changes, []);
+    assert.equal(engine.bpm, 120);
+
+    engine.setBpm(140);
+    assert.deepEqual(changes, [[140, 'manual']]);
+});
+
+test('out-of-range configured tempos are clamped while setBpm still throws', () => {
+    assert.equal(createEngine({ bpm: 1000 }).bpm, 400);
+    assert.equal(createEngine({ bpm: 5 }).bpm, 20);
+
+    const engine = createEngine({ bpm: 120 });
+    assert.throws(() => engine.setBpm(1000), /BPM must be a number between 20 and 400/);
+    assert.equal(engine.bpm, 120);
+});
+
+test('tap tempo sets the tempo and phase, nudge shifts the beats', () => {
+    const engine = createEngine({ bpm: 100 });
+    const beats = [];
+    const changes = [];
+    engine.on('beat', (event) => beats.push(event.time));
+    engine.on('bpmChange', ({ bpm, source }) => changes.push([bpm, source]));
+
+    // Taps at 1000/1510/2000ms (one slightly late) → 120 BPM with a beat on the last tap
+    const taps = { 1000: null, 1510: null, 2000: 120 };
+    for (let time = 0; time <= 3000; time += 10) {
+        engine.step(time);
+        if (time in taps) assert.equal(engine.tapTempo(time), taps[time]);
+    }
+    assert.deepEqual(changes, [[120, 'tap']]);
+    assert.deepEqual(beats.filter(time => time > 2000), [2500, 3000]);
+
+    // Nudging 50ms later moves the following beats by the same amount
+    engine.nudge(50);
+    beats.length = 0;
+    for (let time = 3010; time <= 4100; time += 10) {
+        engine.step(time);
+    }
+    assert.deepEqual(beats, [3550, 4050]);
+});
+
+test('tempo follow retunes to confident estimates and phase-locks to onsets', () => {
+    const engine = createEngine({ bpm: 120, tempoFollow: true });
+    const changes = [];
+    engine.on('bpmChange', ({ bpm, source }) => changes.push([Math.round(bpm), source]));
+
+    // A confident 126 BPM estimate glides the tempo there in whole-BPM reports
+    for (let time = 0; time <= 6000; time += 10) {
+        engine.step(time, createFrame({ bpm: 126, bpmConfidence: 0.9 }));
+    }
+    assert.ok(Math.abs(engine.bpm - 126) < 1, `bpm ${engine.bpm}`);
+    assert.deepEqual(changes.map(([bpm]) => bpm), [121, 122, 123, 124, 125]);
+    assert.ok(changes.every(([, source]) => source === 'follow'));
+    assert.equal(engine.getTempoFollowState().locked, true);
+
+    // Estimates below minConfidence are ignored
+    const unsure = createEngine({ bpm: 120, tempoFollow: true });
+    for (let time = 0; time <= 6000; time += 10) {
+        unsure.step(time, createFrame({ bpm: 126, bpmConfidence: 0.3 }));
+    }
+    assert.equal(unsure.bpm, 120);
+
+    // Onsets 40ms after every beat pull the grid onto them without drifting the tempo
+    const shifted = createEngine({ bpm: 120, tempoFollow: true });
+    const beats = [];
+    shifted.on('beat', (event) => beats.push(event.time));
+    for (let time = 0; time <= 20000; time += 10) {
+        shifted.step(time, createFrame({ onset: time % 500 === 40 ? 1 : 0 }));
+    }
+    assert.ok(Math.abs(shifted.bpm - 120) < 0.1, `bpm ${shifted.bpm}`);
+    assert.ok(Math.abs(shifted.getTempoFollowState().phaseError) < 0.005);
+    // Beats fire on the first 10ms frame at or after the grid line
+    beats.filter(time => time > 16000).forEach(time => {
+        assert.ok(time % 500 >= 40 && time % 500 <= 50, `beat at ${time}`);
+    });
+});
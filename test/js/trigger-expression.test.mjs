@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TriggerExpression, TriggerSyntaxError } from '../../src/core/TriggerExpression.js';
+import { createEngine, createFrame, run } from './helpers.mjs';
+
+const evaluate = (source, scope = {}) => TriggerExpression.compile(source).evaluate(scope);
+
+test('operator precedence follows JavaScript', () => {
+    assert.equal(evaluate('1 + 2 * 3'), 7);
+    assert.equal(evaluate('(1 + 2) * 3'), 9);
+    assert.equal(evaluate('-2 * 3 + 10 % 4'), -4);
+    assert.equal(evaluate('1 + 1 == 2 && 3 > 2'), true);
+    assert.equal(evaluate('false && false || true'), true);
+    assert.equal(evaluate('false && (false || true)'), false);
+    assert.equal(evaluate('!a && b || c', { a: 0, b: 1, c: 0 }), 1);
+    assert.equal(evaluate('!a && b || c', { a: 1, b: 1, c: 0 }), 0);
+    assert.equal(evaluate('bass * 2 >= 1', { bass: 0.5 }), true);
+    assert.equal(evaluate("memory.section == 'drop'", { memory: { section: 'drop' } }), true);
+    assert.equal(evaluate('max(bass, mid, 0.3) + abs(-1)', { bass: 0.1, mid: 0.2 }), 1.3);
+});
+
+test('syntax errors report the column', () => {
+    const cases = [
+        ['bass >', 7, /Expected a value, found end of expression/],
+        ['bass > 0.5 )', 12, /Unexpected token/],
+        ['bass # 2', 6, /Unexpected character "#"/],
+        ['avg(bass)', 1, /avg\(\) expects \(expression, duration\)/],
+        ['foo(bass)', 1, /Unknown function "foo"/],
+        ["section == 'drop", 12, /Unterminated string/],
+        ['', 1, /Empty trigger expression/]
+    ];
+    cases.forEach(([source, column, message]) => {
+        assert.throws(() => TriggerExpression.compile(source), (error) => {
+            assert.ok(error instanceof TriggerSyntaxError, source);
+            assert.match(error.message, message);
+            assert.equal(error.position + 1, column, source);
+            return true;
+        });
+    });
+});
+
+test('windowed helpers sample every frame despite short-circuiting', () => {
+    const expression = TriggerExpression.compile('kick > 0 && avg(bass, 1s) > 0.5');
+    let result = false;
+    for (let time = 0; time <= 1000; time += 100) {
+        const scope = { kick: time === 1000 ? 1 : 0, bass: time < 900 ? 1 : 0, time };
+        expression.sample(scope, time);
+        result = expression.test(scope, time);
+    }
+    // 9 of the 11 samples in the window were loud: avg ≈ 0.82 although only the last frame had a kick
+    assert.equal(result, true);
+
+    const unsampled = TriggerExpression.compile('kick > 0 && avg(bass, 1s) > 0.5');
+    for (let time = 0; time <= 1000; time += 100) {
+        result = unsampled.test({ kick: time === 1000 ? 1 : 0, bass: time < 900 ? 1 : 0 }, time);
+    }
+    // Without sample() the window only saw the kick frame
+    assert.equal(result, false);
+});
+
+test('engine feeds windows on frames where the trigger is short-circuited', () => {
+    const engine = createEngine();
+    engine.defineSequence({ name: 'hit', trigger: 'kick > 0 && avg(bass, 1s) > 0.5', duration: 200 });
+
+    const starts = [];
+    engine.on('sequenceStart', (event) => starts.push(event.time));
+    run(engine, {
+        to: 1000,
+        interval: 100,
+        frameAt: (time) => createFrame({ bands: { bass: time < 900 ? 1 : 0 }, kick: time === 1000 ? 1 : 0 })
+    });
+
+    assert.deepEqual(starts, [1000]);
+});
+
+test('engine feeds windows while the sequence is active', () => {
+    const engine = createEngine();
+    engine.defineSequence({ name: 'swell', trigger: 'avg(bass, 1s) > 0.5', duration: 800 });
+
+    const starts = [];
+    engine.step(0, createFrame({ bands: { bass: 1 } }));
+    engine.on('sequenceStart', (event) => starts.push(event.time));
+
+    // Bass is loud until 800ms and silent afterwards; the window still holds the loud frames
+    // from the active stretch when the sequence completes
+    run(engine, {
+        from: 100,
+        to: 1000,
+        interval: 50,
+        frameAt: (time) => createFrame({ bands: { bass: time < 800 ? 1 : 0 } })
+    });
+
+    assert.ok(starts.length > 0 && starts[0] > 800, `restarted after completing: ${starts}`);
+});